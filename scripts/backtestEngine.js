@@ -0,0 +1,86 @@
+// backtestEngine.js
+// Usage:
+//   node scripts/backtestEngine.js <snapshot file|dir> [--config overrides.json|.yaml] [--out report.json]
+//   node scripts/backtestEngine.js record <dir>     (fetch live products + spot and save a snapshot)
+require('dotenv').config(); // Load .env for API keys (record mode only)
+const fs = require('fs');
+const path = require('path');
+const { BacktestEngine, applyConfigOverrides, loadSnapshots, saveSnapshot } = require(path.join(__dirname, '../src/backtest'));
+const { readOverrideFile } = require(path.join(__dirname, '../src/configLoader'));
+const { fetchDualInvestmentProducts, fetchSpotPrices } = require(path.join(__dirname, '../src/helpers/utils'));
+const config = require(path.join(__dirname, '../src/config'));
+
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') args.config = argv[++i];
+        else if (argv[i] === '--out') args.out = argv[++i];
+        else args.positional.push(argv[i]);
+    }
+    return args;
+}
+
+async function recordSnapshot(dir) {
+    const spotPrices = await fetchSpotPrices(config);
+    const products = await fetchDualInvestmentProducts(config);
+    if (!spotPrices || !products) {
+        console.error('Failed to fetch products or spot prices, nothing recorded');
+        return;
+    }
+    const filePath = saveSnapshot(dir, { timestamp: Date.now(), spotPrices, products });
+    console.log(`Recorded ${products.length} products to ${filePath}`);
+}
+
+function printReport(report) {
+    console.log(`\nReplayed ${report.snapshots} snapshots`);
+    console.log('Pair       | Pos | Settled | Open | Realized P&L | ROI %   | Hit %  | Conv. % | Max DD   | DD %');
+    console.log('-----------|-----|---------|------|--------------|---------|--------|---------|----------|------');
+
+    report.pairs.forEach(stats => {
+        console.log(
+            `${stats.pair.padEnd(10)} | ` +
+            `${stats.positions.toString().padStart(3)} | ` +
+            `${stats.settled.toString().padStart(7)} | ` +
+            `${stats.open.toString().padStart(4)} | ` +
+            `${stats.realizedPnl.toFixed(2).padStart(12)} | ` +
+            `${stats.realizedRoi.toFixed(3).padStart(7)} | ` +
+            `${stats.hitRate.toFixed(1).padStart(6)} | ` +
+            `${stats.conversionRate.toFixed(1).padStart(7)} | ` +
+            `${stats.maxDrawdown.toFixed(2).padStart(8)} | ` +
+            `${stats.maxDrawdownPct.toFixed(2)}`
+        );
+    });
+}
+
+async function runBacktest(args) {
+    const [source] = args.positional;
+    if (!source) {
+        console.error('Usage: node scripts/backtestEngine.js <snapshot file|dir> [--config overrides.json|.yaml] [--out report.json]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const overrides = args.config ? readOverrideFile(args.config) : {};
+    const backtestConfig = applyConfigOverrides(config, overrides);
+
+    const engine = new BacktestEngine(backtestConfig, loadSnapshots(source));
+    const report = await engine.run();
+    printReport(report);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+        console.log(`\nFull report written to ${args.out}`);
+    }
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const task = args.positional[0] === 'record'
+        ? recordSnapshot(args.positional[1] || path.join(__dirname, '../snapshots'))
+        : runBacktest(args);
+
+    task.catch(err => {
+        console.error('Backtest failed:', err);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,30 @@
+// demoMode.js
+// Runs one full mainLoop cycle (positions, balances, execution, hedging) against the
+// simulated exchange: no network, no credentials.
+const path = require('path');
+
+process.env.EXCHANGE_ADAPTER = process.env.EXCHANGE_ADAPTER || 'simulated';
+process.env.ENABLE_EXECUTION = 'true';
+process.env.ENABLE_HEDGING = 'true';
+
+const { mainLoop } = require(path.join(__dirname, '../src/index'));
+const { getExchange } = require(path.join(__dirname, '../src/exchange'));
+const config = require(path.join(__dirname, '../src/config'));
+
+async function runDemo() {
+    await mainLoop();
+
+    const exchange = getExchange(config);
+    console.log(`\nDemo cycle finished on the ${exchange.name} exchange`);
+    if (exchange.positions) {
+        console.log(`Positions: ${exchange.positions.length}`);
+        console.log(`Loans: ${exchange.loans.length}`);
+        console.log(`Margin orders: ${exchange.marginOrders.length}`);
+        console.log('Balances:', exchange.balances);
+    }
+}
+
+runDemo().catch(err => {
+    console.error('Demo failed:', err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,40 @@
+// ledgerReport.js
+// Prints cumulative realized P&L of settled positions from storage, per pair and per strategy.
+// Usage: node scripts/ledgerReport.js [--json]
+const path = require('path');
+const { SettlementTracker } = require(path.join(__dirname, '../src/ledger'));
+const config = require(path.join(__dirname, '../src/config'));
+
+function printTable(title, groups) {
+    console.log(`\n${title}`);
+    console.log('Group      | Pos | Exercised | Yield        | Option P&L   | Hedge P&L    | Loan         | Net P&L');
+    console.log('-----------|-----|-----------|--------------|--------------|--------------|--------------|-------------');
+    Object.entries(groups).forEach(([name, t]) => {
+        console.log(
+            `${name.padEnd(10)} | ${String(t.positions).padStart(3)} | ${String(t.exercised).padStart(9)} | ` +
+            `${t.yieldEarned.toFixed(4).padStart(12)} | ${t.optionPnl.toFixed(4).padStart(12)} | ` +
+            `${t.hedgePnl.toFixed(4).padStart(12)} | ${(-t.loanInterest).toFixed(4).padStart(12)} | ${t.netPnl.toFixed(4).padStart(12)}`
+        );
+    });
+}
+
+async function main() {
+    const tracker = new SettlementTracker(config);
+    await tracker.load();
+    const summary = tracker.getRealizedPnl();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(summary, null, 2));
+        return;
+    }
+
+    console.log(`Settled positions: ${summary.total.positions} | Open tracked: ${Object.keys(tracker.open).length}`);
+    printTable('Realized P&L by pair', summary.byPair);
+    printTable('Realized P&L by strategy', summary.byStrategy);
+    printTable('Total', { total: summary.total });
+}
+
+main().catch(err => {
+    console.error('Ledger report failed:', err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,25 @@
+// mockExchange.js
+// Serves the simulated exchange fixtures over HTTP under the Binance REST paths,
+// and its ticker prices over a stand-in WebSocket ticker stream.
+// Point the bot at it with BINANCE_BASE_URL=http://127.0.0.1:8787
+// (and PRICE_FEED_ENABLED=true BINANCE_WS_URL=ws://127.0.0.1:8790 for the price feed)
+const path = require('path');
+const { SimulatedExchange } = require(path.join(__dirname, '../src/exchange'));
+const { startMockExchangeServer } = require(path.join(__dirname, '../src/exchange/mockServer'));
+const { startMockPriceStream } = require(path.join(__dirname, '../src/exchange/mockPriceStream'));
+
+const port = Number(process.env.MOCK_EXCHANGE_PORT || 8787);
+const streamPort = Number(process.env.MOCK_STREAM_PORT || 8790);
+const exchange = new SimulatedExchange({ fixturesDir: process.env.EXCHANGE_FIXTURES_DIR });
+
+startMockExchangeServer(exchange, { port }).then(server => {
+    console.log(`Mock exchange ready on http://127.0.0.1:${server.address().port} (Ctrl+C to stop)`);
+});
+
+startMockPriceStream({ port: streamPort }).then(stream => {
+    console.log(`Mock price stream ready on ws://127.0.0.1:${streamPort}`);
+    // Republish every ticker each second, like the exchange's 1s mini-ticker stream
+    setInterval(() => {
+        Object.entries(exchange.tickers).forEach(([symbol, price]) => stream.publish(symbol, price));
+    }, 1000);
+});
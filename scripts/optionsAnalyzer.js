@@ -1,7 +1,9 @@
 // optionsAnalyzer.js
 require('dotenv').config(); // Load .env for API keys
 const path = require('path');
-const { fetchDualInvestmentProducts, listAllProducts, fetchPositions } = require(path.join(__dirname, '../src/helpers/utils'));
+const { fetchDualInvestmentProducts, listAllProducts, fetchPositions, fetchSpotPrices } = require(path.join(__dirname, '../src/helpers/utils'));
+const { getPairKey } = require(path.join(__dirname, '../src/helpers/settlement'));
+const { buildVolSurface, formatVolSurface } = require(path.join(__dirname, '../src/pricing/volSurface'));
 const { log } = require(path.join(__dirname, '../src/logger'));
 const config = require(path.join(__dirname, '../src/config'));
 
@@ -25,6 +27,9 @@ async function analyzeOptionsProducts() {
         console.log("\nRunning Relative ROI Jump Analysis...");
         analyzeRelativeRoiJump(products);
 
+        console.log("\nBuilding Implied Volatility Surface...");
+        await analyzeVolSurface(products);
+
         console.log("\nDone analyzing products.");
     } catch (err) {
         log(`Analysis failed: ${err.message}`, 'debug');
@@ -32,6 +37,18 @@ async function analyzeOptionsProducts() {
     }
 }
 
+// Print the APR-implied vol surface (smile per expiry, ATM term structure) per pair
+async function analyzeVolSurface(products) {
+    const spotPrices = await fetchSpotPrices(config);
+    if (!spotPrices) {
+        console.log('No spot prices, skipping volatility surface');
+        return;
+    }
+
+    const withSpot = products.map(p => ({ ...p, spotPrice: spotPrices[getPairKey(p)] }));
+    console.log(formatVolSurface(buildVolSurface(withSpot)));
+}
+
 // Calculate break-even and absolute ratio for Options products
 function analyzeBangForBuck(products, spotByPair = {}, targetExpiry = null) {
     // Group products by pair (exercisedCoin+investCoin)
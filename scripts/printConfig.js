@@ -0,0 +1,35 @@
+// printConfig.js
+// Prints the effective config (defaults, profile, override file, CONFIG__ env overrides) with
+// secrets masked, then checks it against the schema; exits 1 when it is invalid.
+// Usage: node scripts/printConfig.js [--profile conservative|aggressive|paper] [--config-file overrides.json|.yaml] [--key RISK_LIMITS]
+require('dotenv').config();
+const path = require('path');
+const config = require(path.join(__dirname, '../src/config'));
+const { findConfigProblems, getLoadedLayers, toPrintableConfig } = require(path.join(__dirname, '../src/configLoader'));
+
+const keyIndex = process.argv.indexOf('--key');
+const key = keyIndex === -1 ? null : process.argv[keyIndex + 1];
+const layers = getLoadedLayers();
+
+console.log(`Profile:       ${layers.profile || 'none'}`);
+console.log(`Override file: ${layers.file || 'none'}`);
+console.log(`Env overrides: ${layers.env.join(', ') || 'none'}`);
+console.log('');
+
+const printable = toPrintableConfig(config);
+if (key && !(key in printable)) {
+    console.error(`No config key ${key}`);
+    process.exitCode = 1;
+} else {
+    console.log(JSON.stringify(key ? { [key]: printable[key] } : printable, null, 2));
+}
+
+const problems = findConfigProblems(config);
+console.log('');
+if (problems.length) {
+    console.log(`❌ ${problems.length} problem(s):`);
+    problems.forEach(problem => console.log(`  - ${problem}`));
+    process.exitCode = 1;
+} else {
+    console.log('✅ Config is valid');
+}
@@ -0,0 +1,88 @@
+// replayCycle.js
+// Re-runs recorded mainLoop cycles against a cassette and writes a canonical transcript
+// of every exchange request the current code makes.
+// Usage:
+//   EXCHANGE_MODE=record npm start                      (record a trading day into cassettes/)
+//   node scripts/replayCycle.js <cassette> [--out transcript.json] [--compare baseline.json] [--cycles N]
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+    const args = { positional: [], cycles: 100 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') args.out = argv[++i];
+        else if (argv[i] === '--compare') args.compare = argv[++i];
+        else if (argv[i] === '--cycles') args.cycles = Number(argv[++i]);
+        else args.positional.push(argv[i]);
+    }
+    return args;
+}
+
+async function replay(args) {
+    const [cassettePath] = args.positional;
+    if (!cassettePath) {
+        console.error('Usage: node scripts/replayCycle.js <cassette> [--out transcript.json] [--compare baseline.json] [--cycles N]');
+        process.exitCode = 1;
+        return;
+    }
+
+    // Reproduce the recorded run's switches before config is loaded
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+    const state = cassette.state || {};
+    process.env.EXCHANGE_MODE = 'replay';
+    process.env.EXCHANGE_CASSETTE = path.resolve(cassettePath);
+    process.env.ENABLE_EXECUTION = String(Boolean(state.enableExecution));
+    process.env.ENABLE_HEDGING = String(Boolean(state.enableHedging));
+
+    const config = require(path.join(__dirname, '../src/config'));
+    const { getExchange } = require(path.join(__dirname, '../src/exchange'));
+    const { Storage, setStorage } = require(path.join(__dirname, '../src/storage'));
+    const { mainLoop } = require(path.join(__dirname, '../src/index'));
+
+    // Hedge state starts from the recorded positions, in a scratch database
+    const storage = new Storage(':memory:');
+    storage.importPositions(state.positionsLog ? JSON.parse(state.positionsLog) : {});
+    setStorage(storage);
+
+    // Pin the clock to the recording so time-based decisions come out the same
+    const exchange = getExchange(config);
+    const realNow = Date.now;
+    Date.now = () => exchange.currentTime ?? realNow();
+
+    // Keep cycling while the cassette still has answers the code is asking for
+    for (let cycle = 0; cycle < args.cycles && exchange.getUnused().length > 0; cycle++) {
+        const unusedBefore = exchange.getUnused().length;
+        await mainLoop();
+        if (exchange.getUnused().length === unusedBefore) break;
+    }
+    Date.now = realNow;
+
+    const transcript = `${JSON.stringify(exchange.getTranscript(), null, 2)}\n`;
+    const { misses, unused } = exchange.getTranscript();
+    console.log(`\nReplayed ${exchange.requests.length} requests | misses: ${misses} | unused recorded: ${unused.length}`);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, transcript);
+        console.log(`Transcript written to ${args.out}`);
+    }
+
+    if (args.compare) {
+        const baseline = fs.readFileSync(args.compare, 'utf8');
+        if (baseline === transcript) {
+            console.log(`Transcript identical to ${args.compare}`);
+        } else {
+            const ours = transcript.split('\n');
+            const theirs = baseline.split('\n');
+            const line = ours.findIndex((text, i) => text !== theirs[i]);
+            console.log(`Transcript differs from ${args.compare} at line ${line + 1}:`);
+            console.log(`  baseline: ${theirs[line]}`);
+            console.log(`  replay:   ${ours[line]}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+replay(parseArgs(process.argv.slice(2))).catch(err => {
+    console.error('Replay failed:', err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,19 @@
+// resetCircuitBreaker.js
+// Asks the running bot to reset a tripped circuit breaker by writing the reset flag file;
+// the circuitBreaker job picks it up within one interval (or on the next start).
+// Usage: node scripts/resetCircuitBreaker.js [--status]
+const fs = require('fs');
+const path = require('path');
+const config = require(path.join(__dirname, '../src/config'));
+const { CircuitBreaker } = require(path.join(__dirname, '../src/circuitBreaker'));
+
+const breaker = new CircuitBreaker(config);
+
+if (process.argv.includes('--status')) {
+    breaker.load();
+    console.log(JSON.stringify(breaker.getStatus(), null, 2));
+} else {
+    fs.mkdirSync(path.dirname(breaker.resetFile), { recursive: true });
+    fs.writeFileSync(breaker.resetFile, new Date().toISOString());
+    console.log(`Reset requested: ${breaker.resetFile}`);
+}
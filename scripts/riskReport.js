@@ -0,0 +1,33 @@
+// riskReport.js
+// Stress scenarios and historical VaR for the open dual investment book: fetches the active
+// positions and spot prices, loads hedge state and recorded spot series from storage.
+// Usage: node scripts/riskReport.js [--json]
+const path = require('path');
+const config = require(path.join(__dirname, '../src/config'));
+const SharedState = require(path.join(__dirname, '../src/sharedState'));
+const { fetchPositions, fetchSpotPrices } = require(path.join(__dirname, '../src/helpers/utils'));
+const { getStorage } = require(path.join(__dirname, '../src/storage'));
+const { buildRiskReport, formatRiskReport } = require(path.join(__dirname, '../src/risk/report'));
+
+async function main() {
+    const sharedState = SharedState.instance;
+    sharedState.config = config;
+
+    const positions = await fetchPositions(config);
+    if (!positions) throw new Error('Could not fetch positions');
+    await sharedState.loadHedgeStatus();
+    sharedState.positions = positions;
+
+    const spotPrices = await fetchSpotPrices(config);
+    if (!spotPrices) throw new Error('Could not fetch spot prices');
+
+    const since = Date.now() - config.RISK_REPORT.varLookbackDays * 24 * 60 * 60 * 1000;
+    const report = buildRiskReport(sharedState, spotPrices, getStorage(config).getSpotSeries(since), config);
+
+    console.log(process.argv.includes('--json') ? JSON.stringify(report, null, 2) : formatRiskReport(report));
+}
+
+main().catch(err => {
+    console.error('Risk report failed:', err);
+    process.exitCode = 1;
+});
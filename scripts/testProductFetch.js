@@ -5,7 +5,7 @@ const path = require('path');
 const config = require(path.join(__dirname, '../src/config'));
 
 async function fetchDualInvestmentProducts(optionType = 'PUT', pageIndex = 1, pageSize = 75) {
-    const coinConfig = config.COINS.BTCUSDT;
+    const coinConfig = config.SUPPORTED_ASSETS.BTCUSDT;
     const params = {
         product: 'DUAL_INVESTMENT',
         exercisedCoin: optionType === 'PUT' ? coinConfig.put.exercisedCoin : coinConfig.call.exercisedCoin,
@@ -2,19 +2,21 @@ require('dotenv').config(); // Load .env for API keys
 const path = require('path');
 const { log } = require(path.join(__dirname, '../src/logger'));
 const config = require(path.join(__dirname, '../src/config'));
+const { getStrategy, resolveSettings } = require(path.join(__dirname, '../src/strategies'));
+const { computeMinBuffer } = require(path.join(__dirname, '../src/helpers/algoV2'));
 
 const activePositions = 0;       // For long-term pressure test
 const duplicateCount = 0;         // For short-term pressure test
 
 function testTargetROI() {
-    console.log('\nTesting TARGET_ROI (Long-Term) for 1 to 21 days:');
+    console.log('\nTesting ROI_STRATEGIES.longTermROI for 1 to 21 days:');
     console.log(`Day | Hours | Base ROI | Adjusted ROI (with ${activePositions} active positions)`);
     console.log('----|-------|----------|----------------------------------------');
 
     for (let day = 1; day <= 21; day++) {
         const hours = day * 24;
-        const baseRoi = config.TARGET_ROI.calculate(day);
-        const pressureMultiplier = 1 + (activePositions * 0.017);
+        const baseRoi = config.ROI_STRATEGIES.longTermROI.calculate(day);
+        const pressureMultiplier = 1 + (activePositions * config.ROI_PRESSURE.perActivePosition);
         const adjustedRoi = baseRoi * pressureMultiplier;
 
         console.log(`${day.toString().padStart(3)} | ${hours.toString().padStart(5)} | ${baseRoi.toFixed(4)} | ${adjustedRoi.toFixed(4)}`);
@@ -22,15 +24,15 @@ function testTargetROI() {
 }
 
 function testShortTermROI() {
-    console.log('\nTesting SHORT_TERM_ROI (12–36h) with Duplicates:');
+    console.log('\nTesting ROI_STRATEGIES.shortTermROI (12–72h) with Duplicates:');
     console.log(`Hours | Days | Base ROI | Adjusted ROI (${duplicateCount} Duplicates)`);
     console.log('------|------|----------|-----------------------------');
 
     for (let hours = 12; hours <= 72; hours++) {
         const exactDays = hours / 24;
         const days = Math.round(exactDays); // Round to nearest day instead of floor
-        const baseRoi = config.SHORT_TERM_ROI.calculate(days);
-        const pressureMultiplier = 1 + 0.12 * duplicateCount;
+        const baseRoi = config.ROI_STRATEGIES.shortTermROI.calculate(days);
+        const pressureMultiplier = 1 + config.ROI_PRESSURE.perDuplicate * duplicateCount;
         const adjustedRoi = baseRoi * pressureMultiplier;
 
         console.log(`${hours.toString().padStart(5)} | ${exactDays.toFixed(1).padStart(4)} | ${baseRoi.toFixed(4)} | ${adjustedRoi.toFixed(4)}`);
@@ -44,7 +46,7 @@ function testHedgeRoi() {
 
     for (let day = 1; day <= 21; day++) {
         const minRoi = config.HEDGE_SAFETY.getMinRoiForExpiry(day) * 100;
-        const targetRoi = config.TARGET_ROI.calculate(day);
+        const targetRoi = config.ROI_STRATEGIES.longTermROI.calculate(day);
         const delta = (targetRoi - minRoi).toFixed(4);
 
         console.log(
@@ -63,20 +65,22 @@ function testHedgeRoi() {
 testMinBuffer();
 
 function testMinBuffer() {
-    console.log('\nTesting MIN_BUFFER_V2 Thresholds:');
+    // V2 strategy buffer floor with SELECTION.settings.v2 over its defaults
+    const settings = resolveSettings(getStrategy('v2'), config.SELECTION.settings.v2);
+    console.log('\nTesting V2 buffer floor (SELECTION.settings.v2):');
     console.log('Days | Buffer % | Details');
     console.log('-----|----------|----------');
 
     for (let day = 1; day <= 21; day++) {
-        const buffer = config.MIN_BUFFER_V2.calc(day);
+        const buffer = computeMinBuffer(day, settings);
         let details = '';
 
-        if (day <= 2) {
+        if (day <= 1) {
             details = 'Base threshold';
-        } else if (buffer >= config.MIN_BUFFER_V2.max) {
+        } else if (buffer >= settings.maxBuffer) {
             details = 'Max cap reached';
         } else {
-            details = `Base + ${(day - 2) * config.MIN_BUFFER_V2.perDay}% added`;
+            details = `Base + ${(day - 1) * settings.bufferPerDay}% added`;
         }
 
         console.log(
@@ -0,0 +1,227 @@
+// src\circuitBreaker\index.js
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../logger');
+const { getStorage } = require('../storage');
+const { getNotional } = require('../risk');
+const { getPairKey } = require('../helpers/settlement');
+
+const MINUTE_MS = 60 * 1000;
+const STABLECOINS = ['USDT', 'FDUSD'];
+const DEFAULT_RESET_FILE = path.join(__dirname, '../../data/circuit-breaker.reset');
+
+let activeBreaker = null;
+
+// Value of `amount` coins in quote currency, 0 for a coin without a USDT/FDUSD price
+function valueOf(coin, amount, spotPrices) {
+    if (STABLECOINS.includes(coin)) return amount;
+    const price = spotPrices[`${coin}USDT`] || spotPrices[`${coin}FDUSD`];
+    return price ? amount * price : 0;
+}
+
+/**
+ * Spot balances plus open dual investment notional plus flexible loan collateral
+ * minus loan debt, in quote currency (coins without a USDT/FDUSD price are left out).
+ * Counting loans keeps borrowing (collateral leaves spot) and repaying (spot pays
+ * the debt) from showing up as equity moves.
+ */
+function computeEquity(spotBalances, positions, spotPrices, loans = []) {
+    const balanceValue = Object.entries(spotBalances).reduce((total, [coin, amount]) => total + valueOf(coin, amount, spotPrices), 0);
+    const positionValue = positions.reduce((total, pos) => {
+        const amount = parseFloat(pos.subscriptionAmount ?? pos.amount) || 0;
+        return total + getNotional(pos, amount, spotPrices[getPairKey(pos)]);
+    }, 0);
+    const loanValue = loans.reduce((total, loan) =>
+        total +
+        valueOf(loan.collateralCoin, parseFloat(loan.collateralAmount) || 0, spotPrices) -
+        valueOf(loan.loanCoin, parseFloat(loan.totalDebt) || 0, spotPrices), 0);
+    return balanceValue + positionValue + loanValue;
+}
+
+/**
+ * Kill switch for abnormal conditions. Trips on:
+ *   spotMove     spot moving more than spotMove.percent within spotMove.windowMinutes
+ *   apiErrors    maxConsecutiveApiErrors failed calls in a row from one source
+ *   balanceDrop  equity (spot balances + open dual investment notional + loan
+ *                collateral - loan debt) falling
+ *                balanceDrop.percent below its high within balanceDrop.windowHours
+ *   stalePositions  no successful position refresh for maxPositionAgeMinutes
+ *
+ * A trip is recorded in storage and emitted as 'trip'; the bot pauses entries and
+ * escalates hedging on it. It stays tripped, across restarts too, until reset by
+ * hand: `npm run reset-breaker` or creating the reset file. 'reset' is emitted then.
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.settings = config.CIRCUIT_BREAKER;
+        this.trip = null;                 // Open trip, null while the breaker is closed
+        this.priceHistory = new Map();    // symbol -> [{ time, price }] inside the spot move window
+        this.apiFailures = {};            // source -> consecutive failures
+        this.equityHistory = [];          // [{ time, equity }] inside the balance drop window
+    }
+
+    get resetFile() {
+        return this.settings.resetFile || DEFAULT_RESET_FILE;
+    }
+
+    // Pick up a trip that was still open when the bot stopped
+    load() {
+        try {
+            this.trip = getStorage(this.config).getOpenCircuitBreakerTrip();
+            if (this.trip) {
+                log(`🚨 Circuit breaker still tripped since ${new Date(this.trip.trippedAt).toISOString()}: ${this.trip.reason}`, 'error');
+            }
+        } catch (err) {
+            log(`Failed to load circuit breaker state: ${err.message}`, 'error');
+        }
+        return this.trip;
+    }
+
+    isTripped() {
+        return Boolean(this.trip);
+    }
+
+    tripBreaker(trigger, reason, details = {}, now = Date.now()) {
+        if (!this.settings.enabled || this.trip) return;
+
+        const trip = { trigger, reason, details, trippedAt: now };
+        try {
+            trip.id = getStorage(this.config).recordCircuitBreakerTrip(trip);
+        } catch (err) {
+            log(`Failed to record circuit breaker trip: ${err.message}`, 'error');
+        }
+        this.trip = trip;
+        log(`🚨 Circuit breaker tripped (${trigger}): ${reason}`, 'error');
+        this.emit('trip', trip);
+    }
+
+    reset(resetBy = 'manual', now = Date.now()) {
+        if (!this.trip) return false;
+        try {
+            getStorage(this.config).resetCircuitBreakerTrips(now, resetBy);
+        } catch (err) {
+            log(`Failed to record circuit breaker reset: ${err.message}`, 'error');
+        }
+        const trip = this.trip;
+        this.trip = null;
+        // Start the windows over, or the move that tripped it would trip it again
+        this.priceHistory.clear();
+        this.apiFailures = {};
+        this.equityHistory = [];
+        log(`✅ Circuit breaker reset (${resetBy}) after ${trip.trigger} trip`, 'info');
+        this.emit('reset', trip);
+        return true;
+    }
+
+    // Reset when the flag file exists (written by scripts/resetCircuitBreaker.js or by hand)
+    checkResetFlag(now = Date.now()) {
+        if (!fs.existsSync(this.resetFile)) return false;
+        try {
+            fs.unlinkSync(this.resetFile);
+        } catch (err) {
+            log(`Failed to remove circuit breaker reset flag: ${err.message}`, 'error');
+        }
+        return this.reset('reset flag', now);
+    }
+
+    recordPrice(symbol, price, now = Date.now()) {
+        if (!price) return;
+        const { percent, windowMinutes } = this.settings.spotMove;
+        const history = (this.priceHistory.get(symbol) || []).filter(point => now - point.time <= windowMinutes * MINUTE_MS);
+        history.push({ time: now, price });
+        this.priceHistory.set(symbol, history);
+
+        const prices = history.map(point => point.price);
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        const move = Math.max(price / low - 1, 1 - price / high) * 100;
+        if (move >= percent) {
+            const from = price / low - 1 >= 1 - price / high ? low : high;
+            this.tripBreaker(
+                'spotMove',
+                `${symbol} moved ${move.toFixed(2)}% (${from} → ${price}) within ${windowMinutes}m`,
+                { symbol, from, to: price, movePercent: move, windowMinutes },
+                now
+            );
+        }
+    }
+
+    recordApiResult(source, ok, error = null, now = Date.now()) {
+        if (ok) {
+            this.apiFailures[source] = 0;
+            return;
+        }
+        this.apiFailures[source] = (this.apiFailures[source] || 0) + 1;
+        const failures = this.apiFailures[source];
+        if (failures >= this.settings.maxConsecutiveApiErrors) {
+            this.tripBreaker(
+                'apiErrors',
+                `${failures} consecutive ${source} failures${error ? ` (last: ${error})` : ''}`,
+                { source, failures, lastError: error },
+                now
+            );
+        }
+    }
+
+    recordEquity(equity, now = Date.now()) {
+        if (!(equity > 0)) return;
+        const { percent, windowHours } = this.settings.balanceDrop;
+        this.equityHistory = this.equityHistory.filter(point => now - point.time <= windowHours * 60 * MINUTE_MS);
+        this.equityHistory.push({ time: now, equity });
+
+        const high = Math.max(...this.equityHistory.map(point => point.equity));
+        const drop = (1 - equity / high) * 100;
+        if (drop >= percent) {
+            this.tripBreaker(
+                'balanceDrop',
+                `Equity down ${drop.toFixed(2)}% (${high.toFixed(2)} → ${equity.toFixed(2)}) within ${windowHours}h`,
+                { high, equity, dropPercent: drop, windowHours },
+                now
+            );
+        }
+    }
+
+    checkPositionsFreshness(lastUpdated, now = Date.now()) {
+        const maxAge = this.settings.maxPositionAgeMinutes * MINUTE_MS;
+        if (lastUpdated && now - lastUpdated > maxAge) {
+            this.tripBreaker(
+                'stalePositions',
+                `Positions last refreshed ${Math.round((now - lastUpdated) / MINUTE_MS)}m ago`,
+                { lastUpdated },
+                now
+            );
+        }
+    }
+
+    getStatus() {
+        let recentTrips = [];
+        try {
+            recentTrips = getStorage(this.config).getCircuitBreakerTrips(20);
+        } catch (err) {
+            log(`Failed to load circuit breaker trips: ${err.message}`, 'error');
+        }
+        return {
+            enabled: this.settings.enabled,
+            tripped: this.isTripped(),
+            trip: this.trip,
+            apiFailures: this.apiFailures,
+            resetFile: this.resetFile,
+            recentTrips
+        };
+    }
+}
+
+// Shared breaker, so API helpers can report failures without passing it around
+function getCircuitBreaker(config) {
+    if (!activeBreaker) activeBreaker = new CircuitBreaker(config);
+    return activeBreaker;
+}
+
+function setCircuitBreaker(breaker) {
+    activeBreaker = breaker;
+}
+
+module.exports = { CircuitBreaker, getCircuitBreaker, setCircuitBreaker, computeEquity, DEFAULT_RESET_FILE };
@@ -4,9 +4,15 @@
  * This configuration module defines the core parameters for the cryptocurrency
  * dual investment trading platform, including risk management, ROI targets,
  * and market analysis settings.
+ *
+ * These are the defaults. The exported config layers a profile (CONFIG_PROFILE or
+ * --profile), an override file (CONFIG_FILE or --config-file, JSON or YAML) and
+ * CONFIG__ env overrides over them (src/configLoader); every key is described in
+ * src/configLoader/schema.js and checked at startup. npm run config prints the result.
  */
+const { loadConfig } = require('./configLoader');
 
-module.exports = {
+const baseConfig = {
     // Dynamic risk buffer calculation based on time to expiry
     RISK_BUFFER_CONFIG: {
         baseBuffer: 3.0,        // Base buffer percentage for ~2 days
@@ -21,6 +27,71 @@ module.exports = {
 
     BINANCE_API_KEY: process.env.BINANCE_API_KEY,
     BINANCE_API_SECRET: process.env.BINANCE_API_SECRET,
+
+    // Exchange adapter: 'binance' for the live API, 'simulated' to serve fixtures in-process
+    EXCHANGE: {
+        adapter: process.env.EXCHANGE_ADAPTER || 'binance',
+        baseUrl: process.env.BINANCE_BASE_URL || 'https://api.binance.com',
+        fixturesDir: process.env.EXCHANGE_FIXTURES_DIR,   // Defaults to fixtures/exchange
+
+        // 'live' talks to the adapter, 'record' also writes every request/response to a
+        // cassette (secrets redacted), 'replay' serves a cassette back instead of the adapter
+        mode: process.env.EXCHANGE_MODE || 'live',
+        cassette: process.env.EXCHANGE_CASSETTE            // Defaults to cassettes/<timestamp>.json when recording
+    },
+
+    // Paper trading (PAPER_TRADING=true or --paper): market data from the adapter above, while subscriptions,
+    // flexible loans and margin orders go to a simulated account that settles positions at settleDate.
+    // Uses data/paper.db unless STORAGE_FILE is set, so paper and live state never mix.
+    PAPER: {
+        enabled: process.env.PAPER_TRADING === 'true' || process.argv.includes('--paper'),
+        account: process.env.PAPER_ACCOUNT || 'default',     // Separate named accounts for parallel forward tests
+        startingBalances: { USDT: 10000, FDUSD: 10000 },     // Only used when the account is first opened
+        loanAnnualRate: 0.06                                  // Simple interest on paper loans
+    },
+
+    // SQLite storage for positions, hedge transitions, snapshots, executions, loans and settlements
+    STORAGE: {
+        file: process.env.STORAGE_FILE,      // Defaults to data/trading.db; ':memory:' for a scratch database
+        productSnapshotMinutes: 15           // How often the fetched product list is stored
+    },
+
+    // Read-only HTTP monitoring API, bound to localhost unless told otherwise
+    MONITOR: {
+        enabled: process.env.MONITOR_ENABLED === 'true',
+        host: process.env.MONITOR_HOST || '127.0.0.1',
+        port: Number(process.env.MONITOR_PORT) || 8788,
+        token: process.env.MONITOR_TOKEN,         // Optional bearer token
+        dashboardRefreshSeconds: 5                // Dashboard update (and spot price fetch) interval
+    },
+
+    // Independent jobs run by the scheduler. A tick that comes while the job is still running is
+    // skipped (reported as missed); runs longer than timeoutSeconds are reported as overruns.
+    // Jobs due at the same moment start in priority order, lowest first.
+    SCHEDULER: {
+        circuitBreaker: { intervalSeconds: 15, timeoutSeconds: 30, priority: 0 },
+        hedging: { intervalSeconds: 60, timeoutSeconds: 90, priority: 0 },
+        positions: { intervalSeconds: 60, timeoutSeconds: 45, priority: 1 },
+        balances: { intervalSeconds: 180, timeoutSeconds: 60, priority: 2 },
+        loans: { intervalSeconds: 120, timeoutSeconds: 60, priority: 2 },
+        execution: { intervalSeconds: 180, timeoutSeconds: 150, priority: 3 },
+        riskReport: { intervalSeconds: 900, timeoutSeconds: 60, priority: 4 }
+    },
+
+    // WebSocket ticker stream for every active pair; REST is used whenever it has no fresh price
+    PRICE_FEED: {
+        enabled: process.env.PRICE_FEED_ENABLED === 'true',
+        url: process.env.BINANCE_WS_URL || 'wss://stream.binance.com:9443',
+        maxAgeSeconds: 30,               // Older streamed prices are ignored
+        reconnectDelayMs: 1000,          // First reconnect delay, doubled per failed attempt
+        maxReconnectDelayMs: 30000,
+        reactionCooldownSeconds: 10      // Minimum gap between price-triggered hedge checks per pair
+    },
+
+    // Execution and hedging are off in the showcase build unless explicitly enabled
+    ENABLE_EXECUTION: process.env.ENABLE_EXECUTION === 'true',
+    ENABLE_HEDGING: process.env.ENABLE_HEDGING === 'true',
+
     FETCH_CONFIG: {
         pageSize: 20,    // Products per request
         pageIndex: 1     // Start with first page (highest strikes)
@@ -31,7 +102,47 @@ module.exports = {
     MAX_SHORT_TERM_POSITIONS: 10,
     EXPIRY_HOURS: [36, 350],
     SHORT_TERM_EXPIRY_HOURS: [22, 37],
-    MAX_TOTAL_POSITIONS: 30,
+    MAX_TOTAL_POSITIONS: 30,       // Reaching it pauses new entries (ENTRY_PAUSED), hedging keeps running
+    RUN_MODE: process.env.RUN_MODE || 'ACTIVE',   // Start in HEDGE_ONLY or HALTED to pin that mode
+    RUN_MODE_LIMITS: {
+        maxHedgedPositions: 10     // Reaching it (STEP1, FULL or UNWINDING hedges) switches to HEDGE_ONLY
+    },
+
+    // Caps on open dual investment notional (quote currency), checked before every subscription.
+    // Candidates that would breach one are downsized to the remaining room, or rejected below the minimum.
+    RISK_LIMITS: {
+        enabled: true,
+        maxTotalNotional: 30000,
+        maxNotionalPerCoin: { default: 10000 },             // Per underlying coin, e.g. { default: 10000, BTC: 15000 }
+        maxNotionalPerExpiry: 8000,                         // Per settlement day (UTC)
+        maxNotionalPerDirection: { PUT: 20000, CALL: 15000 },
+        minSubscriptionNotional: 100
+    },
+
+    // Kill switch. Any trigger pauses new entries (pinned HEDGE_ONLY) and escalates hedging (no breach
+    // confirmation, full size) until reset by hand: npm run reset-breaker, or create the reset file.
+    CIRCUIT_BREAKER: {
+        enabled: true,
+        spotMove: { percent: 8, windowMinutes: 15 },      // Any active pair moving this much within the window
+        maxConsecutiveApiErrors: 5,                       // Per call (positions, balances, subscriptions)
+        balanceDrop: { percent: 15, windowHours: 24 },    // Equity (balances + open notional + loan collateral - debt) below its high
+        maxPositionAgeMinutes: 10,                        // No successful position refresh for this long
+        resetFile: process.env.CIRCUIT_BREAKER_RESET_FILE // Defaults to data/circuit-breaker.reset
+    },
+
+    // Stress scenarios and historical VaR on the open book (npm run risk, /risk on the monitor)
+    RISK_REPORT: {
+        spotShocks: [-0.2, -0.15, -0.1, -0.05, 0.05, 0.1, 0.15, 0.2],   // Applied per coin and to the whole book
+        scenarios: [                                                       // Correlated moves, per coin with a default
+            { name: 'Broad crash', shocks: { default: -0.25, BTC: -0.2 } },
+            { name: 'Alt crash', shocks: { default: -0.35, BTC: -0.1, ETH: -0.2 } },
+            { name: 'Squeeze', shocks: { default: 0.2, BTC: 0.15 } }
+        ],
+        varHorizonHours: 24,
+        varConfidence: [0.95, 0.99],
+        varLookbackDays: 30,            // Spot series from stored product snapshots
+        minVarScenarios: 20             // Fewer recorded windows than this leaves VaR empty
+    },
     PUT_CALL_BALANCE: -0.5,        // -1 For Short only | 1 for Long only | 0 for both side Yield Max Roi
     ABS_RATIO_THRESHOLD: 3,      // Main safety filter: higher = require bigger buffer from spot for a given ROI
 
@@ -72,6 +183,13 @@ module.exports = {
             cooldownMinutes: 0           // Wait time between steps
         },
 
+        // Unwinding - reduce/close margin hedges once price recovers, never carry them past settlement
+        UNWIND: {
+            enabled: true,
+            hysteresisPercentage: 0.01,      // Spot must be 1% back inside break-even before unwinding
+            flattenBeforeSettleMinutes: 15   // Close any remaining hedge this long before settleDate
+        },
+
         // getMinRoiForExpiry: Minimum ROI by expiry, less important if ABS_RATIO_THRESHOLD is high
         getMinRoiForExpiry: function (daysToExpiry) {
             // 1% for 2 days or less, increases with expiry
@@ -81,6 +199,30 @@ module.exports = {
         }
     },
 
+    // Hedge strategy: 'dynamic' (break-even confirmation + fixed steps) or 'delta' (option delta target)
+    HEDGE_STRATEGY: 'dynamic',
+
+    // Delta hedging - positions valued as short puts/calls with vol implied from their APR
+    DELTA_HEDGE: {
+        activationDelta: 0.25,       // Start hedging once |delta| reaches 25% of position size
+        targetNetDelta: 0.1,         // Net delta left unhedged, as a fraction of position size
+        rebalanceThreshold: 0.05,    // Trade only when the hedge is 5% of position size off target
+        cooldownMinutes: 0,          // Wait time between hedge adjustments
+        fallbackVol: 0.6             // Used when a position's APR implies no volatility
+    },
+
+    // Implied volatility surface fitted from each product fetch
+    VOL_SURFACE: {
+        dir: process.env.VOL_SURFACE_DIR,   // Defaults to surfaces/
+        storeIntervalMinutes: 60,           // How often a timestamped surface is written to disk
+        minRichness: 0.02                   // IV this far above the fitted surface marks a product as a rich outlier
+    },
+
+    // Settlement ledger (settlements table) - realized P&L of settled positions
+    LEDGER: {
+        loanAnnualRate: 0.06         // Interest estimate for subscriptions funded by flexible loans
+    },
+
     // Advanced portfolio allocation algorithms
     ALLOCATION_ALGORITHMS: {
         // Dynamic PUT/CALL allocation based on market bias
@@ -129,24 +271,52 @@ module.exports = {
         }
     },
 
-    // Market volatility calendar for risk management
+    // Product selection strategies (src/strategies), per tenor and optionally per pair (e.g.
+    // pairs: { ETHUSDT: { shortTerm: ['v2'] } }); every listed strategy's picks are executed.
+    // A shadow strategy runs on the same products and only logs what it would have picked.
+    SELECTION: {
+        live: { shortTerm: ['v1'], longTerm: ['v1'] },
+        pairs: {},
+        shadow: process.env.SHADOW_STRATEGY || null,
+        settings: {}                     // Per strategy id, checked against its schema, e.g. { v2: { maxPerPair: 2 } }
+    },
+
+    // ROI targets rise with the open book: ×(1 + perActivePosition) per active position, and
+    // ×(1 + perDuplicate) per active position on the same pair, direction and settlement day
+    ROI_PRESSURE: {
+        perActivePosition: 0.017,
+        perDuplicate: 0.12
+    },
+
+    // Market event calendar (src/events): CPI prints, FOMC decisions and the like from .ics/.csv files
     MARKET_EVENTS: {
-        // High-impact economic events that may cause volatility
-        volatilityCalendar: [
-            '2025-06-11',   // U.S. Consumer Price Index (CPI) Release
-            '2025-06-18',   // Federal Open Market Committee (FOMC) Meeting
-            '2025-07-15',   // U.S. Consumer Price Index (CPI) Release
-            '2025-07-30',   // Federal Open Market Committee (FOMC) Meeting
-            '2025-08-12',   // U.S. Consumer Price Index (CPI) Release
-            '2025-09-17',   // Federal Open Market Committee (FOMC) Decision
-            '2025-10-29',   // Federal Open Market Committee (FOMC) Decision
-            '2025-12-10'    // Federal Open Market Committee (FOMC) Decision
-        ],
+        dir: process.env.MARKET_EVENTS_DIR,   // Calendar files, calendars/ when unset
+        reloadMinutes: 60,                    // Re-read the files so calendar edits apply without a restart
 
-        // Check if a given date conflicts with high-volatility events
-        isVolatileDate: function (date) {
-            const dateString = new Date(date).toISOString().split('T')[0];
-            return this.volatilityCalendar.includes(dateString);
+        // Per severity: blackout around the event (unless the event sets its own) and what an
+        // event whose blackout falls inside a product's life does to it
+        severities: {
+            high: {
+                blackoutBeforeMinutes: 720,
+                blackoutAfterMinutes: 240,
+                bufferMultiplier: 1.5,        // Selection buffer floor ×
+                sizeMultiplier: 0.5,          // Subscription size ×
+                escalateHedging: true         // Hedge fully, without breach confirmation, inside the blackout
+            },
+            medium: {
+                blackoutBeforeMinutes: 240,
+                blackoutAfterMinutes: 120,
+                bufferMultiplier: 1.2,
+                sizeMultiplier: 0.75,
+                escalateHedging: false
+            },
+            low: {
+                blackoutBeforeMinutes: 60,
+                blackoutAfterMinutes: 60,
+                bufferMultiplier: 1,
+                sizeMultiplier: 1,
+                escalateHedging: false
+            }
         }
     },
 
@@ -232,4 +402,6 @@ module.exports = {
                 }, {});
         }
     }
-};
\ No newline at end of file
+};
+
+module.exports = loadConfig(baseConfig);
\ No newline at end of file
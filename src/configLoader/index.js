@@ -0,0 +1,222 @@
+// src\configLoader\index.js
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_SCHEMA } = require('./schema');
+const { PROFILES } = require('./profiles');
+
+const ENV_PREFIX = 'CONFIG__';
+
+// Layers behind the config loaded last, for printConfig and the startup log
+let loadedLayers = { profile: null, file: null, env: [] };
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merge config overrides while keeping helper functions and their `this` binding
+function applyConfigOverrides(base, overrides = {}) {
+    const merged = Array.isArray(base) ? [...base] : { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        const current = merged[key];
+        if (isPlainObject(value) && isPlainObject(current)) {
+            merged[key] = applyConfigOverrides(current, value);
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+// `--name value` or `--name=value`
+function getArg(argv, name) {
+    const index = argv.findIndex(arg => arg === name || arg.startsWith(`${name}=`));
+    if (index === -1) return undefined;
+    return argv[index].includes('=') ? argv[index].slice(name.length + 1) : argv[index + 1];
+}
+
+function readOverrideFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    switch (path.extname(file).toLowerCase()) {
+        case '.json':
+            return JSON.parse(content);
+        case '.yaml':
+        case '.yml':
+            return require('yaml').parse(content) || {};
+        default:
+            throw new Error(`Config override file must be .json, .yaml or .yml: ${file}`);
+    }
+}
+
+/**
+ * CONFIG__<KEY>__<key>=value env vars as overrides, e.g.
+ * CONFIG__RISK_LIMITS__maxTotalNotional=20000. Path segments match existing keys
+ * case-insensitively; values are parsed as JSON when they are JSON, strings otherwise.
+ */
+function readEnvOverrides(env, base) {
+    const overrides = {};
+    const names = Object.keys(env).filter(name => name.startsWith(ENV_PREFIX)).sort();
+    names.forEach(name => {
+        const segments = name.slice(ENV_PREFIX.length).split('__');
+        let target = overrides;
+        let current = base;
+        segments.forEach((segment, i) => {
+            const key = (isPlainObject(current) && Object.keys(current).find(existing => existing.toLowerCase() === segment.toLowerCase())) || segment;
+            current = isPlainObject(current) ? current[key] : undefined;
+            if (i === segments.length - 1) {
+                try {
+                    target[key] = JSON.parse(env[name]);
+                } catch (err) {
+                    target[key] = env[name];
+                }
+            } else {
+                if (!isPlainObject(target[key])) target[key] = {};
+                target = target[key];
+            }
+        });
+    });
+    return { overrides, names };
+}
+
+/**
+ * Effective config: `base` (src/config.js, with its own env vars), then the
+ * profile (CONFIG_PROFILE or --profile), then the override file (CONFIG_FILE or
+ * --config-file, JSON or YAML), then CONFIG__ env overrides. Later layers win;
+ * objects are merged key by key, everything else is replaced.
+ * The result is not validated here, see validateConfig.
+ */
+function loadConfig(base, { env = process.env, argv = process.argv } = {}) {
+    const profile = getArg(argv, '--profile') || env.CONFIG_PROFILE || null;
+    if (profile && !PROFILES[profile]) {
+        throw new Error(`Unknown config profile: ${profile} (profiles: ${Object.keys(PROFILES).join(', ')})`);
+    }
+    const file = getArg(argv, '--config-file') || env.CONFIG_FILE || null;
+
+    let config = profile ? applyConfigOverrides(base, PROFILES[profile]) : base;
+    if (file) {
+        try {
+            config = applyConfigOverrides(config, readOverrideFile(path.resolve(file)));
+        } catch (error) {
+            throw new Error(`Cannot read config override file ${file}: ${error.message}`);
+        }
+    }
+    const envOverrides = readEnvOverrides(env, config);
+    config = applyConfigOverrides(config, envOverrides.overrides);
+
+    loadedLayers = { profile, file, env: envOverrides.names };
+    return config;
+}
+
+function getLoadedLayers() {
+    return loadedLayers;
+}
+
+const describe = value => (typeof value === 'function' ? 'a function' : JSON.stringify(value));
+
+function checkNumber(value, spec, keyPath, problems) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        problems.push(`${keyPath}: must be a number, got ${describe(value)}`);
+    } else if (spec.integer && !Number.isInteger(value)) {
+        problems.push(`${keyPath}: must be an integer, got ${value}`);
+    } else if (spec.min !== undefined && spec.max !== undefined && (value < spec.min || value > spec.max)) {
+        problems.push(`${keyPath}: must be between ${spec.min} and ${spec.max}, got ${value}`);
+    } else if (spec.min !== undefined && value < spec.min) {
+        problems.push(`${keyPath}: must be >= ${spec.min}, got ${value}`);
+    } else if (spec.max !== undefined && value > spec.max) {
+        problems.push(`${keyPath}: must be <= ${spec.max}, got ${value}`);
+    }
+}
+
+function checkValue(value, spec, keyPath, problems) {
+    if (value === undefined || value === null) {
+        if (!spec.optional) problems.push(`${keyPath}: missing`);
+        return;
+    }
+
+    const before = problems.length;
+    const join = key => (keyPath ? `${keyPath}.${key}` : key);
+    switch (spec.type) {
+        case 'number':
+            checkNumber(value, spec, keyPath, problems);
+            break;
+        case 'boolean':
+        case 'string':
+        case 'function':
+            if (typeof value !== spec.type) {
+                problems.push(`${keyPath}: must be a ${spec.type}, got ${describe(value)}`);
+            } else if (spec.oneOf && !spec.oneOf.includes(value)) {
+                problems.push(`${keyPath}: must be one of ${spec.oneOf.join(', ')}, got ${describe(value)}`);
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                problems.push(`${keyPath}: must be a list, got ${describe(value)}`);
+            } else if (spec.length !== undefined && value.length !== spec.length) {
+                problems.push(`${keyPath}: must have ${spec.length} entries, got ${value.length}`);
+            } else if (spec.minLength !== undefined && value.length < spec.minLength) {
+                problems.push(`${keyPath}: must have at least ${spec.minLength} entries`);
+            } else {
+                value.forEach((item, i) => checkValue(item, spec.items, `${keyPath}[${i}]`, problems));
+            }
+            break;
+        case 'object':
+            if (!isPlainObject(value)) {
+                problems.push(`${keyPath}: must be an object, got ${describe(value)}`);
+                break;
+            }
+            Object.entries(spec.keys).forEach(([key, keySpec]) => checkValue(value[key], keySpec, join(key), problems));
+            Object.keys(value).filter(key => !(key in spec.keys)).forEach(key => {
+                if (spec.values) checkValue(value[key], spec.values, join(key), problems);
+                else problems.push(`${join(key)}: unknown key`);
+            });
+            break;
+        default:
+            break;
+    }
+
+    if (spec.check && problems.length === before) {
+        const result = spec.check(value);
+        if (result !== true) problems.push(`${keyPath}: ${result}`);
+    }
+}
+
+// Every problem with `config` against CONFIG_SCHEMA, as "PATH: problem" lines
+function findConfigProblems(config, schema = CONFIG_SCHEMA) {
+    const problems = [];
+    checkValue(config, schema, '', problems);
+    return problems;
+}
+
+/**
+ * Check `config` against CONFIG_SCHEMA: missing and unknown keys, types and
+ * ranges. Throws listing every problem, so a bad config stops the bot at startup.
+ */
+function validateConfig(config) {
+    const problems = findConfigProblems(config);
+    if (problems.length) {
+        throw new Error(`Invalid config (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+    return config;
+}
+
+// JSON-friendly copy of `config`: secrets (per the schema) masked, functions named
+function toPrintableConfig(value, spec = CONFIG_SCHEMA) {
+    if (spec?.secret) return value ? '***' : value;
+    if (typeof value === 'function') return `[function ${value.name || 'anonymous'}]`;
+    if (Array.isArray(value)) return value.map(item => toPrintableConfig(item, spec?.items));
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+            [key, toPrintableConfig(item, spec?.keys?.[key] || spec?.values)]
+        ));
+    }
+    return value;
+}
+
+module.exports = {
+    loadConfig,
+    validateConfig,
+    findConfigProblems,
+    applyConfigOverrides,
+    readOverrideFile,
+    getLoadedLayers,
+    toPrintableConfig,
+    PROFILES,
+    CONFIG_SCHEMA
+};
@@ -0,0 +1,50 @@
+// src\configLoader\profiles.js
+
+/**
+ * Named config profiles (CONFIG_PROFILE or --profile), merged over src/config.js
+ * before the override file and CONFIG__ env overrides. Only the keys a profile
+ * changes are listed.
+ */
+const PROFILES = {
+    // Smaller tickets, wider buffers, tighter limits and an earlier circuit breaker
+    conservative: {
+        ALLOCATION_FRACTION: 0.05,
+        ABS_RATIO_THRESHOLD: 4,
+        MAX_TOTAL_POSITIONS: 15,
+        PUT_CALL_BALANCE: -0.5,
+        RISK_BUFFER_CONFIG: { baseBuffer: 4, maxBuffer: 10 },
+        RISK_LIMITS: {
+            maxTotalNotional: 15000,
+            maxNotionalPerCoin: { default: 5000 },
+            maxNotionalPerExpiry: 4000,
+            maxNotionalPerDirection: { PUT: 10000, CALL: 7500 }
+        },
+        ROI_PRESSURE: { perActivePosition: 0.025, perDuplicate: 0.2 },
+        CIRCUIT_BREAKER: { spotMove: { percent: 6, windowMinutes: 15 }, balanceDrop: { percent: 10, windowHours: 24 } }
+    },
+
+    // Larger tickets on both sides, thinner buffers and higher limits
+    aggressive: {
+        ALLOCATION_FRACTION: 0.2,
+        ABS_RATIO_THRESHOLD: 2,
+        MAX_TOTAL_POSITIONS: 50,
+        PUT_CALL_BALANCE: 0,
+        RISK_BUFFER_CONFIG: { baseBuffer: 2.5, maxBuffer: 6 },
+        RISK_LIMITS: {
+            maxTotalNotional: 60000,
+            maxNotionalPerCoin: { default: 20000 },
+            maxNotionalPerExpiry: 15000,
+            maxNotionalPerDirection: { PUT: 40000, CALL: 30000 }
+        },
+        ROI_PRESSURE: { perActivePosition: 0.01, perDuplicate: 0.08 }
+    },
+
+    // Live market data, simulated account: execution and hedging on against paper balances
+    paper: {
+        PAPER: { enabled: true },
+        ENABLE_EXECUTION: true,
+        ENABLE_HEDGING: true
+    }
+};
+
+module.exports = { PROFILES };
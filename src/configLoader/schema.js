@@ -0,0 +1,258 @@
+// src\configLoader\schema.js
+
+// Spec builders. Every spec may set `optional` (undefined/null allowed), `secret`
+// (redacted when printed) and `check(value)`, returning true or the problem as a string
+const number = (spec = {}) => ({ type: 'number', ...spec });
+const integer = (spec = {}) => ({ type: 'number', integer: true, ...spec });
+const boolean = (spec = {}) => ({ type: 'boolean', ...spec });
+const string = (spec = {}) => ({ type: 'string', ...spec });
+const func = (spec = {}) => ({ type: 'function', ...spec });
+const any = (spec = {}) => ({ type: 'any', ...spec });
+const optional = spec => ({ ...spec, optional: true });
+// Fixed `keys`, plus any other key checked against `values` when given (unknown keys are errors otherwise)
+const object = (keys, spec = {}) => ({ type: 'object', keys, ...spec });
+const mapOf = (values, spec = {}) => ({ type: 'object', keys: {}, values, ...spec });
+const arrayOf = (items, spec = {}) => ({ type: 'array', items, ...spec });
+
+const fraction = (spec = {}) => number({ min: 0, max: 1, ...spec });
+const percent = (spec = {}) => number({ min: 0, max: 100, ...spec });
+const minutes = (spec = {}) => number({ min: 0, ...spec });
+
+// [min, max] hours with min below max
+const hoursWindow = () => arrayOf(number({ min: 0 }), {
+    length: 2,
+    check: ([min, max]) => min < max || `min ${min} must be below max ${max}`
+});
+
+const job = () => object({
+    intervalSeconds: number({ min: 1 }),
+    timeoutSeconds: number({ min: 1 }),
+    priority: integer({ min: 0 })
+});
+
+const severity = () => object({
+    blackoutBeforeMinutes: minutes(),
+    blackoutAfterMinutes: minutes(),
+    bufferMultiplier: number({ min: 1 }),
+    sizeMultiplier: fraction(),
+    escalateHedging: boolean()
+});
+
+// One strategy id or a list of them
+const strategyIds = () => any({
+    check: ids => (typeof ids === 'string' || (Array.isArray(ids) && ids.length > 0 && ids.every(id => typeof id === 'string'))) ||
+        'must be a strategy id or a non-empty list of them'
+});
+
+const asset = () => object({
+    active: boolean(),
+    tier: integer({ min: 1 }),
+    put: object({ exercisedCoin: string(), investCoin: string() }),
+    call: object({ exercisedCoin: string(), investCoin: string() }),
+    decimalPrecision: integer({ min: 0, max: 8 }),
+    minInvestment: number({ min: 0 })
+});
+
+/**
+ * Every key of src/config.js with its type and bounds. validateConfig rejects
+ * missing keys, unknown keys (typos in profiles and override files), wrong types
+ * and out-of-range values against it.
+ */
+const CONFIG_SCHEMA = object({
+    RISK_BUFFER_CONFIG: object({
+        baseBuffer: percent(),
+        dailyIncrement: percent(),
+        maxBuffer: percent(),
+        calculateBuffer: func()
+    }, { check: ({ baseBuffer, maxBuffer }) => baseBuffer <= maxBuffer || `baseBuffer ${baseBuffer} above maxBuffer ${maxBuffer}` }),
+
+    BINANCE_API_KEY: optional(string({ secret: true })),
+    BINANCE_API_SECRET: optional(string({ secret: true })),
+
+    EXCHANGE: object({
+        adapter: string({ oneOf: ['binance', 'simulated'] }),
+        baseUrl: string(),
+        fixturesDir: optional(string()),
+        mode: string({ oneOf: ['live', 'record', 'replay'] }),
+        cassette: optional(string())
+    }, { check: ({ mode, cassette }) => mode !== 'replay' || Boolean(cassette) || 'replay mode needs a cassette (EXCHANGE_CASSETTE)' }),
+
+    PAPER: object({
+        enabled: boolean(),
+        account: string(),
+        startingBalances: mapOf(number({ min: 0 })),
+        loanAnnualRate: fraction()
+    }),
+
+    STORAGE: object({
+        file: optional(string()),
+        productSnapshotMinutes: minutes({ min: 1 })
+    }),
+
+    MONITOR: object({
+        enabled: boolean(),
+        host: string(),
+        port: integer({ min: 1, max: 65535 }),
+        token: optional(string({ secret: true })),
+        dashboardRefreshSeconds: number({ min: 1 })
+    }),
+
+    SCHEDULER: object({
+        circuitBreaker: job(),
+        hedging: job(),
+        positions: job(),
+        balances: job(),
+        loans: job(),
+        execution: job(),
+        riskReport: job()
+    }),
+
+    PRICE_FEED: object({
+        enabled: boolean(),
+        url: string(),
+        maxAgeSeconds: number({ min: 1 }),
+        reconnectDelayMs: number({ min: 0 }),
+        maxReconnectDelayMs: number({ min: 0 }),
+        reactionCooldownSeconds: number({ min: 0 })
+    }),
+
+    ENABLE_EXECUTION: boolean(),
+    ENABLE_HEDGING: boolean(),
+
+    FETCH_CONFIG: object({
+        pageSize: integer({ min: 1, max: 100 }),
+        pageIndex: integer({ min: 1 })
+    }),
+    INVESTMENT_AMOUNT: number({ min: 0 }),
+    ALLOCATION_FRACTION: fraction(),
+    MAX_POSITIONS_PER_PAIR: integer({ min: 1 }),
+    MAX_SHORT_TERM_POSITIONS: integer({ min: 0 }),
+    EXPIRY_HOURS: hoursWindow(),
+    SHORT_TERM_EXPIRY_HOURS: hoursWindow(),
+    MAX_TOTAL_POSITIONS: integer({ min: 1 }),
+    RUN_MODE: string({ oneOf: ['ACTIVE', 'ENTRY_PAUSED', 'HEDGE_ONLY', 'HALTED'] }),
+    RUN_MODE_LIMITS: object({
+        maxHedgedPositions: integer({ min: 1 })
+    }),
+
+    RISK_LIMITS: object({
+        enabled: boolean(),
+        maxTotalNotional: number({ min: 0 }),
+        maxNotionalPerCoin: mapOf(number({ min: 0 }), { keys: { default: number({ min: 0 }) } }),
+        maxNotionalPerExpiry: number({ min: 0 }),
+        maxNotionalPerDirection: object({ PUT: number({ min: 0 }), CALL: number({ min: 0 }) }),
+        minSubscriptionNotional: number({ min: 0 })
+    }),
+
+    CIRCUIT_BREAKER: object({
+        enabled: boolean(),
+        spotMove: object({ percent: percent({ min: 0.1 }), windowMinutes: minutes({ min: 1 }) }),
+        maxConsecutiveApiErrors: integer({ min: 1 }),
+        balanceDrop: object({ percent: percent({ min: 0.1 }), windowHours: number({ min: 1 }) }),
+        maxPositionAgeMinutes: minutes({ min: 1 }),
+        resetFile: optional(string())
+    }),
+
+    RISK_REPORT: object({
+        spotShocks: arrayOf(number({ min: -1 }), { minLength: 1 }),
+        scenarios: arrayOf(object({ name: string(), shocks: mapOf(number({ min: -1 })) })),
+        varHorizonHours: number({ min: 1 }),
+        varConfidence: arrayOf(number({ min: 0.5, max: 0.9999 }), { minLength: 1 }),
+        varLookbackDays: number({ min: 1 }),
+        minVarScenarios: integer({ min: 1 })
+    }),
+    PUT_CALL_BALANCE: number({ min: -1, max: 1 }),
+    ABS_RATIO_THRESHOLD: number({ min: 0 }),
+
+    RISK_MANAGEMENT: object({
+        breachConfirmationMinutes: minutes(),
+        progressiveHedging: object({
+            enabled: boolean(),
+            initialHedgePercentage: fraction(),
+            fullHedgePercentage: fraction(),
+            escalationThreshold: fraction(),
+            cooldownPeriod: minutes()
+        }),
+        calculateMinimumROI: func()
+    }),
+
+    HEDGE_SAFETY: object({
+        BREACH_CONFIRMATION_MINUTES: minutes(),
+        PARTIAL_HEDGE: object({
+            enabled: boolean(),
+            step1Percentage: fraction(),
+            step2Percentage: fraction(),
+            sizeUpThreshold: fraction(),
+            cooldownMinutes: minutes()
+        }, { check: ({ step1Percentage, step2Percentage }) => step1Percentage <= step2Percentage || 'step1Percentage above step2Percentage' }),
+        UNWIND: object({
+            enabled: boolean(),
+            hysteresisPercentage: fraction(),
+            flattenBeforeSettleMinutes: minutes()
+        }),
+        getMinRoiForExpiry: func()
+    }),
+
+    HEDGE_STRATEGY: string({ oneOf: ['dynamic', 'delta'] }),
+
+    DELTA_HEDGE: object({
+        activationDelta: fraction(),
+        targetNetDelta: fraction(),
+        rebalanceThreshold: fraction(),
+        cooldownMinutes: minutes(),
+        fallbackVol: number({ min: 0.01, max: 10 })
+    }, { check: ({ activationDelta, targetNetDelta }) => targetNetDelta <= activationDelta || 'targetNetDelta above activationDelta' }),
+
+    VOL_SURFACE: object({
+        dir: optional(string()),
+        storeIntervalMinutes: minutes({ min: 1 }),
+        minRichness: number()
+    }),
+
+    LEDGER: object({
+        loanAnnualRate: fraction()
+    }),
+
+    ALLOCATION_ALGORITHMS: object({
+        calculateAllocation: func()
+    }),
+
+    ROI_STRATEGIES: object({
+        longTermROI: object({
+            sqrtGrowthRate: number({ min: 0 }),
+            logSustainFactor: number({ min: 0 }),
+            calculate: func()
+        }),
+        shortTermROI: object({
+            baseROI: number({ min: 0 }),
+            growthFactor: number({ min: 0 }),
+            exponentialRate: number({ min: 0 }),
+            calculate: func()
+        })
+    }),
+
+    // Strategy ids and their settings are checked by validateSelectionConfig (src/strategies)
+    SELECTION: object({
+        live: object({ shortTerm: strategyIds(), longTerm: strategyIds() }),
+        pairs: mapOf(object({ shortTerm: optional(strategyIds()), longTerm: optional(strategyIds()) })),
+        shadow: optional(string()),
+        settings: mapOf(mapOf(any()))
+    }),
+
+    ROI_PRESSURE: object({
+        perActivePosition: fraction(),
+        perDuplicate: fraction()
+    }),
+
+    MARKET_EVENTS: object({
+        dir: optional(string()),
+        reloadMinutes: minutes({ min: 1 }),
+        severities: object({ high: severity(), medium: severity(), low: severity() })
+    }),
+
+    SUPPORTED_ASSETS: mapOf(asset(), {
+        keys: { getActivePairs: func(), getPairsByTier: func() }
+    })
+});
+
+module.exports = { CONFIG_SCHEMA };
@@ -0,0 +1,291 @@
+// src\events\index.js
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../logger');
+
+const MINUTE_MS = 60 * 1000;
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'calendars');
+
+let activeCalendar = null;
+
+const rank = severity => SEVERITY_RANK[severity] || 0;
+
+// Split one CSV line, honouring double-quoted fields ("" inside quotes is a quote)
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+const optionalNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * CSV calendar: a header row naming the columns, then one event per row.
+ *   time                    ISO 8601, UTC unless it carries an offset (a bare date is 00:00 UTC)
+ *   title                   e.g. "FOMC rate decision"
+ *   severity                low, medium or high
+ *   blackoutBeforeMinutes   optional, the severity's default otherwise
+ *   blackoutAfterMinutes    optional, the severity's default otherwise
+ * Blank lines and lines starting with # are skipped.
+ */
+function parseCsv(text, source) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (!lines.length) return [];
+
+    const header = splitCsvLine(lines[0]).map(name => name.toLowerCase());
+    const column = name => header.indexOf(name.toLowerCase());
+    if (column('time') === -1) throw new Error(`${source}: CSV header needs a time column`);
+
+    return lines.slice(1).map((line, index) => {
+        const fields = splitCsvLine(line);
+        const field = name => (column(name) === -1 ? undefined : fields[column(name)]);
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(field('time'));
+        return {
+            time: Date.parse(dateOnly ? `${field('time')}T00:00:00Z` : field('time')),
+            title: field('title') || 'Untitled event',
+            severity: (field('severity') || '').toLowerCase(),
+            blackoutBeforeMinutes: optionalNumber(field('blackoutBeforeMinutes')),
+            blackoutAfterMinutes: optionalNumber(field('blackoutAfterMinutes')),
+            source: `${source}:${index + 2}`
+        };
+    });
+}
+
+// 20261028T180000Z, 20261028T180000 (read as UTC) or 20261028 (00:00 UTC)
+function parseIcsDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+    if (!match) return NaN;
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00'] = match;
+    return Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds);
+}
+
+// ICS PRIORITY is 1 (highest) to 9 (lowest), 0 when undefined
+function severityFromPriority(priority) {
+    if (!priority) return '';
+    if (priority <= 4) return 'high';
+    if (priority === 5) return 'medium';
+    return 'low';
+}
+
+/**
+ * ICS calendar (RFC 5545): every VEVENT with a DTSTART. SUMMARY is the title;
+ * severity comes from X-SEVERITY, else PRIORITY; X-BLACKOUT-BEFORE and
+ * X-BLACKOUT-AFTER (minutes) override the severity's blackout. An event with a
+ * DTEND blacks out from DTSTART to DTEND plus its windows. Times should be UTC:
+ * TZID is not converted, such times are read as UTC.
+ */
+function parseIcs(text, source) {
+    // Unfold continuation lines (RFC 5545 3.1)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    let zonedTimes = 0;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current.DTSTART) events.push(current);
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const [name, ...params] = line.slice(0, separator).split(';');
+        if ((name === 'DTSTART' || name === 'DTEND') && params.some(param => param.startsWith('TZID='))) zonedTimes++;
+        current[name.toUpperCase()] = line.slice(separator + 1).replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+    });
+
+    if (zonedTimes) log(`Market events: ${source} has ${zonedTimes} TZID time(s), read as UTC`, 'warn');
+
+    return events.map((event, index) => ({
+        time: parseIcsDate(event.DTSTART),
+        endTime: event.DTEND ? parseIcsDate(event.DTEND) : undefined,
+        title: event.SUMMARY || 'Untitled event',
+        severity: (event['X-SEVERITY'] || severityFromPriority(Number(event.PRIORITY))).toLowerCase(),
+        blackoutBeforeMinutes: optionalNumber(event['X-BLACKOUT-BEFORE']),
+        blackoutAfterMinutes: optionalNumber(event['X-BLACKOUT-AFTER']),
+        source: `${source}#${index + 1}`
+    }));
+}
+
+const PARSERS = { '.csv': parseCsv, '.ics': parseIcs };
+
+/**
+ * Market event calendar (MARKET_EVENTS): CPI prints, FOMC decisions and the like,
+ * loaded from the .ics and .csv files in MARKET_EVENTS.dir and reloaded every
+ * reloadMinutes, so a calendar can be updated without a restart.
+ *
+ * Every event has a time, a severity (low, medium, high) and a blackout window
+ * before and after it, by default the severity's. Selection asks getImpact for
+ * the events whose blackout overlaps a product's life (now to settleDate) and
+ * raises its buffer floor by their bufferMultiplier; execution scales the
+ * subscription by their sizeMultiplier; hedging is escalated while inside the
+ * blackout of an event whose severity has escalateHedging.
+ */
+class MarketCalendar {
+    constructor(config) {
+        this.config = config;
+        this.settings = config.MARKET_EVENTS;
+        this.dir = this.settings.dir || DEFAULT_DIR;
+        this.events = [];
+        this.files = [];
+        this.loadedAt = null;
+    }
+
+    // Defaults for an event's severity, with its own blackout overrides; null for an unknown severity
+    resolveEvent(event) {
+        const defaults = this.settings.severities[event.severity];
+        if (!defaults || !rank(event.severity)) {
+            log(`Market events: skipping ${event.source}, unknown severity "${event.severity}"`, 'warn');
+            return null;
+        }
+        if (!Number.isFinite(event.time)) {
+            log(`Market events: skipping ${event.source}, unreadable time`, 'warn');
+            return null;
+        }
+        const before = event.blackoutBeforeMinutes ?? defaults.blackoutBeforeMinutes;
+        const after = event.blackoutAfterMinutes ?? defaults.blackoutAfterMinutes;
+        return {
+            title: event.title,
+            severity: event.severity,
+            time: event.time,
+            blackoutStart: event.time - before * MINUTE_MS,
+            blackoutEnd: (event.endTime ?? event.time) + after * MINUTE_MS,
+            bufferMultiplier: defaults.bufferMultiplier,
+            sizeMultiplier: defaults.sizeMultiplier,
+            escalateHedging: defaults.escalateHedging,
+            source: event.source
+        };
+    }
+
+    // Read every calendar file; a file that fails to parse is logged and left out,
+    // one without upcoming events is kept but warned about (its dates need extending)
+    load(now = Date.now()) {
+        let fileNames = [];
+        try {
+            fileNames = fs.readdirSync(this.dir).filter(name => PARSERS[path.extname(name).toLowerCase()]).sort();
+        } catch (error) {
+            log(`Market events: cannot read ${this.dir}: ${error.message}`, 'warn');
+        }
+
+        const events = [];
+        this.files = [];
+        fileNames.forEach(name => {
+            try {
+                const parse = PARSERS[path.extname(name).toLowerCase()];
+                const parsed = parse(fs.readFileSync(path.join(this.dir, name), 'utf8'), name)
+                    .map(event => this.resolveEvent(event))
+                    .filter(Boolean);
+                const lastEventAt = parsed.length ? Math.max(...parsed.map(event => event.time)) : null;
+                if (lastEventAt === null || lastEventAt < now) {
+                    log(`Market events: ${name} has no upcoming events${lastEventAt ? ` (last ${new Date(lastEventAt).toISOString().slice(0, 10)})` : ''}, add the next dates`, 'warn');
+                }
+                events.push(...parsed);
+                this.files.push({ name, events: parsed.length, lastEventAt });
+            } catch (error) {
+                log(`Market events: failed to load ${name}: ${error.message}`, 'error');
+            }
+        });
+
+        this.events = events.sort((a, b) => a.time - b.time);
+        this.loadedAt = Date.now();
+        log(`Market events: ${this.events.length} events from ${this.files.length} calendar file(s) in ${this.dir}`, 'debug');
+        return this.events;
+    }
+
+    ensureLoaded() {
+        if (this.loadedAt === null || Date.now() - this.loadedAt >= this.settings.reloadMinutes * MINUTE_MS) {
+            this.load();
+        }
+    }
+
+    // Events at `minSeverity` or above whose blackout overlaps [from, to], most severe first
+    findOverlapping(from, to, minSeverity = 'low') {
+        this.ensureLoaded();
+        return this.events
+            .filter(event => rank(event.severity) >= rank(minSeverity) && event.blackoutStart <= to && event.blackoutEnd >= from)
+            .sort((a, b) => rank(b.severity) - rank(a.severity) || a.time - b.time);
+    }
+
+    // Events whose blackout `now` is inside
+    getActiveEvents(now = Date.now(), minSeverity = 'low') {
+        return this.findOverlapping(now, now, minSeverity);
+    }
+
+    /**
+     * What the events between `from` and `to` (a product's life) mean for it:
+     * the largest bufferMultiplier, the smallest sizeMultiplier and whether any
+     * escalates hedging. Multipliers are 1 and `events` empty when the window is clear.
+     */
+    getImpact(from, to) {
+        const events = this.findOverlapping(from, to);
+        return {
+            events,
+            bufferMultiplier: Math.max(1, ...events.map(event => event.bufferMultiplier)),
+            sizeMultiplier: Math.min(1, ...events.map(event => event.sizeMultiplier)),
+            escalateHedging: events.some(event => event.escalateHedging)
+        };
+    }
+
+    getUpcoming(now = Date.now(), limit = 20) {
+        this.ensureLoaded();
+        return this.events.filter(event => event.blackoutEnd >= now).slice(0, limit);
+    }
+
+    getStatus(now = Date.now()) {
+        this.ensureLoaded();
+        return {
+            dir: this.dir,
+            loadedAt: this.loadedAt,
+            files: this.files,
+            active: this.getActiveEvents(now),
+            upcoming: this.getUpcoming(now)
+        };
+    }
+}
+
+// "FOMC rate decision (high, 2026-10-28 18:00 UTC)"
+function formatEvent(event) {
+    const time = new Date(event.time).toISOString().slice(0, 16).replace('T', ' ');
+    return `${event.title} (${event.severity}, ${time} UTC)`;
+}
+
+// Shared calendar, so selection, execution and hedging read the same events
+function getMarketCalendar(config) {
+    if (!activeCalendar) activeCalendar = new MarketCalendar(config);
+    return activeCalendar;
+}
+
+function setMarketCalendar(calendar) {
+    activeCalendar = calendar;
+}
+
+module.exports = { MarketCalendar, getMarketCalendar, setMarketCalendar, parseCsv, parseIcs, formatEvent };
@@ -0,0 +1,102 @@
+// src\exchange\base.js
+
+/**
+ * Exchange adapter interface.
+ *
+ * Adapters only implement `request(method, path, params, { signed })`, which
+ * resolves with the response body in Binance's shape. The endpoint methods
+ * below are shared, so every adapter (live, simulated, ...) exposes the same API
+ * to the helpers.
+ *
+ * Failed requests reject with an error carrying `response.status` and
+ * `response.data.{code,msg}`, matching what axios produces, so existing
+ * `error.response?.data?.msg` handling keeps working for every adapter.
+ */
+class ExchangeAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async request() {
+        throw new Error(`${this.name} adapter does not implement request()`);
+    }
+
+    hasCredentials() {
+        return true;
+    }
+
+    // === Dual investment ===
+    getDualInvestmentProducts(params) {
+        return this.request('GET', '/sapi/v1/dci/product/list', params, { signed: true });
+    }
+
+    getDualInvestmentPositions(params) {
+        return this.request('GET', '/sapi/v1/dci/product/positions', params, { signed: true });
+    }
+
+    subscribeDualInvestment(params) {
+        return this.request('POST', '/sapi/v1/dci/product/subscribe', params, { signed: true });
+    }
+
+    // === Spot ===
+    getTickerPrice(symbol) {
+        return this.request('GET', '/api/v3/ticker/price', { symbol });
+    }
+
+    getAccount() {
+        return this.request('GET', '/api/v3/account', {}, { signed: true });
+    }
+
+    getExchangeInfo() {
+        return this.request('GET', '/api/v3/exchangeInfo');
+    }
+
+    // Candles as [openTime, open, high, low, close, volume, closeTime, ...]
+    getKlines(params) {
+        return this.request('GET', '/api/v3/klines', params);
+    }
+
+    // === Flexible loans ===
+    // Loanable coins with their hourly interest rate and borrow limits
+    getFlexibleLoanAssets(params) {
+        return this.request('GET', '/sapi/v2/loan/flexible/loanable/data', params, { signed: true });
+    }
+
+    // Collateral coins with their initial, margin call and liquidation LTV
+    getFlexibleLoanCollaterals(params) {
+        return this.request('GET', '/sapi/v2/loan/flexible/collateral/data', params, { signed: true });
+    }
+
+    getFlexibleLoanOngoingOrders(params) {
+        return this.request('GET', '/sapi/v2/loan/flexible/ongoing/orders', params, { signed: true });
+    }
+
+    flexibleLoanBorrow(params) {
+        return this.request('POST', '/sapi/v2/loan/flexible/borrow', params, { signed: true });
+    }
+
+    flexibleLoanRepay(params) {
+        return this.request('POST', '/sapi/v2/loan/flexible/repay', params, { signed: true });
+    }
+
+    // direction: ADDITIONAL adds collateral, REDUCED takes it back
+    flexibleLoanAdjustLtv(params) {
+        return this.request('POST', '/sapi/v2/loan/flexible/adjust/ltv', params, { signed: true });
+    }
+
+    // === Cross margin ===
+    placeMarginOrder(params) {
+        return this.request('POST', '/sapi/v1/margin/order', params, { signed: true });
+    }
+}
+
+// Error shaped like an axios response error
+class ExchangeError extends Error {
+    constructor(status, code, msg) {
+        super(msg);
+        this.name = 'ExchangeError';
+        this.response = { status, data: { code, msg } };
+    }
+}
+
+module.exports = { ExchangeAdapter, ExchangeError };
@@ -0,0 +1,49 @@
+// src\exchange\binance.js
+const axios = require('axios');
+const crypto = require('crypto');
+const { ExchangeAdapter } = require('./base');
+
+const DEFAULT_BASE_URL = 'https://api.binance.com';
+
+// Generate a signature for API requests
+function generateSignature(queryString, apiSecret) {
+    if (!apiSecret) throw new Error('API Secret is undefined');
+    return crypto.createHmac('sha256', apiSecret)
+        .update(queryString)
+        .digest('hex');
+}
+
+class BinanceExchange extends ExchangeAdapter {
+    constructor({ apiKey, apiSecret, baseUrl = DEFAULT_BASE_URL } = {}) {
+        super('binance');
+        this.apiKey = apiKey;
+        this.apiSecret = apiSecret;
+        this.baseUrl = baseUrl;
+    }
+
+    hasCredentials() {
+        return Boolean(this.apiKey && this.apiSecret);
+    }
+
+    async request(method, path, params = {}, { signed = false } = {}) {
+        let query = { ...params };
+        const headers = {};
+
+        if (signed) {
+            query.timestamp = query.timestamp || Date.now();
+            const queryString = new URLSearchParams(query).toString();
+            query.signature = generateSignature(queryString, this.apiSecret);
+            headers['X-MBX-APIKEY'] = this.apiKey;
+        }
+
+        const response = await axios.request({
+            method,
+            url: `${this.baseUrl}${path}`,
+            params: query,
+            headers
+        });
+        return response.data;
+    }
+}
+
+module.exports = { BinanceExchange, generateSignature, DEFAULT_BASE_URL };
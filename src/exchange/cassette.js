@@ -0,0 +1,166 @@
+// src\exchange\cassette.js
+const fs = require('fs');
+const path = require('path');
+const { ExchangeAdapter, ExchangeError } = require('./base');
+
+const CASSETTE_VERSION = 1;
+const VOLATILE_PARAMS = ['timestamp', 'signature', 'recvWindow'];
+const SECRET_PATTERN = /key|secret|signature|token/i;
+const REDACTED = '[REDACTED]';
+
+// Params as recorded: no signing artifacts, secret-looking values redacted
+function redactParams(params = {}, secrets = []) {
+    const redacted = {};
+    Object.keys(params).sort().forEach(key => {
+        if (VOLATILE_PARAMS.includes(key)) return;
+        const value = params[key];
+        redacted[key] = SECRET_PATTERN.test(key) || secrets.includes(value) ? REDACTED : value;
+    });
+    return redacted;
+}
+
+// Stable lookup key: same endpoint + same params = same interaction
+function interactionKey(method, path, params) {
+    return `${method.toUpperCase()} ${path} ${JSON.stringify(params)}`;
+}
+
+function errorToRecord(error) {
+    return {
+        status: error.response?.status || 0,
+        code: error.response?.data?.code ?? -1000,
+        msg: error.response?.data?.msg || error.message
+    };
+}
+
+/**
+ * Wraps a live adapter and writes every request/response pair to a cassette
+ * file. API keys and signatures never reach the file.
+ */
+class RecordingExchange extends ExchangeAdapter {
+    constructor(inner, { cassettePath, secrets = [], state = {} }) {
+        super(`recording:${inner.name}`);
+        this.inner = inner;
+        this.cassettePath = cassettePath;
+        this.secrets = secrets.filter(Boolean);
+        this.cassette = {
+            version: CASSETTE_VERSION,
+            recordedAt: new Date().toISOString(),
+            adapter: inner.name,
+            state,
+            interactions: []
+        };
+        fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+        this.save();
+    }
+
+    hasCredentials() {
+        return this.inner.hasCredentials();
+    }
+
+    async request(method, path, params = {}, options = {}) {
+        const interaction = {
+            seq: this.cassette.interactions.length,
+            time: Date.now(),
+            method: method.toUpperCase(),
+            path,
+            params: redactParams(params, this.secrets)
+        };
+        this.cassette.interactions.push(interaction);
+
+        try {
+            const response = await this.inner.request(method, path, params, options);
+            interaction.response = response;
+            return response;
+        } catch (error) {
+            interaction.error = errorToRecord(error);
+            throw error;
+        } finally {
+            this.save();
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.cassettePath, JSON.stringify(this.cassette, null, 2));
+    }
+}
+
+/**
+ * Serves a recorded cassette back. Interactions are matched on method, path and
+ * params and handed out in recorded order per key. Anything the cassette cannot
+ * answer is a miss and fails like an exchange error would.
+ *
+ * `currentTime` follows the recorded time of the last served interaction, so a
+ * replay runner can pin the clock to the recording.
+ */
+class ReplayExchange extends ExchangeAdapter {
+    constructor(cassette) {
+        super('replay');
+        this.cassette = cassette;
+        this.queues = new Map();
+        cassette.interactions.forEach(interaction => {
+            const key = interactionKey(interaction.method, interaction.path, interaction.params);
+            if (!this.queues.has(key)) this.queues.set(key, []);
+            this.queues.get(key).push(interaction);
+        });
+        this.currentTime = cassette.interactions[0]?.time ?? null;
+        // Every request the replayed code made, in order; seq is null for misses
+        this.requests = [];
+    }
+
+    static load(cassettePath) {
+        return new ReplayExchange(JSON.parse(fs.readFileSync(cassettePath, 'utf8')));
+    }
+
+    async request(method, path, params = {}) {
+        const recordedParams = redactParams(params);
+        const key = interactionKey(method, path, recordedParams);
+        const interaction = this.queues.get(key)?.shift();
+        this.requests.push({
+            seq: interaction ? interaction.seq : null,
+            method: method.toUpperCase(),
+            path,
+            params: recordedParams
+        });
+
+        if (!interaction) {
+            throw new ExchangeError(599, -1000, `No recorded response for ${method.toUpperCase()} ${path}`);
+        }
+
+        this.currentTime = interaction.time;
+
+        if (interaction.error) {
+            const { status, code, msg } = interaction.error;
+            throw new ExchangeError(status, code, msg);
+        }
+        return JSON.parse(JSON.stringify(interaction.response));
+    }
+
+    getMisses() {
+        return this.requests.filter(request => request.seq === null);
+    }
+
+    // Recorded interactions the replayed code never asked for
+    getUnused() {
+        const served = new Set(this.requests.map(request => request.seq));
+        return this.cassette.interactions
+            .filter(interaction => !served.has(interaction.seq))
+            .map(({ seq, method, path, params }) => ({ seq, method, path, params }));
+    }
+
+    // Canonical summary of the replay, stable across runs of the same code
+    getTranscript() {
+        return {
+            cassetteRecordedAt: this.cassette.recordedAt,
+            requests: this.requests,
+            misses: this.getMisses().length,
+            unused: this.getUnused()
+        };
+    }
+}
+
+module.exports = {
+    RecordingExchange,
+    ReplayExchange,
+    redactParams,
+    interactionKey
+};
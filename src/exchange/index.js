@@ -0,0 +1,97 @@
+// src\exchange\index.js
+const path = require('path');
+const { log } = require('../logger');
+const { getStorage } = require('../storage');
+const { ExchangeAdapter, ExchangeError } = require('./base');
+const { BinanceExchange, generateSignature } = require('./binance');
+const { SimulatedExchange } = require('./simulated');
+const { RecordingExchange, ReplayExchange } = require('./cassette');
+const { PaperExchange } = require('./paper');
+
+const CASSETTE_DIR = path.join(__dirname, '../../cassettes');
+
+let activeExchange = null;
+
+function createAdapter(config) {
+    const exchangeConfig = config.EXCHANGE || {};
+    const adapter = exchangeConfig.adapter || 'binance';
+
+    switch (adapter) {
+        case 'binance':
+            return new BinanceExchange({
+                apiKey: config.BINANCE_API_KEY,
+                apiSecret: config.BINANCE_API_SECRET,
+                baseUrl: exchangeConfig.baseUrl
+            });
+        case 'simulated':
+            return new SimulatedExchange({ fixturesDir: exchangeConfig.fixturesDir });
+        default:
+            throw new Error(`Unknown exchange adapter: ${adapter}`);
+    }
+}
+
+// Adapter for the configured mode: 'live' (default), 'record' or 'replay'
+function createModeExchange(config) {
+    const { mode = 'live', cassette } = config.EXCHANGE || {};
+
+    switch (mode) {
+        case 'live':
+            return createAdapter(config);
+        case 'record': {
+            const cassettePath = cassette || path.join(CASSETTE_DIR, `${Date.now()}.json`);
+            // Hedge state decides what the bot does, so it travels with the cassette
+            const positionsLog = JSON.stringify(getStorage(config).loadPositions(), null, 2);
+            log(`Recording exchange traffic to ${cassettePath}`, 'debug');
+            return new RecordingExchange(createAdapter(config), {
+                cassettePath,
+                secrets: [config.BINANCE_API_KEY, config.BINANCE_API_SECRET],
+                state: {
+                    positionsLog,
+                    enableExecution: Boolean(config.ENABLE_EXECUTION),
+                    enableHedging: Boolean(config.ENABLE_HEDGING)
+                }
+            });
+        }
+        case 'replay':
+            if (!cassette) {
+                throw new Error('Replay mode needs EXCHANGE.cassette (EXCHANGE_CASSETTE)');
+            }
+            return ReplayExchange.load(cassette);
+        default:
+            throw new Error(`Unknown exchange mode: ${mode}`);
+    }
+}
+
+// Configured adapter, behind a paper account when paper trading
+function createExchange(config) {
+    const exchange = createModeExchange(config);
+    return config.PAPER?.enabled ? new PaperExchange(exchange, config) : exchange;
+}
+
+// Shared adapter instance, created from config on first use
+function getExchange(config) {
+    if (!activeExchange) {
+        activeExchange = createExchange(config);
+        log(`Using ${activeExchange.name} exchange adapter`, 'debug');
+    }
+    return activeExchange;
+}
+
+// Swap the shared adapter (simulated runs, scripts)
+function setExchange(exchange) {
+    activeExchange = exchange;
+}
+
+module.exports = {
+    ExchangeAdapter,
+    ExchangeError,
+    BinanceExchange,
+    SimulatedExchange,
+    RecordingExchange,
+    ReplayExchange,
+    PaperExchange,
+    generateSignature,
+    createExchange,
+    getExchange,
+    setExchange
+};
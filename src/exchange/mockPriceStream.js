@@ -0,0 +1,56 @@
+// src\exchange\mockPriceStream.js
+const WebSocket = require('ws');
+const { log } = require('../logger');
+
+/**
+ * Local stand-in for the exchange's combined ticker stream. Clients connect to
+ * /stream?streams=btcusdt@miniTicker/... like they would to Binance and receive
+ * mini-ticker messages for the symbols they asked for whenever `publish` is called.
+ */
+function startMockPriceStream({ port = 8790, host = '127.0.0.1' } = {}) {
+    const server = new WebSocket.Server({ port, host });
+    const subscriptions = new Map();   // client -> Set of upper-case symbols
+
+    server.on('connection', (client, req) => {
+        const url = new URL(req.url, 'http://localhost');
+        const symbols = (url.searchParams.get('streams') || '')
+            .split('/')
+            .filter(Boolean)
+            .map(stream => stream.split('@')[0].toUpperCase());
+        subscriptions.set(client, new Set(symbols));
+        client.on('close', () => subscriptions.delete(client));
+    });
+
+    const stream = {
+        server,
+        publish(symbol, price, eventTime = Date.now()) {
+            const message = JSON.stringify({
+                stream: `${symbol.toLowerCase()}@miniTicker`,
+                data: { e: '24hrMiniTicker', E: eventTime, s: symbol, c: String(price) }
+            });
+            subscriptions.forEach((symbols, client) => {
+                if (symbols.has(symbol) && client.readyState === WebSocket.OPEN) client.send(message);
+            });
+        },
+        // Drop every client, e.g. to exercise reconnects
+        disconnectAll() {
+            server.clients.forEach(client => client.terminate());
+        },
+        close() {
+            return new Promise(resolve => {
+                server.clients.forEach(client => client.terminate());
+                server.close(resolve);
+            });
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.once('listening', () => {
+            log(`Mock price stream listening on ws://${host}:${server.address().port}`, 'debug');
+            resolve(stream);
+        });
+    });
+}
+
+module.exports = { startMockPriceStream };
@@ -0,0 +1,41 @@
+// src\exchange\mockServer.js
+const http = require('http');
+const { log } = require('../logger');
+
+/**
+ * Local HTTP server exposing an adapter (usually SimulatedExchange) under the
+ * Binance REST paths, so the Binance adapter can be pointed at it through
+ * EXCHANGE.baseUrl. Query string parameters are passed through as-is and
+ * signatures are not verified.
+ */
+function createMockExchangeServer(exchange) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = Object.fromEntries(url.searchParams);
+        delete params.signature;
+
+        let status = 200;
+        let body;
+        try {
+            body = await exchange.request(req.method, url.pathname, params);
+        } catch (error) {
+            status = error.response?.status || 500;
+            body = error.response?.data || { code: -1000, msg: error.message };
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+}
+
+function startMockExchangeServer(exchange, { port = 8787, host = '127.0.0.1' } = {}) {
+    const server = createMockExchangeServer(exchange);
+    return new Promise(resolve => {
+        server.listen(port, host, () => {
+            log(`Mock exchange listening on http://${host}:${server.address().port}`, 'debug');
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { createMockExchangeServer, startMockExchangeServer };
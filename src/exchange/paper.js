@@ -0,0 +1,370 @@
+// src\exchange\paper.js
+const { log } = require('../logger');
+const { getStorage } = require('../storage');
+const { getPairKey, settleDualInvestment } = require('../helpers/settlement');
+const { ExchangeAdapter, ExchangeError } = require('./base');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const STABLECOINS = ['USDT', 'FDUSD'];
+
+// Market data goes to the wrapped adapter; everything else is answered by the paper account
+const MARKET_DATA = [
+    '/sapi/v1/dci/product/list',
+    '/api/v3/ticker/price',
+    '/api/v3/exchangeInfo',
+    '/api/v3/klines',
+    '/sapi/v2/loan/flexible/loanable/data',
+    '/sapi/v2/loan/flexible/collateral/data'
+];
+
+function paginate(items, { pageSize = 10, pageIndex = 1 } = {}) {
+    const size = Number(pageSize);
+    const start = (Number(pageIndex) - 1) * size;
+    return { total: items.length, list: items.slice(start, start + size) };
+}
+
+// BTCUSDT -> { base: 'BTC', quote: 'USDT' }
+function splitSymbol(symbol) {
+    const quote = STABLECOINS.find(coin => symbol.endsWith(coin));
+    if (!quote) {
+        throw new ExchangeError(400, -1121, `Paper account only trades stablecoin pairs, not ${symbol}`);
+    }
+    return { base: symbol.slice(0, -quote.length), quote };
+}
+
+/**
+ * Paper trading account on top of a live (or simulated) adapter.
+ *
+ * Products, tickers, exchange info, candles and loan rates/LTVs come from the wrapped adapter,
+ * so strategies see real market data. Subscriptions, flexible loans and margin
+ * orders only move paper balances, positions and loans held here. Positions
+ * settle at their settleDate against the settlement candle, loans accrue
+ * interest at PAPER.loanAnnualRate, and margin orders fill at the ticker
+ * price. The account is stored after every change (paper_accounts table), so
+ * a forward test can run for weeks across restarts.
+ */
+class PaperExchange extends ExchangeAdapter {
+    constructor(inner, config) {
+        super(`paper:${inner.name}`);
+        this.inner = inner;
+        this.config = config;
+        this.settings = config.PAPER;
+        this.products = new Map();   // `${id}/${orderId}` -> product, from the last product lists
+        this.account = this.loadAccount();
+
+        this.routes = {
+            'GET /sapi/v1/dci/product/positions': params => this.listPositions(params),
+            'POST /sapi/v1/dci/product/subscribe': params => this.subscribe(params),
+            'GET /api/v3/account': () => this.getBalances(),
+            'GET /sapi/v2/loan/flexible/ongoing/orders': () => this.listLoans(),
+            'POST /sapi/v2/loan/flexible/borrow': params => this.borrow(params),
+            'POST /sapi/v2/loan/flexible/repay': params => this.repay(params),
+            'POST /sapi/v2/loan/flexible/adjust/ltv': params => this.adjustLtv(params),
+            'POST /sapi/v1/margin/order': params => this.marginOrder(params)
+        };
+    }
+
+    hasCredentials() {
+        return true;
+    }
+
+    loadAccount() {
+        const stored = getStorage(this.config).loadPaperAccount(this.settings.account);
+        if (stored) {
+            log(`📄 Paper account '${this.settings.account}' loaded (${stored.positions.length} positions, ${stored.loans.length} loans)`, 'info');
+            return stored;
+        }
+
+        log(`📄 Paper account '${this.settings.account}' opened with ${JSON.stringify(this.settings.startingBalances)}`, 'info');
+        return {
+            createdAt: Date.now(),
+            balances: { ...this.settings.startingBalances },
+            positions: [],
+            loans: [],
+            margin: {},              // Signed cross margin balances per asset (negative = borrowed)
+            marginOrders: [],
+            nextId: 1
+        };
+    }
+
+    saveAccount() {
+        try {
+            getStorage(this.config).savePaperAccount(this.settings.account, this.account);
+        } catch (err) {
+            log(`Failed to save paper account: ${err.message}`, 'error');
+        }
+    }
+
+    async request(method, path, params = {}, options = {}) {
+        if (MARKET_DATA.includes(path)) {
+            const response = await this.inner.request(method, path, params, options);
+            if (path === '/sapi/v1/dci/product/list') {
+                (response.list || []).forEach(product => this.products.set(`${product.id}/${product.orderId}`, product));
+            }
+            return response;
+        }
+
+        const handler = this.routes[`${method.toUpperCase()} ${path}`];
+        if (!handler) {
+            throw new ExchangeError(404, -1000, `Paper account has no route for ${method} ${path}`);
+        }
+        const response = await handler(params);
+        this.saveAccount();
+        return JSON.parse(JSON.stringify(response));
+    }
+
+    getBalance(asset) {
+        return this.account.balances[asset] || 0;
+    }
+
+    adjustBalance(asset, delta) {
+        this.account.balances[asset] = this.getBalance(asset) + delta;
+    }
+
+    async getPrice(symbol) {
+        const response = await this.inner.getTickerPrice(symbol);
+        return parseFloat(response.price);
+    }
+
+    // Price at settlement: close of the settlement minute, the ticker when no candle is out yet
+    async getSettlementPrice(symbol, settleDate) {
+        try {
+            const klines = await this.inner.getKlines({ symbol, interval: '1m', startTime: settleDate, limit: 1 });
+            if (klines.length) return parseFloat(klines[0][4]);
+        } catch (err) {
+            log(`Paper: no settlement candle for ${symbol}: ${err.response?.data?.msg || err.message}`, 'debug');
+        }
+        return this.getPrice(symbol);
+    }
+
+    // Pay out every position past its settleDate into the paper balances
+    async settleDuePositions(now = Date.now()) {
+        const due = this.account.positions.filter(p => p.purchaseStatus === 'PURCHASE_SUCCESS' && p.settleDate <= now);
+
+        for (const position of due) {
+            const symbol = getPairKey(position);
+            let price;
+            try {
+                price = await this.getSettlementPrice(symbol, position.settleDate);
+            } catch (err) {
+                log(`Paper: cannot settle ${position.id}, no price for ${symbol}: ${err.response?.data?.msg || err.message}`, 'error');
+                continue;
+            }
+
+            const outcome = settleDualInvestment(position, price);
+            this.adjustBalance(outcome.payoutCoin, outcome.payoutAmount);
+            Object.assign(position, {
+                purchaseStatus: 'SETTLED',
+                settlementPrice: String(price),
+                settleAsset: outcome.payoutCoin,
+                settleAmount: String(outcome.payoutAmount)
+            });
+            log(
+                `📄 Paper: settled ${position.id} ${symbol} ${position.optionType} at ${price} ` +
+                `(strike ${position.strikePrice}${outcome.exercised ? ', converted' : ''}): ${outcome.payoutAmount.toFixed(8)} ${outcome.payoutCoin}`,
+                'execution'
+            );
+        }
+    }
+
+    async listPositions(params) {
+        await this.settleDuePositions();
+        const positions = this.account.positions.filter(p => !params.status || p.purchaseStatus === params.status);
+        return paginate(positions, params);
+    }
+
+    subscribe({ id, orderId, depositAmount, autoCompoundPlan = 'NONE' }) {
+        const product = this.products.get(`${id}/${orderId}`);
+        if (!product) {
+            throw new ExchangeError(400, -9000, `Product ${id}/${orderId} is not available`);
+        }
+
+        const amount = parseFloat(depositAmount);
+        if (this.getBalance(product.investCoin) < amount) {
+            throw new ExchangeError(400, -2010, `Insufficient ${product.investCoin} balance`);
+        }
+        this.adjustBalance(product.investCoin, -amount);
+
+        const position = {
+            id: String(this.account.nextId++),
+            investCoin: product.investCoin,
+            exercisedCoin: product.exercisedCoin,
+            subscriptionAmount: String(amount),
+            duration: product.duration,
+            autoCompoundPlan,
+            strikePrice: product.strikePrice,
+            settleDate: product.settleDate,
+            purchaseStatus: 'PURCHASE_SUCCESS',
+            apr: product.apr,
+            orderId: product.orderId,
+            optionType: product.optionType,
+            purchaseTime: Date.now()
+        };
+        this.account.positions.push(position);
+
+        return { positionId: position.id, ...position };
+    }
+
+    getBalances() {
+        return {
+            balances: Object.entries(this.account.balances).map(([asset, free]) => ({
+                asset,
+                free: String(free),
+                locked: '0'
+            }))
+        };
+    }
+
+    // Value in USDT at the current ticker (stablecoins at par)
+    async valueInUsdt(asset, amount) {
+        return STABLECOINS.includes(asset) ? amount : amount * await this.getPrice(`${asset}USDT`);
+    }
+
+    // Debt with simple interest accrued since the last change to the loan
+    getLoanDebt(loan, now = Date.now()) {
+        return loan.debt * (1 + this.settings.loanAnnualRate * (now - loan.accruedAt) / YEAR_MS);
+    }
+
+    findLoan(loanCoin, collateralCoin) {
+        const loan = this.account.loans.find(l => l.loanCoin === loanCoin && l.collateralCoin === collateralCoin);
+        if (!loan) {
+            throw new ExchangeError(400, -3045, `No ongoing ${loanCoin} loan against ${collateralCoin}`);
+        }
+        return loan;
+    }
+
+    // Roll accrued interest into the debt before the loan changes
+    accrue(loan, now = Date.now()) {
+        loan.debt = this.getLoanDebt(loan, now);
+        loan.accruedAt = now;
+    }
+
+    async getLtv(loan) {
+        return await this.valueInUsdt(loan.loanCoin, this.getLoanDebt(loan)) / await this.valueInUsdt(loan.collateralCoin, loan.collateralAmount);
+    }
+
+    // One row per loan/collateral pair, like the exchange
+    async listLoans() {
+        const rows = [];
+        for (const loan of this.account.loans) {
+            rows.push({
+                loanCoin: loan.loanCoin,
+                totalDebt: String(this.getLoanDebt(loan)),
+                collateralCoin: loan.collateralCoin,
+                collateralAmount: String(loan.collateralAmount),
+                currentLTV: String(await this.getLtv(loan))
+            });
+        }
+        return { total: rows.length, rows };
+    }
+
+    borrow({ loanCoin, loanAmount, collateralCoin, collateralAmount }) {
+        const amount = parseFloat(loanAmount);
+        const collateral = parseFloat(collateralAmount);
+        if (this.getBalance(collateralCoin) < collateral) {
+            throw new ExchangeError(400, -3041, `Insufficient ${collateralCoin} collateral`);
+        }
+        this.adjustBalance(collateralCoin, -collateral);
+        this.adjustBalance(loanCoin, amount);
+
+        // Borrowing again against the same collateral adds to the existing loan
+        const loan = this.account.loans.find(l => l.loanCoin === loanCoin && l.collateralCoin === collateralCoin);
+        if (loan) {
+            this.accrue(loan);
+            loan.debt += amount;
+            loan.collateralAmount += collateral;
+        } else {
+            this.account.loans.push({ loanCoin, collateralCoin, debt: amount, collateralAmount: collateral, accruedAt: Date.now() });
+        }
+        log(`📄 Paper: borrowed ${amount} ${loanCoin} against ${collateral} ${collateralCoin}`, 'execution');
+
+        return { loanCoin, loanAmount: String(amount), collateralCoin, collateralAmount: String(collateral), status: 'Succeeds' };
+    }
+
+    // Partial repayments keep the collateral; repaying in full (or fullRepayment) returns all of it
+    repay({ loanCoin, collateralCoin, repayAmount, fullRepayment = 'FALSE' }) {
+        const loan = this.findLoan(loanCoin, collateralCoin);
+        this.accrue(loan);
+        const amount = fullRepayment === 'TRUE' ? loan.debt : Math.min(parseFloat(repayAmount), loan.debt);
+        if (this.getBalance(loanCoin) < amount) {
+            throw new ExchangeError(400, -2010, `Insufficient ${loanCoin} balance`);
+        }
+        this.adjustBalance(loanCoin, -amount);
+        loan.debt -= amount;
+
+        const repaid = loan.debt <= 1e-12;
+        if (repaid) {
+            this.adjustBalance(collateralCoin, loan.collateralAmount);
+            this.account.loans = this.account.loans.filter(l => l !== loan);
+        }
+        log(`📄 Paper: repaid ${amount} ${loanCoin} against ${collateralCoin}${repaid ? ' in full' : ''}`, 'execution');
+
+        return {
+            loanCoin,
+            collateralCoin,
+            remainingDebt: String(repaid ? 0 : loan.debt),
+            remainingCollateral: String(repaid ? 0 : loan.collateralAmount),
+            repayStatus: repaid ? 'REPAID' : 'REPAYING'
+        };
+    }
+
+    async adjustLtv({ loanCoin, collateralCoin, adjustmentAmount, direction }) {
+        const loan = this.findLoan(loanCoin, collateralCoin);
+        const amount = parseFloat(adjustmentAmount);
+        const sign = direction === 'ADDITIONAL' ? 1 : -1;
+        if (sign > 0 && this.getBalance(collateralCoin) < amount) {
+            throw new ExchangeError(400, -3041, `Insufficient ${collateralCoin} collateral`);
+        }
+        this.adjustBalance(collateralCoin, -sign * amount);
+        loan.collateralAmount += sign * amount;
+        log(`📄 Paper: ${direction === 'ADDITIONAL' ? 'added' : 'removed'} ${amount} ${collateralCoin} collateral on the ${loanCoin} loan`, 'execution');
+
+        return { loanCoin, collateralCoin, direction, adjustmentAmount: String(amount), currentLTV: String(await this.getLtv(loan)) };
+    }
+
+    // Market order filled in full at the ticker; borrowing and repaying is netted in the signed margin balances
+    async marginOrder({ symbol, side, type = 'MARKET', quantity }) {
+        const { base, quote } = splitSymbol(symbol);
+        const price = await this.getPrice(symbol);
+        const qty = parseFloat(quantity);
+        const direction = side === 'BUY' ? 1 : -1;
+
+        this.account.margin[base] = (this.account.margin[base] || 0) + direction * qty;
+        this.account.margin[quote] = (this.account.margin[quote] || 0) - direction * qty * price;
+
+        const order = {
+            symbol,
+            orderId: this.account.nextId++,
+            transactTime: Date.now(),
+            price: '0',
+            origQty: String(qty),
+            executedQty: String(qty),
+            cummulativeQuoteQty: String(qty * price),
+            status: 'FILLED',
+            type,
+            side,
+            fills: [{ price: String(price), qty: String(qty) }]
+        };
+        this.account.marginOrders.push(order);
+        log(`📄 Paper: margin ${side} ${qty} ${symbol} at ${price}`, 'hedges');
+        return order;
+    }
+
+    // Account overview for the monitor: balances, open positions, loan debt and margin balances
+    getSummary(now = Date.now()) {
+        const open = this.account.positions.filter(p => p.purchaseStatus === 'PURCHASE_SUCCESS');
+        return {
+            account: this.settings.account,
+            createdAt: this.account.createdAt,
+            startingBalances: this.settings.startingBalances,
+            balances: this.account.balances,
+            openPositions: open,
+            settledPositions: this.account.positions.length - open.length,
+            loans: this.account.loans.map(loan => ({ ...loan, totalDebt: this.getLoanDebt(loan, now) })),
+            margin: this.account.margin,
+            marginOrders: this.account.marginOrders.length
+        };
+    }
+}
+
+module.exports = { PaperExchange };
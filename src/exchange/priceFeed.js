@@ -0,0 +1,136 @@
+// src\exchange\priceFeed.js
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { log } = require('../logger');
+
+const DEFAULT_STREAM_URL = 'wss://stream.binance.com:9443';
+
+let activeFeed = null;
+
+/**
+ * Live spot prices from the exchange's combined mini-ticker stream.
+ *
+ * Keeps the last price per symbol in memory and reconnects with exponential
+ * backoff whenever the socket drops. Emits:
+ *   'price'        (symbol, price, eventTime) for every ticker update
+ *   'connected'    once a connection is open
+ *   'disconnected' (code) when an open connection drops, before the reconnect is scheduled
+ */
+class PriceFeed extends EventEmitter {
+    constructor({ url = DEFAULT_STREAM_URL, symbols = [], reconnectDelayMs = 1000, maxReconnectDelayMs = 30000, maxAgeMs = 30000 } = {}) {
+        super();
+        this.url = url;
+        this.symbols = symbols;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.maxReconnectDelayMs = maxReconnectDelayMs;
+        this.maxAgeMs = maxAgeMs;
+        this.prices = new Map();       // symbol -> { price, eventTime, receivedAt }
+        this.socket = null;
+        this.connected = false;
+        this.stopped = true;
+        this.attempts = 0;
+        this.reconnectTimer = null;
+    }
+
+    getStreamUrl() {
+        const streams = this.symbols.map(symbol => `${symbol.toLowerCase()}@miniTicker`).join('/');
+        return `${this.url}/stream?streams=${streams}`;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+        return this;
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.removeAllListeners();
+            this.socket.on('error', () => {});
+            this.socket.terminate();
+            this.socket = null;
+        }
+        this.connected = false;
+    }
+
+    connect() {
+        const socket = new WebSocket(this.getStreamUrl());
+        this.socket = socket;
+
+        socket.on('open', () => {
+            this.connected = true;
+            this.attempts = 0;
+            log(`Price feed connected (${this.symbols.length} symbols)`, 'debug');
+            this.emit('connected');
+        });
+
+        socket.on('message', data => this.handleMessage(data));
+
+        // 'close' always follows, reconnect happens there
+        socket.on('error', err => log(`Price feed error: ${err.message}`, 'error'));
+
+        socket.on('close', code => {
+            const wasConnected = this.connected;
+            this.connected = false;
+            this.socket = null;
+            if (wasConnected) this.emit('disconnected', code);
+            if (!this.stopped) this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(this.reconnectDelayMs * 2 ** this.attempts, this.maxReconnectDelayMs);
+        this.attempts++;
+        log(`Price feed disconnected, reconnecting in ${delay}ms`, 'debug');
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data);
+            const ticker = message.data || message;
+            if (!ticker.s || ticker.c === undefined) return;
+
+            const price = parseFloat(ticker.c);
+            const eventTime = ticker.E || Date.now();
+            this.prices.set(ticker.s, { price, eventTime, receivedAt: Date.now() });
+            this.emit('price', ticker.s, price, eventTime);
+        } catch (err) {
+            log(`Price feed sent an unreadable message: ${err.message}`, 'error');
+        }
+    }
+
+    // Last streamed price, or null when there is none younger than maxAgeMs
+    getPrice(symbol, maxAgeMs = this.maxAgeMs) {
+        const entry = this.prices.get(symbol);
+        if (!entry || Date.now() - entry.receivedAt > maxAgeMs) return null;
+        return entry.price;
+    }
+}
+
+// Start the shared feed for every active pair in SUPPORTED_ASSETS
+function startPriceFeed(config) {
+    if (activeFeed) return activeFeed;
+    const { url, reconnectDelayMs, maxReconnectDelayMs, maxAgeSeconds } = config.PRICE_FEED;
+    activeFeed = new PriceFeed({
+        url,
+        symbols: Object.keys(config.SUPPORTED_ASSETS.getActivePairs()),
+        reconnectDelayMs,
+        maxReconnectDelayMs,
+        maxAgeMs: maxAgeSeconds * 1000
+    }).start();
+    return activeFeed;
+}
+
+// Shared feed, or null when streaming is not running (callers fall back to REST)
+function getPriceFeed() {
+    return activeFeed;
+}
+
+function setPriceFeed(feed) {
+    activeFeed = feed;
+}
+
+module.exports = { PriceFeed, startPriceFeed, getPriceFeed, setPriceFeed, DEFAULT_STREAM_URL };
@@ -0,0 +1,285 @@
+// src\exchange\simulated.js
+const fs = require('fs');
+const path = require('path');
+const { ExchangeAdapter, ExchangeError } = require('./base');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/exchange');
+const HOUR_MS = 60 * 60 * 1000;
+
+function readFixture(dir, file, fallback) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Fixtures may use `settleInHours` instead of an absolute settleDate so they never go stale
+function resolveSettleDate(item, now) {
+    if (item.settleDate || item.settleInHours === undefined) return item;
+    const { settleInHours, ...rest } = item;
+    return { ...rest, settleDate: now + settleInHours * HOUR_MS };
+}
+
+function paginate(items, { pageSize = 10, pageIndex = 1 } = {}) {
+    const size = Number(pageSize);
+    const start = (Number(pageIndex) - 1) * size;
+    return { total: items.length, list: items.slice(start, start + size) };
+}
+
+/**
+ * In-process exchange serving dual investment products, positions, spot tickers,
+ * flexible loans and margin orders from fixture files.
+ *
+ * Side-effecting endpoints (subscribe, borrow, repay, margin order) update the in-memory
+ * state, so a full mainLoop cycle behaves like it would against the live API.
+ */
+class SimulatedExchange extends ExchangeAdapter {
+    constructor({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+        super('simulated');
+        const now = Date.now();
+
+        this.products = readFixture(fixturesDir, 'products.json', []).map(p => resolveSettleDate(p, now));
+        this.positions = readFixture(fixturesDir, 'positions.json', []).map(p => resolveSettleDate(p, now));
+        this.tickers = readFixture(fixturesDir, 'tickers.json', {});
+        this.balances = readFixture(fixturesDir, 'account.json', {});
+        this.loans = readFixture(fixturesDir, 'loans.json', []);
+        this.loanableData = readFixture(fixturesDir, 'loanableData.json', []);
+        this.collateralData = readFixture(fixturesDir, 'collateralData.json', []);
+        this.exchangeInfo = readFixture(fixturesDir, 'exchangeInfo.json', { symbols: [] });
+        this.marginOrders = [];
+        this.nextId = 1;
+
+        this.routes = {
+            'GET /sapi/v1/dci/product/list': params => this.listProducts(params),
+            'GET /sapi/v1/dci/product/positions': params => this.listPositions(params),
+            'POST /sapi/v1/dci/product/subscribe': params => this.subscribe(params),
+            'GET /api/v3/ticker/price': params => this.tickerPrice(params),
+            'GET /api/v3/account': () => this.account(),
+            'GET /api/v3/exchangeInfo': () => this.exchangeInfo,
+            'GET /api/v3/klines': params => this.klines(params),
+            'GET /sapi/v2/loan/flexible/ongoing/orders': () => this.ongoingLoans(),
+            'GET /sapi/v2/loan/flexible/loanable/data': ({ loanCoin }) => this.loanRows(this.loanableData, 'loanCoin', loanCoin),
+            'GET /sapi/v2/loan/flexible/collateral/data': ({ collateralCoin }) => this.loanRows(this.collateralData, 'collateralCoin', collateralCoin),
+            'POST /sapi/v2/loan/flexible/borrow': params => this.borrow(params),
+            'POST /sapi/v2/loan/flexible/repay': params => this.repay(params),
+            'POST /sapi/v2/loan/flexible/adjust/ltv': params => this.adjustLtv(params),
+            'POST /sapi/v1/margin/order': params => this.marginOrder(params)
+        };
+    }
+
+    async request(method, path, params = {}) {
+        const handler = this.routes[`${method.toUpperCase()} ${path}`];
+        if (!handler) {
+            throw new ExchangeError(404, -1000, `Simulated exchange has no route for ${method} ${path}`);
+        }
+        // Hand out copies so callers cannot mutate exchange state
+        return JSON.parse(JSON.stringify(handler(params)));
+    }
+
+    // Move the market, e.g. to trigger hedges in a demo run
+    setTicker(symbol, price) {
+        this.tickers[symbol] = String(price);
+    }
+
+    getPrice(symbol) {
+        const price = this.tickers[symbol];
+        if (price === undefined) {
+            throw new ExchangeError(400, -1121, 'Invalid symbol.');
+        }
+        return parseFloat(price);
+    }
+
+    getBalance(asset) {
+        return parseFloat(this.balances[asset] || 0);
+    }
+
+    adjustBalance(asset, delta) {
+        this.balances[asset] = String(this.getBalance(asset) + delta);
+    }
+
+    listProducts(params) {
+        const products = this.products.filter(p =>
+            (!params.optionType || p.optionType === params.optionType) &&
+            (!params.exercisedCoin || p.exercisedCoin === params.exercisedCoin) &&
+            (!params.investCoin || p.investCoin === params.investCoin)
+        );
+        return paginate(products, params);
+    }
+
+    listPositions(params) {
+        // Positions past their settleDate are reported as settled
+        const now = Date.now();
+        this.positions.forEach(p => {
+            if (p.purchaseStatus === 'PURCHASE_SUCCESS' && p.settleDate <= now) p.purchaseStatus = 'SETTLED';
+        });
+
+        const positions = this.positions.filter(p => !params.status || p.purchaseStatus === params.status);
+        return paginate(positions, params);
+    }
+
+    subscribe({ id, orderId, depositAmount, autoCompoundPlan = 'NONE' }) {
+        const product = this.products.find(p => String(p.id) === String(id) && String(p.orderId) === String(orderId));
+        if (!product) {
+            throw new ExchangeError(400, -9000, `Product ${id}/${orderId} is not available`);
+        }
+
+        const amount = parseFloat(depositAmount);
+        if (this.getBalance(product.investCoin) < amount) {
+            throw new ExchangeError(400, -2010, `Insufficient ${product.investCoin} balance`);
+        }
+        this.adjustBalance(product.investCoin, -amount);
+
+        const position = {
+            id: String(this.nextId++),
+            investCoin: product.investCoin,
+            exercisedCoin: product.exercisedCoin,
+            subscriptionAmount: String(amount),
+            duration: product.duration,
+            autoCompoundPlan,
+            strikePrice: product.strikePrice,
+            settleDate: product.settleDate,
+            purchaseStatus: 'PURCHASE_SUCCESS',
+            apr: product.apr,
+            orderId: product.orderId,
+            optionType: product.optionType,
+            purchaseTime: Date.now()
+        };
+        this.positions.push(position);
+
+        return { positionId: position.id, ...position };
+    }
+
+    tickerPrice({ symbol }) {
+        return { symbol, price: String(this.getPrice(symbol)) };
+    }
+
+    // One flat candle per interval at the current ticker price
+    klines({ symbol, startTime = Date.now(), limit = 1 }) {
+        const price = String(this.getPrice(symbol));
+        return Array.from({ length: Number(limit) }, (_, i) => {
+            const openTime = Number(startTime) + i * 60 * 1000;
+            return [openTime, price, price, price, price, '0', openTime + 59999];
+        });
+    }
+
+    account() {
+        return {
+            balances: Object.entries(this.balances).map(([asset, free]) => ({
+                asset,
+                free: String(free),
+                locked: '0'
+            }))
+        };
+    }
+
+    // Value in USDT at the current tickers (stablecoins at par)
+    valueInUsdt(asset, amount) {
+        return ['USDT', 'FDUSD'].includes(asset) ? amount : amount * this.getPrice(`${asset}USDT`);
+    }
+
+    findLoan(loanCoin, collateralCoin) {
+        const loan = this.loans.find(l => l.loanCoin === loanCoin && l.collateralCoin === collateralCoin);
+        if (!loan) {
+            throw new ExchangeError(400, -3045, `No ongoing ${loanCoin} loan against ${collateralCoin}`);
+        }
+        return loan;
+    }
+
+    getLtv(loan) {
+        return String(this.valueInUsdt(loan.loanCoin, parseFloat(loan.totalDebt)) /
+            this.valueInUsdt(loan.collateralCoin, parseFloat(loan.collateralAmount)));
+    }
+
+    loanRows(rows, key, value) {
+        const filtered = rows.filter(row => !value || row[key] === value);
+        return { total: filtered.length, rows: filtered };
+    }
+
+    // One row per loan/collateral pair, LTV at the current tickers
+    ongoingLoans() {
+        const rows = this.loans.map(loan => ({ ...loan, currentLTV: this.getLtv(loan) }));
+        return { total: rows.length, rows };
+    }
+
+    borrow({ loanCoin, loanAmount, collateralCoin, collateralAmount }) {
+        const collateral = parseFloat(collateralAmount);
+        if (this.getBalance(collateralCoin) < collateral) {
+            throw new ExchangeError(400, -3041, `Insufficient ${collateralCoin} collateral`);
+        }
+        this.adjustBalance(collateralCoin, -collateral);
+        this.adjustBalance(loanCoin, parseFloat(loanAmount));
+
+        // Borrowing again against the same collateral adds to the existing loan
+        const loan = this.loans.find(l => l.loanCoin === loanCoin && l.collateralCoin === collateralCoin);
+        if (loan) {
+            loan.totalDebt = String(parseFloat(loan.totalDebt) + parseFloat(loanAmount));
+            loan.collateralAmount = String(parseFloat(loan.collateralAmount) + collateral);
+        } else {
+            this.loans.push({ loanCoin, totalDebt: String(loanAmount), collateralCoin, collateralAmount: String(collateral) });
+        }
+
+        return { loanCoin, loanAmount: String(loanAmount), collateralCoin, collateralAmount: String(collateral), status: 'Succeeds' };
+    }
+
+    // Partial repayments keep the collateral; repaying in full (or fullRepayment) returns all of it
+    repay({ loanCoin, collateralCoin, repayAmount, fullRepayment = 'FALSE' }) {
+        const loan = this.findLoan(loanCoin, collateralCoin);
+        const debt = parseFloat(loan.totalDebt);
+        const amount = fullRepayment === 'TRUE' ? debt : Math.min(parseFloat(repayAmount), debt);
+        if (this.getBalance(loanCoin) < amount) {
+            throw new ExchangeError(400, -2010, `Insufficient ${loanCoin} balance`);
+        }
+        this.adjustBalance(loanCoin, -amount);
+
+        const remaining = debt - amount;
+        const repaid = remaining <= 1e-12;
+        if (repaid) {
+            this.adjustBalance(collateralCoin, parseFloat(loan.collateralAmount));
+            this.loans = this.loans.filter(l => l !== loan);
+        } else {
+            loan.totalDebt = String(remaining);
+        }
+
+        return {
+            loanCoin,
+            collateralCoin,
+            remainingDebt: String(repaid ? 0 : remaining),
+            remainingCollateral: repaid ? '0' : loan.collateralAmount,
+            repayStatus: repaid ? 'REPAID' : 'REPAYING'
+        };
+    }
+
+    adjustLtv({ loanCoin, collateralCoin, adjustmentAmount, direction }) {
+        const loan = this.findLoan(loanCoin, collateralCoin);
+        const amount = parseFloat(adjustmentAmount);
+        const sign = direction === 'ADDITIONAL' ? 1 : -1;
+        if (sign > 0 && this.getBalance(collateralCoin) < amount) {
+            throw new ExchangeError(400, -3041, `Insufficient ${collateralCoin} collateral`);
+        }
+        this.adjustBalance(collateralCoin, -sign * amount);
+        loan.collateralAmount = String(parseFloat(loan.collateralAmount) + sign * amount);
+
+        return { loanCoin, collateralCoin, direction, adjustmentAmount: String(amount), currentLTV: this.getLtv(loan) };
+    }
+
+    marginOrder({ symbol, side, type = 'MARKET', quantity }) {
+        const price = this.getPrice(symbol);
+        const qty = parseFloat(quantity);
+        const order = {
+            symbol,
+            orderId: this.nextId++,
+            transactTime: Date.now(),
+            price: '0',
+            origQty: String(qty),
+            executedQty: String(qty),
+            cummulativeQuoteQty: String(qty * price),
+            status: 'FILLED',
+            type,
+            side,
+            fills: [{ price: String(price), qty: String(qty) }]
+        };
+        this.marginOrders.push(order);
+        return order;
+    }
+}
+
+module.exports = { SimulatedExchange, DEFAULT_FIXTURES_DIR };
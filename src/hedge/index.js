@@ -1,16 +1,30 @@
 // src\hedge\index.js
 const { log } = require('../logger');
-const { DynamicHedgeStrategy } = require('./strategiesV2');
+const { DynamicHedgeStrategy, DeltaHedgeStrategy } = require('./strategiesV2');
 const SharedState = require('../sharedState');
+const { getPairKey } = require('../helpers/settlement');
+
+const STRATEGIES = {
+    dynamic: DynamicHedgeStrategy,
+    delta: DeltaHedgeStrategy
+};
 
 class HedgeManager {
     constructor(strategy = 'dynamic', sharedState) {
         this.sharedState = sharedState;
-        this.strategy = new DynamicHedgeStrategy(sharedState);
+        const Strategy = STRATEGIES[strategy];
+        if (!Strategy) {
+            throw new Error(`Unknown hedge strategy: ${strategy}`);
+        }
+        this.strategy = new Strategy(sharedState);
     }
 
     async monitorAndHedge() {
         try {
+            // Hedges left behind by positions that already settled are flattened first
+            const activeIds = new Set((this.sharedState.positions || []).map(pos => String(pos.id)));
+            await this.strategy.flattenOrphanedHedges(activeIds);
+
             // Exit if no positions
             if (!this.sharedState.positions?.length) {
                 return;
@@ -32,6 +46,27 @@ class HedgeManager {
             log(`Hedge monitoring failed: ${err.message}`, 'error');
         }
     }
+
+    // Escalated hedging skips breach confirmation and hedges in full (circuit breaker tripped, market event blackout)
+    setEscalated(escalated, reason = '') {
+        if (this.strategy.escalated === escalated) return;
+        this.strategy.escalated = escalated;
+        log(`Hedging ${escalated ? 'escalated' : 'back to normal'}${reason ? `: ${reason}` : ''}`, 'hedges');
+    }
+
+    // Re-check only the positions on one pair, e.g. right after the price feed moved it
+    async monitorSymbol(symbol) {
+        try {
+            if (Date.now() - this.sharedState.lastUpdated > 5 * 60 * 1000) return;
+
+            const positions = (this.sharedState.positions || []).filter(pos => getPairKey(pos) === symbol);
+            for (const position of positions) {
+                await this.strategy.evaluatePosition(position);
+            }
+        } catch (err) {
+            log(`Hedge check for ${symbol} failed: ${err.message}`, 'error');
+        }
+    }
 }
 
 module.exports = { HedgeManager }; 
\ No newline at end of file
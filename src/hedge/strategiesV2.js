@@ -1,38 +1,74 @@
 // src\hedge\strategiesV2.js
 const { log } = require('../logger');
 const { fetchCurrentPrice } = require('../helpers/utils');
-const { openCrossMarginPosition } = require('./utils');
+const { getPairKey, getYieldDecimal } = require('../helpers/settlement');
+const { valueDualInvestment, impliedVolFromApr } = require('../pricing/blackScholes');
+const { openCrossMarginPosition, closeCrossMarginPosition, getLotStepSize } = require('./utils');
 const config = require('../config');
 
 /**
- * SHOWCASE VERSION
- * Original file contains proprietary hedging strategies including:
- * - Dynamic hedge ratio calculations
- * - Multi-level hedging system
- * - Breach confirmation logic
- * - Cooldown management
- * - Position tracking and monitoring
+ * Dynamic hedging for dual investment positions.
+ *
+ * A position is only hedged once spot has stayed beyond its break-even for the
+ * whole HEDGE_SAFETY.BREACH_CONFIRMATION_MINUTES window. The hedge then goes
+ * NONE -> STEP1 on confirmation and STEP1 -> FULL once price is
+ * PARTIAL_HEDGE.sizeUpThreshold further past break-even, with
+ * PARTIAL_HEDGE.cooldownMinutes between the two steps. Breach timers live in
+ * SharedState so a restart does not reset a confirmation window.
+ *
+ * Once spot is back inside break-even by HEDGE_SAFETY.UNWIND.hysteresisPercentage
+ * the hedge unwinds again (FULL -> UNWINDING at step 1 size -> CLOSED), and any
+ * hedge still on is flattened flattenBeforeSettleMinutes before settleDate.
  */
 
 // Hedge status enum
 const HEDGE_STATUS = {
     NONE: 'NONE',
-    STEP1: 'STEP1',  // 50% hedged
-    FULL: 'FULL'     // 100% hedged
+    STEP1: 'STEP1',          // 50% hedged
+    FULL: 'FULL',            // 100% hedged
+    UNWINDING: 'UNWINDING',  // Reduced back to step 1 size after price recovered
+    CLOSED: 'CLOSED'         // Hedge flattened
 };
 
+const MINUTE_MS = 60 * 1000;
+
+// Running quote cash flow of a hedge after a fill: sells bring quote in, buys pay it out
+function addFillCashFlow(cashFlow, side, orderResult) {
+    const quote = parseFloat(orderResult.cummulativeQuoteQty) || 0;
+    return Number(((cashFlow || 0) + (side === 'SELL' ? quote : -quote)).toFixed(8));
+}
+
 class BaseStrategy {
     constructor() {
         this.lastLoggedPositions = null;
+        // Set while the circuit breaker is tripped: hedge breaches at once and in full
+        this.escalated = false;
     }
 
     calculateBreakEven(strike, roiDecimal, optionType) {
         return strike * (1 + (optionType === 'CALL' ? roiDecimal : -roiDecimal));
     }
 
+    // How far spot is past break-even as a fraction of break-even (<= 0 means not breached)
+    calculateBreachDistance(spotPrice, breakEven, optionType) {
+        return optionType === 'CALL'
+            ? (spotPrice - breakEven) / breakEven
+            : (breakEven - spotPrice) / breakEven;
+    }
+
+    // Position size in base coin units (PUT invests quote at strike, CALL invests base)
+    calculateBaseQuantity(position) {
+        const amount = parseFloat(position.subscriptionAmount ?? position.amount);
+        return position.optionType === 'PUT'
+            ? amount / parseFloat(position.strikePrice)
+            : amount;
+    }
+
     havePositionsChanged(positions) {
-        // Simplified change detection for showcase
-        return true;
+        const snapshot = JSON.stringify(positions.map(pos => [pos.id, pos.hedgeStatus]));
+        const changed = snapshot !== this.lastLoggedPositions;
+        this.lastLoggedPositions = snapshot;
+        return changed;
     }
 }
 
@@ -40,48 +76,212 @@ class DynamicHedgeStrategy extends BaseStrategy {
     constructor(sharedState) {
         super();
         this.sharedState = sharedState;
+        this.hedgeConfig = config.HEDGE_SAFETY;
     }
 
     async monitorPositions(positions) {
         try {
             if (!positions || positions.length === 0) return;
 
-            // For showcase purposes, log sample monitoring data
-            log('Monitoring positions with dynamic hedging strategy...', 'debug');
-            log('Checking break-even breaches...', 'debug');
-            log('Calculating hedge ratios...', 'debug');
+            if (this.havePositionsChanged(positions)) {
+                log(`Monitoring ${positions.length} positions with dynamic hedging strategy`, 'hedges');
+            }
 
-            // Sample position monitoring logic
             for (const position of positions) {
-                const symbol = `${position.exercisedCoin}${position.investCoin}`;
-                const spotPrice = await fetchCurrentPrice(symbol, config);
+                await this.evaluatePosition(position);
+            }
+        } catch (err) {
+            log(`Position monitoring failed: ${err.message}`, 'error');
+        }
+    }
+
+    async evaluatePosition(position, now = Date.now()) {
+        const symbol = getPairKey(position);
+        const spotPrice = await fetchCurrentPrice(symbol, this.sharedState.config || config);
+        if (!spotPrice) {
+            log(`Skipping hedge check for ${position.id}: no spot price for ${symbol}`, 'hedges');
+            return;
+        }
+
+        const breakEven = this.calculateBreakEven(parseFloat(position.strikePrice), getYieldDecimal(position), position.optionType);
+        const distance = this.calculateBreachDistance(spotPrice, breakEven, position.optionType);
+        const hedgeStatus = this.sharedState.getHedgeStatus(position.id);
+        const hedgeState = this.sharedState.getHedgeState(position.id);
+
+        // Never carry a hedge into settlement, and never open one right before it
+        if (this.isNearSettlement(position, now)) {
+            if (hedgeState.hedgeQuantity > 0) {
+                await this.unwindHedge(position, hedgeState.hedgeQuantity, HEDGE_STATUS.CLOSED, now, 'settlement');
+            }
+            return;
+        }
+
+        // Back inside break-even: the confirmation window starts over
+        if (distance <= 0) {
+            if (hedgeState.breachStartedAt) {
+                log(`Breach cleared for ${position.id} ${symbol}: spot ${spotPrice} back inside break-even ${breakEven.toFixed(4)}`, 'hedges');
+                await this.sharedState.updateHedgeState(position.id, { breachStartedAt: null });
+            }
+            await this.checkUnwind(position, hedgeStatus, hedgeState, -distance, now);
+            return;
+        }
+
+        const confirmationMinutes = this.escalated ? 0 : this.hedgeConfig.BREACH_CONFIRMATION_MINUTES;
+        if (!hedgeState.breachStartedAt) {
+            log(`Breach detected for ${position.id} ${symbol}: spot ${spotPrice} beyond break-even ${breakEven.toFixed(4)} (${(distance * 100).toFixed(2)}%), confirming for ${confirmationMinutes}m`, 'hedges');
+            await this.sharedState.updateHedgeState(position.id, { breachStartedAt: now });
+            if (confirmationMinutes > 0) return;
+        }
+
+        const breachStartedAt = this.sharedState.getHedgeState(position.id).breachStartedAt;
+        if (now - breachStartedAt < confirmationMinutes * MINUTE_MS) {
+            return;
+        }
+
+        const targetHedgeStatus = this.getTargetHedgeStatus(hedgeStatus, distance, hedgeState, now);
+        if (targetHedgeStatus !== hedgeStatus) {
+            await this.executeHedge(position, symbol, spotPrice, breakEven, targetHedgeStatus, now);
+        }
+    }
+
+    // Next step of the NONE -> STEP1 -> FULL escalation, or the current status if no step is due
+    getTargetHedgeStatus(hedgeStatus, distance, hedgeState, now) {
+        const partial = this.hedgeConfig.PARTIAL_HEDGE;
+        if (this.escalated) return HEDGE_STATUS.FULL;
+
+        if (hedgeStatus === HEDGE_STATUS.NONE || hedgeStatus === HEDGE_STATUS.CLOSED) {
+            return partial.enabled ? HEDGE_STATUS.STEP1 : HEDGE_STATUS.FULL;
+        }
+
+        if (hedgeStatus === HEDGE_STATUS.STEP1 || hedgeStatus === HEDGE_STATUS.UNWINDING) {
+            if (distance >= partial.sizeUpThreshold && this.isCooledDown(hedgeState, now)) {
+                return HEDGE_STATUS.FULL;
+            }
+        }
+
+        return hedgeStatus;
+    }
+
+    isNearSettlement(position, now) {
+        const unwind = this.hedgeConfig.UNWIND;
+        return now >= position.settleDate - unwind.flattenBeforeSettleMinutes * MINUTE_MS;
+    }
+
+    isCooledDown(hedgeState, now) {
+        return !hedgeState.lastHedgeAt ||
+            now - hedgeState.lastHedgeAt >= this.hedgeConfig.PARTIAL_HEDGE.cooldownMinutes * MINUTE_MS;
+    }
+
+    // Price recovered: step the hedge down once spot is inside break-even by the hysteresis
+    async checkUnwind(position, hedgeStatus, hedgeState, recovery, now) {
+        const unwind = this.hedgeConfig.UNWIND;
+        if (!unwind.enabled || hedgeState.hedgeQuantity <= 0) return;
+        if (recovery < unwind.hysteresisPercentage || !this.isCooledDown(hedgeState, now)) return;
 
-                log(`Monitoring position ${position.id}: ${symbol} at ${spotPrice}`, 'positionhistories');
+        const partial = this.hedgeConfig.PARTIAL_HEDGE;
+        if (hedgeStatus === HEDGE_STATUS.FULL && partial.enabled) {
+            const step1Quantity = this.calculateBaseQuantity(position) * partial.step1Percentage;
+            const reduceBy = hedgeState.hedgeQuantity - step1Quantity;
+            if (reduceBy > 0) {
+                await this.unwindHedge(position, reduceBy, HEDGE_STATUS.UNWINDING, now, 'recovery');
+                return;
+            }
+        }
+
+        await this.unwindHedge(position, hedgeState.hedgeQuantity, HEDGE_STATUS.CLOSED, now, 'recovery');
+    }
+
+    // Reduce the hedge by `quantity`. CLOSED only once what is left is at most one lot step,
+    // otherwise (partial fill, lot rounding) the hedge stays UNWINDING and the next pass retries
+    async unwindHedge(position, quantity, targetHedgeStatus, now, reason) {
+        try {
+            const hedgeState = this.sharedState.getHedgeState(position.id);
+            const symbol = hedgeState.hedgeSymbol || getPairKey(position);
+            const side = hedgeState.hedgeSide || (position.optionType === 'PUT' ? 'SELL' : 'BUY');
 
-                // Simulate hedge execution for demonstration
-                if (Math.random() > 0.8) { // Random trigger for demo
-                    await this.executeHedge(position, symbol, spotPrice, position.strikePrice * 1.05, HEDGE_STATUS.STEP1);
+            log(`Unwinding hedge for position ${position.id} (${reason}): closing ${quantity} of ${hedgeState.hedgeQuantity} ${symbol} -> ${targetHedgeStatus}`, 'hedges');
+
+            const orderResult = await closeCrossMarginPosition(symbol, side, quantity, this.sharedState);
+            if (!orderResult) return;
+
+            const filled = parseFloat(orderResult.executedQty);
+            const executedQuantity = Number.isNaN(filled) ? quantity : filled;
+            const closingSide = side === 'SELL' ? 'BUY' : 'SELL';
+            let remaining = Math.max(0, Number((hedgeState.hedgeQuantity - executedQuantity).toFixed(8)));
+            let hedgeStatus = targetHedgeStatus;
+
+            if (targetHedgeStatus === HEDGE_STATUS.CLOSED && remaining > 0) {
+                const stepSize = await getLotStepSize(symbol, this.sharedState.config || config);
+                if (stepSize !== null && remaining <= stepSize) {
+                    log(`Hedge for position ${position.id}: ${remaining} ${symbol} left is below one lot, recorded as flat`, 'hedges');
+                    remaining = 0;
+                } else {
+                    log(`Hedge for position ${position.id}: close filled ${executedQuantity} of ${hedgeState.hedgeQuantity} ${symbol}, retrying the rest`, 'hedges');
+                    hedgeStatus = HEDGE_STATUS.UNWINDING;
                 }
             }
+
+            await this.sharedState.updateHedgeState(position.id, {
+                lastHedgeAt: now,
+                hedgeQuantity: remaining,
+                hedgeCashFlow: addFillCashFlow(hedgeState.hedgeCashFlow, closingSide, orderResult),
+                breachStartedAt: null
+            }, hedgeStatus);
+            position.hedgeStatus = hedgeStatus;
+            log(`Hedge for position ${position.id} now ${hedgeStatus} (${remaining} ${symbol} remaining)`, 'hedges');
         } catch (err) {
-            log(`Position monitoring failed: ${err.message}`, 'error');
+            log(`Hedge unwind failed: ${err.message}`, 'error');
         }
     }
 
-    async executeHedge(position, symbol, spotPrice, breakEven, targetHedgeStatus) {
+    // Hedges whose position already left the active set (settled) are closed outright
+    async flattenOrphanedHedges(activeIds, now = Date.now()) {
+        for (const [positionId, hedgeState] of this.sharedState.hedgeStates) {
+            if (activeIds.has(String(positionId)) || hedgeState.hedgeQuantity <= 0) continue;
+            await this.unwindHedge({ id: positionId }, hedgeState.hedgeQuantity, HEDGE_STATUS.CLOSED, now, 'position settled');
+        }
+    }
+
+    getHedgePercentage(hedgeStatus) {
+        const partial = this.hedgeConfig.PARTIAL_HEDGE;
+        if (hedgeStatus === HEDGE_STATUS.STEP1 || hedgeStatus === HEDGE_STATUS.UNWINDING) return partial.step1Percentage;
+        if (hedgeStatus === HEDGE_STATUS.FULL) return partial.enabled ? partial.step2Percentage : 1;
+        return 0;
+    }
+
+    async executeHedge(position, symbol, spotPrice, breakEven, targetHedgeStatus, now = Date.now()) {
+        // Only the increment between the current and the target step is traded
+        const baseQuantity = this.calculateBaseQuantity(position);
+        const targetQuantity = baseQuantity * this.getHedgePercentage(targetHedgeStatus);
+        const { hedgeQuantity } = this.sharedState.getHedgeState(position.id);
+        const hedgeAmount = targetQuantity - hedgeQuantity;
+        if (hedgeAmount <= 0) return;
+
+        await this.increaseHedge(position, symbol, hedgeAmount, targetHedgeStatus, now, `Spot: ${spotPrice} | Break-even: ${breakEven.toFixed(4)}`);
+    }
+
+    // Add `hedgeAmount` base units to the position's hedge and move it to targetHedgeStatus
+    async increaseHedge(position, symbol, hedgeAmount, targetHedgeStatus, now, reason) {
         try {
-            // Sample hedge execution for showcase
-            const hedgeAmount = position.subscriptionAmount * 0.5; // 50% hedge for demo
+            const { hedgeQuantity, hedgeCashFlow } = this.sharedState.getHedgeState(position.id);
             const side = position.optionType === 'PUT' ? 'SELL' : 'BUY';
 
-            log(`Executing hedge for position ${position.id}`, 'hedges');
+            log(`Executing ${targetHedgeStatus} hedge for position ${position.id}: ${side} ${hedgeAmount} ${symbol} | ${reason}`, 'hedges');
 
             const orderResult = await openCrossMarginPosition(symbol, side, hedgeAmount, this.sharedState);
 
             if (orderResult) {
+                const executedQuantity = parseFloat(orderResult.executedQty) || hedgeAmount;
+                await this.sharedState.updateHedgeState(position.id, {
+                    lastHedgeAt: now,
+                    hedgeQuantity: Number((hedgeQuantity + executedQuantity).toFixed(8)),
+                    hedgeSymbol: symbol,
+                    hedgeSide: side,
+                    hedgeCashFlow: addFillCashFlow(hedgeCashFlow, side, orderResult)
+                });
                 position.hedgeStatus = targetHedgeStatus;
                 await this.sharedState.updatePosition(position, targetHedgeStatus);
-                log(`Hedge executed successfully for position ${position.id}`, 'hedges');
+                log(`Hedge executed successfully for position ${position.id} (${targetHedgeStatus})`, 'hedges');
             }
         } catch (err) {
             log(`Hedge execution failed: ${err.message}`, 'error');
@@ -89,4 +289,82 @@ class DynamicHedgeStrategy extends BaseStrategy {
     }
 }
 
-module.exports = { DynamicHedgeStrategy, HEDGE_STATUS };
\ No newline at end of file
+/**
+ * Delta-targeting alternative to the fixed break-even steps.
+ *
+ * Each position is valued as a short put/call (Black-Scholes, vol implied from
+ * its APR) and the margin hedge is sized so the position's remaining delta is
+ * DELTA_HEDGE.targetNetDelta of its size. Hedging starts once |delta| reaches
+ * activationDelta and only trades when the hedge is rebalanceThreshold off
+ * target. Settlement flattening and orphan handling are shared with the
+ * dynamic strategy.
+ */
+class DeltaHedgeStrategy extends DynamicHedgeStrategy {
+    constructor(sharedState) {
+        super(sharedState);
+        this.deltaConfig = config.DELTA_HEDGE;
+        // The APR was quoted at entry; re-implying it as spot moves would drift (or
+        // fail once the premium is below intrinsic), so each position keeps its first vol
+        this.impliedVols = new Map();
+    }
+
+    getImpliedVol(position, spotPrice) {
+        if (!this.impliedVols.has(position.id)) {
+            const impliedVol = impliedVolFromApr(position, spotPrice) || this.deltaConfig.fallbackVol;
+            this.impliedVols.set(position.id, impliedVol);
+        }
+        return this.impliedVols.get(position.id);
+    }
+
+    isCooledDown(hedgeState, now) {
+        return this.escalated || !hedgeState.lastHedgeAt ||
+            now - hedgeState.lastHedgeAt >= this.deltaConfig.cooldownMinutes * MINUTE_MS;
+    }
+
+    // Hedge (base units) that brings the position's delta to the target net delta (all of it when escalated)
+    getTargetHedgeQuantity(delta, baseQuantity) {
+        const exposure = Math.abs(delta);
+        if (this.escalated) return exposure;
+        if (exposure < this.deltaConfig.activationDelta * baseQuantity) return 0;
+        return Math.max(0, exposure - this.deltaConfig.targetNetDelta * baseQuantity);
+    }
+
+    async evaluatePosition(position, now = Date.now()) {
+        const symbol = getPairKey(position);
+        const spotPrice = await fetchCurrentPrice(symbol, this.sharedState.config || config);
+        if (!spotPrice) {
+            log(`Skipping hedge check for ${position.id}: no spot price for ${symbol}`, 'hedges');
+            return;
+        }
+
+        const hedgeState = this.sharedState.getHedgeState(position.id);
+        if (this.isNearSettlement(position, now)) {
+            if (hedgeState.hedgeQuantity > 0) {
+                await this.unwindHedge(position, hedgeState.hedgeQuantity, HEDGE_STATUS.CLOSED, now, 'settlement');
+            }
+            return;
+        }
+
+        const greeks = valueDualInvestment(position, spotPrice, now, this.getImpliedVol(position, spotPrice));
+
+        const baseQuantity = this.calculateBaseQuantity(position);
+        const targetQuantity = this.getTargetHedgeQuantity(greeks.delta, baseQuantity);
+        const difference = targetQuantity - hedgeState.hedgeQuantity;
+        if (Math.abs(difference) < this.deltaConfig.rebalanceThreshold * baseQuantity) return;
+        if (!this.isCooledDown(hedgeState, now)) return;
+
+        const reason = `Spot: ${spotPrice} | Delta: ${greeks.delta.toFixed(6)} | Gamma: ${greeks.gamma.toExponential(3)} | IV: ${(greeks.impliedVol * 100).toFixed(1)}%`;
+        if (difference > 0) {
+            const hedgeRatio = targetQuantity / baseQuantity;
+            const targetHedgeStatus = hedgeRatio >= this.hedgeConfig.PARTIAL_HEDGE.step2Percentage
+                ? HEDGE_STATUS.FULL
+                : HEDGE_STATUS.STEP1;
+            await this.increaseHedge(position, symbol, difference, targetHedgeStatus, now, reason);
+        } else {
+            const targetHedgeStatus = targetQuantity > 0 ? HEDGE_STATUS.UNWINDING : HEDGE_STATUS.CLOSED;
+            await this.unwindHedge(position, -difference, targetHedgeStatus, now, reason);
+        }
+    }
+}
+
+module.exports = { DynamicHedgeStrategy, DeltaHedgeStrategy, BaseStrategy, HEDGE_STATUS };
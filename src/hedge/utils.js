@@ -1,13 +1,12 @@
 // src\hedge\utils.js
 const { log } = require('../logger');
-const axios = require('axios');
-const { generateSignature } = require('../helpers/utils');
+const { getExchange } = require('../exchange');
 const { adjustQuantityToLotSize } = require('./precisionHandling');
 
-async function getSymbolInfo(symbol) {
+async function getSymbolInfo(symbol, config) {
     try {
-        const response = await axios.get('https://api.binance.com/api/v3/exchangeInfo');
-        const symbolInfo = response.data.symbols.find(s => s.symbol === symbol);
+        const response = await getExchange(config).getExchangeInfo();
+        const symbolInfo = response.symbols.find(s => s.symbol === symbol);
         if (!symbolInfo) {
             throw new Error(`Symbol ${symbol} not found`);
         }
@@ -18,15 +17,22 @@ async function getSymbolInfo(symbol) {
     }
 }
 
-async function openCrossMarginPosition(symbol, side, amount, sharedState) {
-    if (!sharedState.config || !sharedState.config.BINANCE_API_SECRET || !sharedState.config.BINANCE_API_KEY) {
+// LOT_SIZE step of `symbol`, null when it cannot be looked up
+async function getLotStepSize(symbol, config) {
+    const symbolInfo = await getSymbolInfo(symbol, config);
+    const lotSizeFilter = symbolInfo?.filters.find(f => f.filterType === 'LOT_SIZE');
+    return lotSizeFilter ? parseFloat(lotSizeFilter.stepSize) : null;
+}
+
+async function placeCrossMarginOrder(symbol, side, amount, sharedState, sideEffectType) {
+    if (!sharedState.config || !getExchange(sharedState.config).hasCredentials()) {
         log('Missing API credentials in config', 'error');
         return null;
     }
 
     try {
         // Get symbol info to find LOT_SIZE filter
-        const symbolInfo = await getSymbolInfo(symbol);
+        const symbolInfo = await getSymbolInfo(symbol, sharedState.config);
         if (!symbolInfo) {
             return null;
         }
@@ -42,38 +48,37 @@ async function openCrossMarginPosition(symbol, side, amount, sharedState) {
         const adjustedQuantity = adjustQuantityToLotSize(amount, parseFloat(lotSizeFilter.stepSize));
         log(`Original quantity: ${amount}, Adjusted to lot size: ${adjustedQuantity}`, 'debug');
 
-        const timestamp = Date.now();
         const params = {
             symbol,
             side,
             type: 'MARKET',
             quantity: adjustedQuantity.toString(),
             isIsolated: 'FALSE', // Cross margin
-            sideEffectType: 'AUTO_BORROW_REPAY', // Auto borrow and auto repay
-            timestamp
+            sideEffectType
         };
 
         // Debug log the parameters
         log(`Margin order params: ${JSON.stringify(params)}`, 'debug');
 
-        const queryString = new URLSearchParams(params).toString();
-        const signature = generateSignature(queryString, sharedState.config.BINANCE_API_SECRET);
+        const response = await getExchange(sharedState.config).placeMarginOrder(params);
 
-        const response = await axios.post(
-            'https://api.binance.com/sapi/v1/margin/order',
-            null,
-            {
-                params: { ...params, signature },
-                headers: { 'X-MBX-APIKEY': sharedState.config.BINANCE_API_KEY }
-            }
-        );
-
-        log(`Opened ${side} cross margin position for ${adjustedQuantity} ${symbol}`, 'info');
-        return response.data;
+        log(`Placed ${side} cross margin order for ${adjustedQuantity} ${symbol} (${sideEffectType})`, 'info');
+        return response;
     } catch (error) {
-        log(`Failed to open cross margin position: ${error.response?.data?.msg || error.message}`, 'error');
+        log(`Failed to place cross margin order: ${error.response?.data?.msg || error.message}`, 'error');
         return null;
     }
 }
 
-module.exports = { openCrossMarginPosition }; 
\ No newline at end of file
+// Open (or add to) a hedge, borrowing what the order needs
+async function openCrossMarginPosition(symbol, side, amount, sharedState) {
+    return placeCrossMarginOrder(symbol, side, amount, sharedState, 'AUTO_BORROW_REPAY');
+}
+
+// Reduce or close a hedge; `side` is the side of the hedge being closed, proceeds repay the borrow
+async function closeCrossMarginPosition(symbol, side, amount, sharedState) {
+    const closingSide = side === 'SELL' ? 'BUY' : 'SELL';
+    return placeCrossMarginOrder(symbol, closingSide, amount, sharedState, 'AUTO_REPAY');
+}
+
+module.exports = { openCrossMarginPosition, closeCrossMarginPosition, getLotStepSize }; 
\ No newline at end of file
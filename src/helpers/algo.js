@@ -1,36 +1,266 @@
 // src\helpers\algo.js
-const { log, clearFilteredProductsLog } = require('../logger');
+const { log } = require('../logger');
+const { buildVolSurface, getVolRichness } = require('../pricing/volSurface');
+const { getPairKey, getYieldDecimal } = require('./settlement');
+const { getMarketCalendar, formatEvent } = require('../events');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ROI (from APR and duration), break-even, buffer versus spot and abs ratio of a product at `now`
+function computeProductMetrics(product, now) {
+    const spotPrice = parseFloat(product.spotPrice);
+    const strike = parseFloat(product.strikePrice);
+    const roiDecimal = getYieldDecimal(product);
+    const isCall = product.optionType === 'CALL';
+    const breakEven = strike * (1 + (isCall ? roiDecimal : -roiDecimal));
+    // Distance from spot to break-even on the safe side, negative once spot is past it
+    const bufferPercent = ((isCall ? breakEven - spotPrice : spotPrice - breakEven) / spotPrice) * 100;
+    const actualRoi = roiDecimal * 100;
+    const hoursToExpiry = (product.settleDate - now) / HOUR_MS;
+
+    return {
+        spotPrice,
+        hoursToExpiry,
+        daysToExpiry: hoursToExpiry / 24,
+        actualRoi,
+        breakEven,
+        bufferPercent,
+        // Buffer earned per percent of ROI; ABS_RATIO_THRESHOLD is the floor
+        absRatio: actualRoi > 0 ? bufferPercent / actualRoi : 0
+    };
+}
+
+const settleDay = timestamp => Math.floor(timestamp / DAY_MS);
+
+/**
+ * ROI target multipliers from the open book (ROI_PRESSURE): one step per active
+ * position, and a steeper one per active position on the same pair, direction
+ * and settlement day as the product.
+ */
+function getRoiPressure(product, activePositions, config) {
+    const { perActivePosition, perDuplicate } = config.ROI_PRESSURE;
+    const duplicates = activePositions.filter(pos =>
+        getPairKey(pos) === getPairKey(product) &&
+        pos.optionType === product.optionType &&
+        settleDay(pos.settleDate) === settleDay(product.settleDate)
+    ).length;
+    const pressureMultiplier = 1 + activePositions.length * perActivePosition;
+    const duplicateMultiplier = 1 + duplicates * perDuplicate;
+    return {
+        activePositions: activePositions.length,
+        duplicates,
+        pressureMultiplier,
+        duplicateMultiplier,
+        multiplier: pressureMultiplier * duplicateMultiplier
+    };
+}
+
+// Dedupe key for a product: its orderId, the only product identifier positions carry
+function getSubscriptionKey(product) {
+    return product.orderId ? String(product.orderId) : null;
+}
+
+// Active position subscribed to this very product
+function findSubscribedPosition(product, activePositions) {
+    const key = getSubscriptionKey(product);
+    if (!key) return null;
+    return activePositions.find(pos => getSubscriptionKey(pos) === key) || null;
+}
+
+// ROI target (ROI_STRATEGIES, rounded days like the products log, raised by `multiplier`), ROI floor and buffer floor for an expiry
+function getSelectionTargets(config, daysToExpiry, isShortTerm, multiplier = 1) {
+    const roundedDays = Math.round(daysToExpiry);
+    const roiStrategy = isShortTerm ? config.ROI_STRATEGIES.shortTermROI : config.ROI_STRATEGIES.longTermROI;
+    const baseTargetRoi = roiStrategy.calculate(roundedDays);
+    return {
+        baseTargetRoi,
+        targetRoi: baseTargetRoi * multiplier,
+        minRoi: config.HEDGE_SAFETY.getMinRoiForExpiry(roundedDays) * 100,
+        minBuffer: config.RISK_BUFFER_CONFIG.calculateBuffer(daysToExpiry)
+    };
+}
+
+/**
+ * Metrics and the first failed check for one product, in the order: already
+ * subscribed, expiry window, minimum ROI (target raised by getRoiPressure), buffer,
+ * abs ratio. `rejection` is null when the product passes them all.
+ * `getMinBuffer(daysToExpiry)` replaces RISK_BUFFER_CONFIG for strategies with their own buffer floor.
+ * Market events (src/events) whose blackout falls between now and settlement raise
+ * the buffer floor by their bufferMultiplier; they are kept as `marketEvents`.
+ */
+function evaluateProduct(product, config, isShortTerm, now, activePositions = [], getMinBuffer = null) {
+    const metrics = computeProductMetrics(product, now);
+    const pressure = getRoiPressure(product, activePositions, config);
+    const targets = getSelectionTargets(config, metrics.daysToExpiry, isShortTerm, pressure.multiplier);
+    if (getMinBuffer) targets.minBuffer = getMinBuffer(metrics.daysToExpiry);
+    const marketEvents = getMarketCalendar(config).getImpact(now, product.settleDate);
+    targets.baseMinBuffer = targets.minBuffer;
+    targets.minBuffer *= marketEvents.bufferMultiplier;
+    const requiredRoi = Math.max(targets.targetRoi, targets.minRoi);
+    const [minHours, maxHours] = isShortTerm ? config.SHORT_TERM_EXPIRY_HOURS : config.EXPIRY_HOURS;
+    const evaluation = { ...metrics, ...targets, pressure, marketEvents, requiredRoi, rejection: null };
+    const subscribed = findSubscribedPosition(product, activePositions);
+
+    if (subscribed) {
+        evaluation.rejection = `already subscribed (position ${subscribed.id})`;
+    } else if (!metrics.spotPrice || !product.settleDate) {
+        evaluation.rejection = 'no spot price or settle date';
+    } else if (metrics.hoursToExpiry < minHours || metrics.hoursToExpiry > maxHours) {
+        evaluation.rejection = `expiry ${metrics.hoursToExpiry.toFixed(1)}h outside ${minHours}-${maxHours}h`;
+    } else if (metrics.actualRoi < requiredRoi) {
+        evaluation.rejection = `ROI ${metrics.actualRoi.toFixed(2)}% below ${requiredRoi.toFixed(2)}%`;
+    } else if (metrics.bufferPercent < targets.minBuffer) {
+        const during = marketEvents.events.length ? ` with ${formatEvent(marketEvents.events[0])} before settlement` : '';
+        evaluation.rejection = `buffer ${metrics.bufferPercent.toFixed(2)}% below ${targets.minBuffer.toFixed(2)}%${during}`;
+    } else if (metrics.absRatio < config.ABS_RATIO_THRESHOLD) {
+        evaluation.rejection = `abs ratio ${metrics.absRatio.toFixed(2)} below ${config.ABS_RATIO_THRESHOLD}`;
+    }
+    return evaluation;
+}
+
+// "0.82% = 0.70% ×1.051 book(3) ×1.12 dup(1)" for a raised target, the target alone otherwise
+function formatTarget(targetRoi, baseTargetRoi, pressure) {
+    if (pressure.multiplier === 1) return `${targetRoi.toFixed(2)}%`;
+    const dup = pressure.duplicates ? ` ×${pressure.duplicateMultiplier.toFixed(2)} dup(${pressure.duplicates})` : '';
+    return `${targetRoi.toFixed(2)}% = ${baseTargetRoi.toFixed(2)}% ×${pressure.pressureMultiplier.toFixed(3)} book(${pressure.activePositions})${dup}`;
+}
+
+// "4.50%", or "6.75% = 4.50% ×1.5 events(2)" when market events raised the floor
+function formatMinBuffer(evaluation) {
+    const { minBuffer, baseMinBuffer, marketEvents } = evaluation;
+    if (!marketEvents.events.length) return `${minBuffer.toFixed(2)}%`;
+    return `${minBuffer.toFixed(2)}% = ${baseMinBuffer.toFixed(2)}% ×${marketEvents.bufferMultiplier} events(${marketEvents.events.length})`;
+}
+
+function formatEvaluation(product, evaluation) {
+    const typeLabel = product.optionType === 'CALL' ? 'SELL' : 'BUY';
+    const target = formatTarget(evaluation.targetRoi, evaluation.baseTargetRoi, evaluation.pressure);
+    const events = evaluation.marketEvents.events.map(formatEvent).join(', ');
+    return (
+        `${typeLabel} ${getPairKey(product)} ${product.strikePrice} (${product.id}) | ` +
+        `Expiry: ${evaluation.hoursToExpiry.toFixed(1)}h | ` +
+        `ROI: ${evaluation.actualRoi.toFixed(2)}% (target ${target}, min ${evaluation.minRoi.toFixed(2)}%) | ` +
+        `Break-even: ${evaluation.breakEven.toFixed(4)} | ` +
+        `Buffer: ${evaluation.bufferPercent.toFixed(2)}% (min ${formatMinBuffer(evaluation)}) | ` +
+        `Abs ratio: ${evaluation.absRatio.toFixed(2)}` +
+        (events ? ` | Events: ${events}` : '')
+    );
+}
+
+// V1 ranking: ROI over the required ROI, then implied vol richness, then buffer
+function byRoiMargin(a, b) {
+    return (
+        b.evaluation.actualRoi / b.evaluation.requiredRoi - a.evaluation.actualRoi / a.evaluation.requiredRoi ||
+        (b.richness ?? -Infinity) - (a.richness ?? -Infinity) ||
+        b.evaluation.bufferPercent - a.evaluation.bufferPercent
+    );
+}
 
 /**
- * SHOWCASE VERSION
- * Original file contains proprietary trading algorithms for:
- * - Advanced ROI optimization
- * - Dynamic buffer calculations
- * - Position pressure adjustments
- * - Market event collision detection
- * - Multi-timeframe strategy optimization
+ * Selection pipeline shared by the strategies (src/strategies): evaluate every
+ * product (evaluateProduct), rank those passing with `compare` (product id breaks
+ * ties) and keep the best `maxPerPair` per pair and direction. Each product's
+ * metrics and why it was accepted or rejected go to filteredProducts.log under
+ * the strategy's header; shadow runs are marked as such.
+ *
+ * Selected products are tagged with `strategy` as `<strategyId>:<tenor>`, which the
+ * executions table and the ledger's per-strategy totals carry on.
  */
+function selectProducts(products, config, {
+    activePositions = [],
+    isShortTerm = false,
+    now = Date.now(),
+    volSurface = buildVolSurface(products, now),
+    strategyId = 'v1',
+    shadow = false,
+    compare = byRoiMargin,
+    getMinBuffer = null,
+    maxPerPair = 1
+} = {}) {
+    const tenor = isShortTerm ? 'shortTerm' : 'longTerm';
+    const label = `${strategyId}${shadow ? ' (shadow)' : ''} ${tenor}`;
+
+    // Richer implied vol than the fitted surface marks an outlier
+    const minRichness = config.VOL_SURFACE?.minRichness ?? 0;
+    const evaluated = products.map(product => {
+        const { iv, fittedIv, richness } = getVolRichness(volSurface, product);
+        return {
+            product,
+            evaluation: evaluateProduct(product, config, isShortTerm, now, activePositions, getMinBuffer),
+            iv,
+            fittedIv,
+            richness,
+            ivOutlier: richness !== null && richness >= minRichness
+        };
+    });
+
+    const ranked = evaluated
+        .filter(({ evaluation }) => !evaluation.rejection)
+        .sort((a, b) => compare(a, b) || String(a.product.id).localeCompare(String(b.product.id)));
 
-async function filterAndProcessProducts(products, config, activePositions = [], isShortTerm = false) {
-    // For showcase purposes, return a static filtered list
-    clearFilteredProductsLog();
+    // At most maxPerPair subscriptions per pair and direction per run: the best ranked
+    const selected = [];
+    const perKey = new Map();
+    ranked.forEach(candidate => {
+        const key = `${getPairKey(candidate.product)}-${candidate.product.optionType}`;
+        const kept = perKey.get(key) || [];
+        if (kept.length < maxPerPair) {
+            kept.push(candidate);
+            perKey.set(key, kept);
+            selected.push(candidate);
+        } else {
+            candidate.evaluation.rejection = `ranked below ${kept.map(({ product }) => product.id).join(', ')}`;
+        }
+    });
 
-    // Log some sample metrics for demonstration
-    log("Processing products with advanced filtering algorithms...", 'debug');
-    log("Checking market event collisions...", 'debug');
-    log("Calculating dynamic ROI targets...", 'debug');
-    log("Applying pressure-based adjustments...", 'debug');
+    log(`==================== ${label} selection @ ${new Date(now).toISOString()} ====================`, 'filteredProducts');
+    evaluated.forEach(({ product, evaluation }) => {
+        const outcome = evaluation.rejection ? `❌ rejected: ${evaluation.rejection}` : '✅ accepted';
+        log(`${formatEvaluation(product, evaluation)} | ${outcome}`, 'filteredProducts');
+    });
+    log(`${label}: ${selected.length} of ${products.length} products selected`, 'debug');
 
-    // Return a subset of products with sample metrics
-    return products.slice(0, 3).map(product => ({
+    return selected.map(({ product, evaluation, iv, fittedIv, richness, ivOutlier }) => ({
         ...product,
-        targetRoi: 15.5,
-        actualRoi: 18.2,
+        strategy: `${strategyId}:${tenor}`,
+        iv,
+        fittedIv,
+        ivRichness: richness,
+        ivOutlier,
+        targetRoi: evaluation.requiredRoi,
+        actualRoi: evaluation.actualRoi,
         spotPrice: product.spotPrice,
-        breakEven: product.strikePrice * 1.05,
-        bufferPercent: 4.8,
-        absRatio: 2.1
+        breakEven: evaluation.breakEven,
+        bufferPercent: evaluation.bufferPercent,
+        absRatio: evaluation.absRatio,
+        // Execution scales the subscription by sizeMultiplier
+        marketEvents: evaluation.marketEvents.events.length
+            ? {
+                events: evaluation.marketEvents.events.map(({ title, severity, time }) => ({ title, severity, time })),
+                bufferMultiplier: evaluation.marketEvents.bufferMultiplier,
+                sizeMultiplier: evaluation.marketEvents.sizeMultiplier
+            }
+            : null
     }));
 }
 
-module.exports = { filterAndProcessProducts };
\ No newline at end of file
+/**
+ * V1 selection for one tenor (short term: SHORT_TERM_EXPIRY_HOURS, long term:
+ * EXPIRY_HOURS): the shared pipeline with the config's buffer floor, ranked by
+ * ROI over the required ROI, one product per pair and direction.
+ */
+async function filterAndProcessProducts(products, config, activePositions = [], isShortTerm = false, now = Date.now(), volSurface = buildVolSurface(products, now), shadow = false) {
+    return selectProducts(products, config, { activePositions, isShortTerm, now, volSurface, strategyId: 'v1', shadow });
+}
+
+module.exports = {
+    filterAndProcessProducts,
+    selectProducts,
+    evaluateProduct,
+    computeProductMetrics,
+    getSelectionTargets,
+    getRoiPressure,
+    getSubscriptionKey,
+    formatTarget
+};
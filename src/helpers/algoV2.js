@@ -1,43 +1,45 @@
 // src/helpers/algoV2.js
-const { log, clearFilteredProductsLog } = require('../logger');
+const { selectProducts } = require('./algo');
+const { buildVolSurface } = require('../pricing/volSurface');
 
-/**
- * SHOWCASE VERSION
- * Original file contains proprietary V2 algorithms for:
- * - Enhanced ROI optimization with market pressure adjustments
- * - Advanced buffer calculations with dynamic thresholds
- * - Sophisticated product filtering and grouping
- * - Improved market event handling
- * - Smart duplicate position management
- */
-
-// Helper functions (simplified for showcase)
-function computeBreakEven(product, roiPct) {
-    const r = roiPct / 100;
-    return product.strikePrice * (1 + (product.optionType === 'CALL' ? r : -r));
+// Buffer floor that keeps growing with the tenor instead of RISK_BUFFER_CONFIG's
+function computeMinBuffer(daysToExpiry, { baseBuffer, bufferPerDay, maxBuffer }) {
+    return Math.min(baseBuffer + Math.max(0, daysToExpiry - 1) * bufferPerDay, maxBuffer);
 }
 
-function computeBufferPct(breakEven, spot) {
-    return ((breakEven - spot) / spot) * 100;
+// SELECTION.settings.v2 with the v2 schema's defaults (required here, src/strategies requires this module)
+function resolveV2Settings(config) {
+    const { getStrategy, resolveSettings } = require('../strategies');
+    return resolveSettings(getStrategy('v2'), config.SELECTION.settings?.v2);
 }
 
-async function filterAndProcessProductsV2(products, config, activePositions = [], isShortTerm = false) {
-    clearFilteredProductsLog();
-
-    // Log sample processing steps for demonstration
-    log("V2: Enhanced filtering with market pressure analysis...", 'debug');
-    log("V2: Applying dynamic buffer thresholds...", 'debug');
-    log("V2: Optimizing position distribution...", 'debug');
+// V2 ranking: safety first - buffer earned per percent of ROI, then ROI over the required ROI
+function bySafety(a, b) {
+    return (
+        b.evaluation.absRatio - a.evaluation.absRatio ||
+        b.evaluation.actualRoi / b.evaluation.requiredRoi - a.evaluation.actualRoi / a.evaluation.requiredRoi
+    );
+}
 
-    // Return sample filtered products with demonstration metrics
-    return products.slice(0, 2).map(product => ({
-        ...product,
-        targetRoi: 12.8,
-        actualRoi: 14.5,
-        spotPrice: product.spotPrice,
-        breakEven: computeBreakEven(product, 14.5),
-        bufferPercent: 5.2
-    }));
+/**
+ * V2 selection for one tenor: the shared pipeline (selectProducts) with its own
+ * buffer floor (computeMinBuffer), ranked by abs ratio rather than ROI margin and
+ * keeping up to `settings.maxPerPair` products per pair and direction.
+ * `settings` are SELECTION.settings.v2 resolved against the strategy's schema,
+ * resolved from `config` when not passed.
+ */
+async function filterAndProcessProductsV2(products, config, activePositions = [], isShortTerm = false, now = Date.now(), volSurface = buildVolSurface(products, now), settings = resolveV2Settings(config), shadow = false) {
+    return selectProducts(products, config, {
+        activePositions,
+        isShortTerm,
+        now,
+        volSurface,
+        strategyId: 'v2',
+        shadow,
+        compare: bySafety,
+        getMinBuffer: daysToExpiry => computeMinBuffer(daysToExpiry, settings),
+        maxPerPair: settings.maxPerPair
+    });
 }
 
-module.exports = { filterAndProcessProductsV2 };
+module.exports = { filterAndProcessProductsV2, computeMinBuffer };
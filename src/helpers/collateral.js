@@ -6,31 +6,46 @@ const COLLATERAL_CONFIG = {
             enabled: true,
             minAmount: 0.001,
             maxAmount: 10,
-            ltv: 0.75, // Loan-to-Value ratio (75%)
-            priority: 1 // Higher priority will be used first
+            ltv: 0.75, // Loan-to-Value ratio (75%), used when the exchange's collateral data is unavailable
+            priority: 1, // Breaks ties between equally cheap collateral, lower first
+            carryRate: 0.005 // Annual yield given up while the asset is locked as collateral
         },
         FDUSD: {
             enabled: true,
             minAmount: 100,
             maxAmount: 100000,
-            ltv: 0.75, // Higher LTV for stablecoins
-            priority: 2
+            ltv: 0.75,
+            priority: 2,
+            carryRate: 0.05 // Stablecoins would otherwise fund PUT subscriptions or earn
         },
         USDT: {
             enabled: true,
             minAmount: 100,
             maxAmount: 100000,
-            ltv: 0.75, // Higher LTV for stablecoins
-            priority: 3
+            ltv: 0.75,
+            priority: 3,
+            carryRate: 0.05
         }
     },
 
     // Loan settings
     loan: {
         defaultTerm: 7, // Default loan term in days
-        maxActiveLoans: 5, // Maximum number of active loans
+        maxActiveLoans: 5, // Maximum number of active loans (one per loan/collateral coin pair)
         minBorrowAmount: 100, // Minimum amount to borrow in USDT
-        maxBorrowAmount: 10000 // Maximum amount to borrow in USDT
+        maxBorrowAmount: 10000, // Maximum amount to borrow in USDT
+
+        // LTV monitoring (loans job), thresholds as debt / collateral value
+        protectLtv: 0.8, // Repay from free balance or add collateral from this LTV on
+        targetLtv: 0.7, // ...until the loan is back down to this
+        marginCallLtv: 0.85, // Exchange margin call
+        liquidationLtv: 0.91, // Exchange liquidates the collateral
+        repayFromSettlements: true, // Repay borrowed amounts from the payout when a funded position settles
+
+        // Collateral selection (borrowCoins): live rates and LTVs, cheapest plan over the product's tenor
+        maxCollateralsPerBorrow: 2, // Split a borrow across up to this many collateral coins
+        maxCostShareOfYield: 0.5, // Refuse when interest + collateral carry exceed this share of the yield on the borrowed part
+        marketCacheMinutes: 10 // How long loan rates and collateral LTVs are reused
     }
 };
 
@@ -0,0 +1,64 @@
+// src\helpers\settlement.js
+
+// Pair key in base/quote format (e.g. BTCUSDT) for a product or position
+function getPairKey(product) {
+    return product.optionType === 'PUT'
+        ? `${product.exercisedCoin}${product.investCoin}`
+        : `${product.investCoin}${product.exercisedCoin}`;
+}
+
+// Yield earned over the product's life as a decimal (0.01 = 1%)
+function getYieldDecimal(product) {
+    return parseFloat(product.apr) * product.duration / 365;
+}
+
+/**
+ * Settle a dual investment position against a settlement price.
+ *
+ * PUT: stablecoin in, converted to the base coin at strike when price closes below it.
+ * CALL: base coin in, converted to stablecoin at strike when price closes above it.
+ *
+ * Values are expressed in the quote (stable) currency at the settlement price and
+ * compared against simply holding the invested asset, so a converted position that
+ * settles beyond break-even shows a negative P&L.
+ */
+function settleDualInvestment(position, settlementPrice) {
+    const strike = parseFloat(position.strikePrice);
+    const amount = parseFloat(position.subscriptionAmount ?? position.amount);
+    const yieldDecimal = getYieldDecimal(position);
+    const grossAmount = amount * (1 + yieldDecimal);
+
+    let exercised, payoutCoin, payoutAmount, investedValue, payoutValue;
+    if (position.optionType === 'PUT') {
+        exercised = settlementPrice < strike;
+        payoutCoin = exercised ? position.exercisedCoin : position.investCoin;
+        payoutAmount = exercised ? grossAmount / strike : grossAmount;
+        investedValue = amount;
+        payoutValue = exercised ? payoutAmount * settlementPrice : payoutAmount;
+    } else {
+        exercised = settlementPrice > strike;
+        payoutCoin = exercised ? position.exercisedCoin : position.investCoin;
+        payoutAmount = exercised ? grossAmount * strike : grossAmount;
+        investedValue = amount * settlementPrice;
+        payoutValue = exercised ? payoutAmount : payoutAmount * settlementPrice;
+    }
+
+    const pnl = payoutValue - investedValue;
+    return {
+        settlementPrice,
+        exercised,
+        yieldDecimal,
+        payoutCoin,
+        payoutAmount,
+        investedValue,
+        payoutValue,
+        pnl,
+        roi: investedValue ? (pnl / investedValue) * 100 : 0
+    };
+}
+
+module.exports = {
+    getPairKey,
+    getYieldDecimal,
+    settleDualInvestment
+};
@@ -1,22 +1,24 @@
 // src\helpers\utils.js
-const axios = require('axios');
-const crypto = require('crypto');
 const { log, clearProductsLog } = require('../logger');
-const { TARGET_ROI } = require('../config');
 const COLLATERAL_CONFIG = require('./collateral');
+const { getExchange, generateSignature } = require('../exchange');
+const { getStorage } = require('../storage');
+const { getPriceFeed } = require('../exchange/priceFeed');
+const { RiskEngine } = require('../risk');
+const { getCircuitBreaker } = require('../circuitBreaker');
+const { getLoanManager } = require('../loans');
+const { planCollateral } = require('../loans/collateral');
+const { getYieldDecimal } = require('./settlement');
+const { getRoiPressure, getSubscriptionKey, formatTarget } = require('./algo');
+
+const STABLECOINS = ['USDT', 'FDUSD'];
 
 let lastLoggedPositions = new Map();
+// Products already re-subscribed after an APY update (-9000), so a product is retried once
+const retriedProducts = new Set();
 
-// Generate a signature for API requests
-function generateSignature(queryString, apiSecret) {
-    if (!apiSecret) throw new Error('API Secret is undefined');
-    return crypto.createHmac('sha256', apiSecret)
-        .update(queryString)
-        .digest('hex');
-}
-
-// Fetch dual investment products from Binance
-async function fetchDualInvestmentProducts(config) {
+// Fetch dual investment products from the exchange; activePositions raise the ROI targets in the products log
+async function fetchDualInvestmentProducts(config, activePositions = []) {
     try {
         const allProducts = [];
         const batchSize = 10; // Adjust based on rate limits
@@ -36,8 +38,7 @@ async function fetchDualInvestmentProducts(config) {
                         investCoin: put.investCoin,
                         optionType: 'PUT',
                         pageSize: config.FETCH_CONFIG.pageSize,
-                        pageIndex: config.FETCH_CONFIG.pageIndex,
-                        timestamp: Date.now()
+                        pageIndex: config.FETCH_CONFIG.pageIndex
                     }
                 },
                 {
@@ -49,31 +50,28 @@ async function fetchDualInvestmentProducts(config) {
                         investCoin: call.investCoin,
                         optionType: 'CALL',
                         pageSize: config.FETCH_CONFIG.pageSize,
-                        pageIndex: config.FETCH_CONFIG.pageIndex,
-                        timestamp: Date.now()
+                        pageIndex: config.FETCH_CONFIG.pageIndex
                     }
                 }
             ]);
 
+        const exchange = getExchange(config);
+
         for (let i = 0; i < fetchPromises.length; i += batchSize) {
             const batch = fetchPromises.slice(i, i + batchSize);
             const results = await Promise.all(
-                batch.map(({ pair, type, params }) => {
-                    const queryString = new URLSearchParams(params).toString();
-                    const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-                    return axios.get('https://api.binance.com/sapi/v1/dci/product/list', {
-                        params: { ...params, signature },
-                        headers: { 'X-MBX-APIKEY': config.BINANCE_API_KEY }
-                    }).catch(error => ({ error, pair, type, queryString }));
-                })
+                batch.map(({ pair, type, params }) =>
+                    exchange.getDualInvestmentProducts(params)
+                        .catch(error => ({ error, pair, type }))
+                )
             );
 
             results.forEach((result, index) => {
                 const { pair, type } = batch[index];
                 if (result.error) {
                     log(`Fetch request failed for ${pair}: ${result.error.response?.data?.msg || result.error.message}`, 'error');
-                } else if (result.data?.list?.length) {
-                    allProducts.push(...result.data.list);
+                } else if (result.list?.length) {
+                    allProducts.push(...result.list);
                 }
             });
         }
@@ -92,7 +90,7 @@ async function fetchDualInvestmentProducts(config) {
         });
 
         // Log all products with ROI calculations
-        listAllProducts(allProducts, config);  // Remove this line
+        listAllProducts(allProducts, config, activePositions);  // Remove this line
 
         return allProducts;
     } catch (error) {
@@ -101,7 +99,7 @@ async function fetchDualInvestmentProducts(config) {
     }
 }
 
-function listAllProducts(products, config) {
+function listAllProducts(products, config, activePositions = []) {
     if (!products || products.length === 0) {
         log('No products to list', 'products');
         return;
@@ -151,14 +149,17 @@ function listAllProducts(products, config) {
             ? config.ROI_STRATEGIES.shortTermROI.calculate.bind(config.ROI_STRATEGIES.shortTermROI)
             : config.ROI_STRATEGIES.longTermROI.calculate.bind(config.ROI_STRATEGIES.longTermROI);
 
-        const targetRoi = targetRoiFunc(roundedDays);
+        // Raised by the open book and by duplicates on the same pair, direction and settlement day
+        const baseTargetRoi = targetRoiFunc(roundedDays);
+        const pressure = getRoiPressure(product, activePositions, config);
+        const targetRoi = baseTargetRoi * pressure.multiplier;
         const minRoi = config.HEDGE_SAFETY.getMinRoiForExpiry(roundedDays) * 100;
 
         log(
             `${typeLabel} | Strike: ${product.strikePrice} | ` +
             `Expiry: ${hoursToExpiry}h (${displayDays}d → ${roundedDays}d) | ` +
             `APR: ${annualApr.toFixed(2)}% | ROI: ${roi.toFixed(2)}% | ` +
-            `Target: ${targetRoi.toFixed(2)}% | Min: ${minRoi.toFixed(2)}%`,
+            `Target: ${formatTarget(targetRoi, baseTargetRoi, pressure)} | Min: ${minRoi.toFixed(2)}%`,
             'products'
         );
     });
@@ -166,27 +167,16 @@ function listAllProducts(products, config) {
 
 // Lightweight fetch for retrying a single product
 async function fetchDualProductByMeta({ optionType, exercisedCoin, investCoin, config }) {
-    const timestamp = Date.now();
     const params = {
         optionType,
         exercisedCoin,
         investCoin,
-        pageSize: 100,
-        timestamp
+        pageSize: 100
     };
 
-    const queryString = new URLSearchParams(params).toString();
-    const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-
     try {
-        const response = await axios.get(
-            'https://api.binance.com/sapi/v1/dci/product/list',
-            {
-                params: { ...params, signature },
-                headers: { 'X-MBX-APIKEY': config.BINANCE_API_KEY }
-            }
-        );
-        return response.data?.data || [];
+        const response = await getExchange(config).getDualInvestmentProducts(params);
+        return response?.list || [];
     } catch (error) {
         log(`❌ Error fetching retry product: ${error.message}`, 'debug');
         return [];
@@ -201,25 +191,15 @@ async function fetchPositions(config) {
     try {
         while (true) {
             const params = {
-                timestamp: Date.now(),
                 product: 'DUAL_INVESTMENT',
                 pageSize: 100,   // Max 100 per page
                 pageIndex: pageIndex, // Start from page 1
                 status: 'PURCHASE_SUCCESS' // Only fetch successful purchases
             };
 
-            const queryString = new URLSearchParams(params).toString();
-            const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-
-            const url = 'https://api.binance.com/sapi/v1/dci/product/positions';
-            const headers = { 'X-MBX-APIKEY': config.BINANCE_API_KEY };
+            const response = await getExchange(config).getDualInvestmentPositions(params);
 
-            const response = await axios.get(url, {
-                params: { ...params, signature },
-                headers
-            });
-
-            const fetchedPositions = response.data.list || [];
+            const fetchedPositions = response.list || [];
 
             if (fetchedPositions.length === 0) {
                 break; // No more positions to fetch
@@ -310,10 +290,12 @@ async function fetchPositions(config) {
             lastLoggedPositions = new Map(currentPositions);
         }
 
+        getCircuitBreaker(config).recordApiResult('fetchPositions', true);
         return allPositions;
 
     } catch (error) {
         log(`Error fetching positions: ${error.response?.data?.msg || error.message}`, 'error');
+        getCircuitBreaker(config).recordApiResult('fetchPositions', false, error.response?.data?.msg || error.message);
         if (error.response) {
             log(`Error response data: ${JSON.stringify(error.response.data)}`, 'error');
         }
@@ -321,12 +303,14 @@ async function fetchPositions(config) {
     }
 }
 
+// Streamed price when the price feed has a fresh one, REST ticker otherwise
 async function fetchCurrentPrice(pair, config) {
+    const streamed = getPriceFeed()?.getPrice(pair);
+    if (streamed) return streamed;
+
     try {
-        const response = await axios.get('https://api.binance.com/api/v3/ticker/price', {
-            params: { symbol: pair }
-        });
-        return parseFloat(response.data.price);
+        const response = await getExchange(config).getTickerPrice(pair);
+        return parseFloat(response.price);
     } catch (error) {
         log(`Error fetching price for ${pair}: ${error.message}`);
         return null;
@@ -336,25 +320,10 @@ async function fetchCurrentPrice(pair, config) {
 // Function to get current active loans
 async function getCurrentLoans(config) {
     try {
-        const timestamp = Date.now();
-        const params = {
-            timestamp,
-            limit: 100
-        };
-
-        const queryString = new URLSearchParams(params).toString();
-        const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-
-        const response = await axios.get(
-            'https://api.binance.com/sapi/v2/loan/flexible/ongoing/orders',
-            {
-                params: { ...params, signature },
-                headers: { 'X-MBX-APIKEY': config.BINANCE_API_KEY }
-            }
-        );
+        const response = await getExchange(config).getFlexibleLoanOngoingOrders({ limit: 100 });
 
-        if (response.data && response.data.rows) {
-            return response.data.rows;
+        if (response && response.rows) {
+            return response.rows;
         }
         return [];
     } catch (error) {
@@ -363,146 +332,184 @@ async function getCurrentLoans(config) {
     }
 }
 
-// Function to borrow coins
-async function borrowCoins(coin, amount, config) {
+// Borrow `amount` of `coin` against the cheapest feasible collateral (see planCollateral).
+// With the product it funds, the loan runs until settlement and is refused when
+// interest plus collateral carry eat more than maxCostShareOfYield of its yield.
+async function borrowCoins(coin, amount, config, product = null) {
     try {
-        const timestamp = Date.now();
-
-        // Get enabled collateral assets and sort based on priority logic
-        let collateralAssets = Object.entries(COLLATERAL_CONFIG.assets)
-            .filter(([_, config]) => config.enabled);
-
-        // If borrowing BTC, move BTC to lowest priority
-        if (coin === 'BTC') {
-            collateralAssets.sort(([a, aConfig], [b, bConfig]) => {
-                if (a === 'BTC') return 1; // Move BTC to end
-                if (b === 'BTC') return -1;
-                return aConfig.priority - bConfig.priority;
-            });
-        } else {
-            // For all other coins, keep BTC as highest priority
-            collateralAssets.sort(([a, aConfig], [b, bConfig]) => {
-                if (a === 'BTC') return -1; // Keep BTC first
-                if (b === 'BTC') return 1;
-                return aConfig.priority - bConfig.priority;
-            });
+        // Loan limits (COLLATERAL_CONFIG.loan): borrow size in USDT and number of active loans
+        const loanManager = getLoanManager(config);
+        const { loan: loanSettings } = COLLATERAL_CONFIG;
+        const coinUsdtPrice = STABLECOINS.includes(coin) ? 1 : await fetchCurrentPrice(`${coin}USDT`, config);
+        if (!coinUsdtPrice) {
+            log(`Failed to fetch USDT price for ${coin}, not borrowing`, 'debug');
+            return null;
+        }
+        if (!loanManager.checkBorrowAmount(coin, amount, amount * coinUsdtPrice)) {
+            return null;
+        }
+        const activeLoans = await loanManager.fetchLoans();
+        if (!activeLoans) {
+            log(`Active loans unavailable, not borrowing ${amount} ${coin}`, 'debug');
+            return null;
         }
 
-        // Try each collateral asset in priority order
-        for (const [collateralCoin, collateralConfig] of collateralAssets) {
-            // Calculate required collateral based on LTV
-            const isCollateralStable = collateralCoin === 'USDT' || collateralCoin === 'FDUSD';
-            const isCoinStable = coin === 'USDT' || coin === 'FDUSD';
-
-            // Handle price fetching based on whether coins are stablecoins
-            let currentPrice, collateralPrice;
-            if (isCollateralStable) {
-                // If collateral is stablecoin, use direct price for the coin
-                currentPrice = await fetchCurrentPrice(`${coin}${collateralCoin}`, config);
-                collateralPrice = 1; // Stablecoin price is always 1
-            } else if (isCoinStable) {
-                // If coin is stablecoin, use inverse price for collateral
-                currentPrice = 1; // Stablecoin price is always 1
-                collateralPrice = await fetchCurrentPrice(`${collateralCoin}${coin}`, config);
-            } else {
-                // Both are non-stablecoins, fetch both prices in USDT
-                currentPrice = await fetchCurrentPrice(`${coin}USDT`, config);
-                collateralPrice = await fetchCurrentPrice(`${collateralCoin}USDT`, config);
-            }
+        const market = await loanManager.fetchLoanMarket(coin);
+        if (!market?.loanable) {
+            log(`No loan rate available for ${coin}, not borrowing`, 'execution');
+            return null;
+        }
+        const balances = await fetchSpotBalances(config);
+        if (!balances) {
+            log(`Spot balances unavailable, not borrowing ${amount} ${coin}`, 'debug');
+            return null;
+        }
 
-            if (!currentPrice || !collateralPrice) {
-                log(`Failed to fetch prices for ${coin} or ${collateralCoin}`, 'debug');
-                continue; // Try next collateral
-            }
+        const usdtPrices = { [coin]: coinUsdtPrice };
+        for (const collateralCoin of Object.keys(COLLATERAL_CONFIG.assets)) {
+            if (usdtPrices[collateralCoin]) continue;
+            usdtPrices[collateralCoin] = STABLECOINS.includes(collateralCoin)
+                ? 1
+                : await fetchCurrentPrice(`${collateralCoin}USDT`, config);
+        }
 
-            const borrowValue = amount * currentPrice;
-            const collateralValue = borrowValue / collateralConfig.ltv;
-            const collateralAmount = collateralValue / collateralPrice;
+        const days = product
+            ? Math.max((product.settleDate - Date.now()) / (24 * 60 * 60 * 1000), 0)
+            : loanSettings.defaultTerm;
+        const plan = planCollateral({
+            coin,
+            amount,
+            days,
+            usdtPrices,
+            balances,
+            assets: COLLATERAL_CONFIG.assets,
+            loanable: market.loanable,
+            collaterals: market.collaterals,
+            maxLegs: loanSettings.maxCollateralsPerBorrow,
+            canOpen: collateralCoin => loanManager.canOpenLoan(activeLoans, coin, collateralCoin)
+        });
+        if (!plan) {
+            log(`No collateral can back ${amount} ${coin}`, 'execution');
+            return null;
+        }
 
+        if (product) {
+            const maxCost = amount * coinUsdtPrice * getYieldDecimal(product) * loanSettings.maxCostShareOfYield;
+            if (plan.totalCost > maxCost) {
+                log(
+                    `🚫 Loan: not borrowing ${amount} ${coin} for ${product.id}, cost ${plan.totalCost.toFixed(4)} USDT ` +
+                    `over ${days.toFixed(1)}d exceeds ${maxCost.toFixed(4)} USDT (${loanSettings.maxCostShareOfYield * 100}% of its yield)`,
+                    'execution'
+                );
+                return null;
+            }
+        }
+
+        // Place each leg; a failed leg unwinds the ones already borrowed
+        const responses = [];
+        for (const leg of plan.legs) {
             const params = {
                 loanCoin: coin,
-                loanAmount: amount,
-                collateralCoin: collateralCoin,
-                collateralAmount: collateralAmount.toFixed(8),
-                timestamp
+                loanAmount: leg.loanAmount,
+                collateralCoin: leg.collateralCoin,
+                collateralAmount: leg.collateralAmount.toFixed(8)
             };
-
-            const queryString = new URLSearchParams(params).toString();
-            const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-
             try {
-                const response = await axios.post(
-                    'https://api.binance.com/sapi/v2/loan/flexible/borrow',
-                    null,
-                    {
-                        params: { ...params, signature },
-                        headers: { 'X-MBX-APIKEY': config.BINANCE_API_KEY }
-                    }
-                );
-
-                log(`Successfully borrowed ${amount} ${coin} using ${collateralAmount.toFixed(8)} ${collateralCoin} as collateral`, 'debug');
-                return response.data;
+                const response = await getExchange(config).flexibleLoanBorrow(params);
+                recordLoan(params, response, config);
+                responses.push(response);
             } catch (error) {
-                log(`Failed to borrow with ${collateralCoin}: ${error.response?.data?.msg || error.message}`, 'debug');
-                continue; // Try next collateral
+                log(`Failed to borrow with ${leg.collateralCoin}: ${error.response?.data?.msg || error.message}`, 'error');
+                for (const placed of plan.legs.slice(0, responses.length)) {
+                    await loanManager.repay(
+                        { loanCoin: coin, collateralCoin: placed.collateralCoin },
+                        placed.loanAmount,
+                        'unwinding split borrow',
+                        { fullRepayment: true }
+                    );
+                }
+                return null;
             }
         }
 
-        log(`Failed to borrow ${amount} ${coin} with any collateral`, 'debug');
-        return null;
+        const legsLog = plan.legs.map(leg => `${leg.loanAmount} against ${leg.collateralAmount} ${leg.collateralCoin}`).join(' + ');
+        log(
+            `Borrowed ${amount} ${coin}: ${legsLog} (${(plan.annualRate * 100).toFixed(2)}% APR, ` +
+            `cost ${plan.totalCost.toFixed(4)} USDT over ${days.toFixed(1)}d)`,
+            'execution'
+        );
+        return { ...plan, responses };
     } catch (error) {
         log(`Error in borrowCoins: ${error.message}`, 'debug');
         return null;
     }
 }
 
+// Keep every opened loan in storage; a failed write must not fail the borrow
+function recordLoan(params, response, config) {
+    try {
+        getStorage(config).recordLoan({ ...params, status: response?.status, response });
+    } catch (error) {
+        log(`Failed to record loan of ${params.loanAmount} ${params.loanCoin}: ${error.message}`, 'error');
+    }
+}
+
 // Function to fetch spot balances
 async function fetchSpotBalances(config) {
     try {
-        const timestamp = Date.now();
-        const params = { timestamp };
-
-        const queryString = new URLSearchParams(params).toString();
-        const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-
-        const response = await axios.get(
-            'https://api.binance.com/api/v3/account',
-            {
-                params: { ...params, signature },
-                headers: { 'X-MBX-APIKEY': config.BINANCE_API_KEY }
-            }
-        );
+        const response = await getExchange(config).getAccount();
 
         // Convert balances array to a map of coin -> free amount
         const balances = {};
-        response.data.balances.forEach(balance => {
+        response.balances.forEach(balance => {
             const free = parseFloat(balance.free);
             if (free > 0) {
                 balances[balance.asset] = free;
             }
         });
 
+        getCircuitBreaker(config).recordApiResult('fetchSpotBalances', true);
         return balances;
     } catch (error) {
         log(`Error fetching spot balances: ${error.response?.data?.msg || error.message}`, 'debug');
-        return {};
+        getCircuitBreaker(config).recordApiResult('fetchSpotBalances', false, error.response?.data?.msg || error.message);
+        return null;
     }
 }
 
-async function execute(processedProducts, config, mock = false, spotBalances = {}) {
+// riskEngine should be built from the open positions; the default only sees this run's subscriptions
+async function execute(processedProducts, config, mock = false, spotBalances = {}, riskEngine = new RiskEngine(config)) {
     let balances = {
         USDT: config.INVESTMENT_AMOUNT,
         FDUSD: config.INVESTMENT_AMOUNT
     };
+    // Products subscribed (or mock-subscribed) this run, with the amount deposited and the new position id
+    const subscriptions = [];
+    const executedKeys = new Set();
 
     if (!processedProducts) {
         log(`No products to execute`, 'execution');
-        return { balances };
+        return { balances, subscriptions };
     }
 
     const totalStablecoinAmount = config.INVESTMENT_AMOUNT * config.ALLOCATION_FRACTION;
 
     for (const product of processedProducts) {
+        // A tripped circuit breaker stops live subscriptions, even halfway through a run
+        if (!mock && getCircuitBreaker(config).isTripped()) {
+            log('🚨 Circuit breaker tripped, skipping remaining subscriptions', 'execution');
+            break;
+        }
+
+        // The short and long-term windows overlap, so one product can be selected twice in a run;
+        // keyed like the already-subscribed check in selection (see getSubscriptionKey)
+        const subscriptionKey = getSubscriptionKey(product);
+        if (subscriptionKey && executedKeys.has(subscriptionKey)) {
+            log(`Skipping ${product.id}/${product.orderId} - already executed this run`, 'execution');
+            continue;
+        }
+        if (subscriptionKey) executedKeys.add(subscriptionKey);
+
         // Determine if investCoin is a stablecoin (USDT or FDUSD)
         const isInvestCoinStable = product.investCoin === 'USDT' || product.investCoin === 'FDUSD';
         // Construct the pair key for config lookup and price fetch (always base/quote format)
@@ -519,93 +526,123 @@ async function execute(processedProducts, config, mock = false, spotBalances = {
             continue;
         }
 
+        // Amount borrowed to fund this subscription, for loan interest in the ledger
+        let borrowed = 0;
+
+        // Market events before settlement (tagged at selection) shrink the subscription
+        const sizeMultiplier = product.marketEvents?.sizeMultiplier ?? 1;
+        if (sizeMultiplier < 1) {
+            const events = product.marketEvents.events.map(event => event.title).join(', ');
+            log(`📅 ${product.id}: size ×${sizeMultiplier} for ${events} before settlement`, 'execution');
+        }
+
         const putCallBalance = config.PUT_CALL_BALANCE;
-        const { putAllocation: putAmount, callAllocation: callAmount } = config.ALLOCATION_ALGORITHMS.calculateAllocation(putCallBalance, totalStablecoinAmount);
+        const { putAllocation, callAllocation } = config.ALLOCATION_ALGORITHMS.calculateAllocation(putCallBalance, totalStablecoinAmount * sizeMultiplier);
 
         // Handle PUT option (direct subscription with stablecoin amount)
-        if (product.optionType === 'PUT' && putAmount >= 1) {
+        if (product.optionType === 'PUT' && putAllocation >= 1) {
+            // Portfolio limits may downsize or reject the subscription
+            const approved = riskEngine.checkSubscription(product, putAllocation);
+            if (!approved) continue;
+            const putAmount = approved.downsized ? Math.floor(approved.amount * 100) / 100 : putAllocation;
+
             const currentBalance = spotBalances[product.investCoin] || 0;
             if (currentBalance < putAmount) {
                 log(`Insufficient balance for PUT option. Current: ${currentBalance} ${product.investCoin}, Need: ${putAmount} ${product.investCoin}`, 'execution');
-                // Implement borrow logic using collateral priority
-                const borrowResult = await borrowCoins(product.investCoin, putAmount, config);
-                if (!borrowResult) {
-                    log(`Failed to borrow ${putAmount} ${product.investCoin} with any collateral`, 'execution');
-                    continue;
+                // Implement borrow logic using collateral priority (mock runs only note the loan)
+                if (mock) {
+                    log(`Mock: would borrow ${putAmount} ${product.investCoin}`, 'execution');
+                } else {
+                    const borrowResult = await borrowCoins(product.investCoin, putAmount, config, product);
+                    if (!borrowResult) {
+                        log(`Failed to borrow ${putAmount} ${product.investCoin} with any collateral`, 'execution');
+                        continue;
+                    }
                 }
+                borrowed = putAmount;
             } else {
                 log(`Sufficient balance for PUT option. Current: ${currentBalance} ${product.investCoin}, Need: ${putAmount} ${product.investCoin}`, 'execution');
             }
 
             if (!mock) {
-                const success = await subscribeToProduct(product, putAmount, config);
-                if (success) {
+                const subscription = await subscribeToProduct(product, putAmount, config);
+                if (subscription) {
+                    riskEngine.recordSubscription(product, putAmount);
                     balances[isInvestCoinStable ? product.investCoin : product.exercisedCoin] -= putAmount;
+                    subscriptions.push({ product, amount: putAmount, positionId: subscription.positionId, borrowed });
                 }
             } else {
                 log(`Mock: BUY Subscribed ${putAmount.toFixed(2)} ${product.investCoin} to ${pairKey} - ${product.id}/${product.orderId}`, 'execution');
+                riskEngine.recordSubscription(product, putAmount);
+                subscriptions.push({ product, amount: putAmount, positionId: null, borrowed });
             }
         }
 
         // Handle CALL option (price fetch needed)
-        if (product.optionType === 'CALL' && callAmount >= 1) {
-            const currentPrice = await fetchCurrentPrice(coinConfigKey, config); // Fetch price for base/quote pair
+        if (product.optionType === 'CALL' && callAllocation >= 1) {
+            // Prefer the spot price attached during product processing, fetch otherwise
+            const currentPrice = product.spotPrice || await fetchCurrentPrice(coinConfigKey, config);
             if (!currentPrice) {
                 log(`Skipping ${pairKey} due to price fetch failure`, 'execution');
                 continue;
             }
 
             const precision = coinConfig.decimalPrecision;
-            const coinAmount = Number((callAmount / currentPrice).toFixed(precision)); // Calculate coin amount
+            const allocatedCoins = Number((callAllocation / currentPrice).toFixed(precision)); // Calculate coin amount
+
+            // Portfolio limits may downsize or reject the subscription
+            const approved = riskEngine.checkSubscription(product, allocatedCoins, currentPrice);
+            if (!approved) continue;
+            const coinAmount = approved.downsized
+                ? Math.floor(approved.amount * 10 ** precision) / 10 ** precision
+                : allocatedCoins;
 
             const currentBalance = spotBalances[isInvestCoinStable ? product.exercisedCoin : product.investCoin] || 0;
             if (currentBalance < coinAmount) {
                 log(`Insufficient balance for CALL option. Current: ${currentBalance} ${product.investCoin}, Need: ${coinAmount} ${product.investCoin}`, 'execution');
-                // Implement borrow logic using collateral priority
-                const borrowResult = await borrowCoins(product.investCoin, coinAmount, config);
-                if (!borrowResult) {
-                    log(`Failed to borrow ${coinAmount} ${product.investCoin} with any collateral`, 'execution');
-                    continue;
+                // Implement borrow logic using collateral priority (mock runs only note the loan)
+                if (mock) {
+                    log(`Mock: would borrow ${coinAmount} ${product.investCoin}`, 'execution');
+                } else {
+                    const borrowResult = await borrowCoins(product.investCoin, coinAmount, config, product);
+                    if (!borrowResult) {
+                        log(`Failed to borrow ${coinAmount} ${product.investCoin} with any collateral`, 'execution');
+                        continue;
+                    }
                 }
+                borrowed = coinAmount;
             } else {
                 log(`Sufficient balance for CALL option. Current: ${currentBalance} ${product.investCoin}, Need: ${coinAmount} ${product.investCoin}`, 'execution');
             }
 
             if (!mock) {
-                const success = await subscribeToProduct(product, coinAmount, config);
-                if (success) {
+                const subscription = await subscribeToProduct(product, coinAmount, config);
+                if (subscription) {
+                    riskEngine.recordSubscription(product, coinAmount, currentPrice);
                     balances[isInvestCoinStable ? product.exercisedCoin : product.investCoin] -= coinAmount;
+                    subscriptions.push({ product, amount: coinAmount, positionId: subscription.positionId, borrowed });
                 }
             } else {
                 log(`Mock: SELL Subscribed ${coinAmount} ${product.investCoin} to ${pairKey} - ${product.id}/${product.orderId}`, 'execution');
+                riskEngine.recordSubscription(product, coinAmount, currentPrice);
+                subscriptions.push({ product, amount: coinAmount, positionId: null, borrowed });
             }
         }
     }
-    return { balances };
+    return { balances, subscriptions };
 }
 
-// Subscribe to a product on Binance
+// Subscribe to a product on the exchange; resolves with the subscription (positionId, ...) or false
 async function subscribeToProduct(product, amount, config) {
     try {
-        const timestamp = Date.now();
         const params = {
             id: product.id,
             orderId: product.orderId,
             depositAmount: amount,
-            autoCompoundPlan: 'NONE',
-            timestamp
+            autoCompoundPlan: 'NONE'
         };
-        const queryString = new URLSearchParams(params).toString();
-        const signature = generateSignature(queryString, config.BINANCE_API_SECRET);
-
-        const response = await axios.post(
-            'https://api.binance.com/sapi/v1/dci/product/subscribe',
-            null,
-            {
-                params: { ...params, signature },
-                headers: { 'X-MBX-APIKEY': config.BINANCE_API_KEY }
-            }
-        );
+
+        const response = await getExchange(config).subscribeDualInvestment(params);
 
         const pair = `${product.investCoin}${product.exercisedCoin}`;
         const coin = product.optionType === 'PUT' ? product.investCoin : product.exercisedCoin;
@@ -622,11 +659,13 @@ async function subscribeToProduct(product, amount, config) {
             'execution'
         );
 
-        return true;
+        getCircuitBreaker(config).recordApiResult('subscribeToProduct', true);
+        return response || {};
     } catch (error) {
         const code = error?.response?.data?.code || 'N/A';
         const msg = error?.response?.data?.msg || error.message;
         const status = error?.response?.status || 'NoStatus';
+        getCircuitBreaker(config).recordApiResult('subscribeToProduct', false, msg);
 
         log(
             `❌ Failed to subscribe ${product.id}/${product.orderId} | Status: ${status} | Code: ${code} | Msg: ${msg}`,
@@ -681,12 +720,17 @@ async function fetchSpotPrices(config) {
         const activePairs = config.SUPPORTED_ASSETS.getActivePairs();
 
         // Fetch all prices in parallel
+        const exchange = getExchange(config);
+        const feed = getPriceFeed();
         const promises = Object.entries(activePairs).map(async ([pair, pairConfig]) => {
+            const streamed = feed?.getPrice(pair);
+            if (streamed) {
+                spotPrices[pair] = streamed;
+                return;
+            }
             try {
-                const response = await axios.get('https://api.binance.com/api/v3/ticker/price', {
-                    params: { symbol: pair }
-                });
-                spotPrices[pair] = parseFloat(response.data.price);
+                const response = await exchange.getTickerPrice(pair);
+                spotPrices[pair] = parseFloat(response.price);
             } catch (err) {
                 log(`Failed to fetch spot price for ${pair}: ${err.message}`, 'error');
             }
@@ -4,14 +4,26 @@
  */
 
 require('dotenv').config();
-const cron = require('node-cron');
-const { filterAndProcessProducts } = require('./helpers/algo');
+const { runSelection, validateSelectionConfig } = require('./strategies');
+const { validateConfig, getLoadedLayers } = require('./configLoader');
 const { fetchDualInvestmentProducts, fetchPositions, execute, fetchSpotBalances, fetchSpotPrices } = require('./helpers/utils');
 const { log } = require('./logger');
 const config = require('./config');
 const { HedgeManager } = require('./hedge');
+const { buildVolSurface, saveVolSurface } = require('./pricing/volSurface');
+const { SettlementTracker } = require('./ledger');
+const { getStorage } = require('./storage');
+const { startMonitorServer } = require('./monitor');
+const { startPriceFeed } = require('./exchange/priceFeed');
+const { Scheduler } = require('./scheduler');
+const { RunModeManager, getRunModeLimits } = require('./runMode');
+const { RiskEngine } = require('./risk');
+const { buildRiskReport } = require('./risk/report');
+const { getCircuitBreaker, computeEquity } = require('./circuitBreaker');
+const { getLoanManager } = require('./loans');
+const { getMarketCalendar, formatEvent } = require('./events');
+const { RUN_MODE } = require('./runMode');
 const SharedState = require('./sharedState');
-const fs = require('fs').promises;
 const path = require('path');
 
 // Use the singleton instance
@@ -23,37 +35,44 @@ sharedState.config = config;
 // State tracking for logging
 let previousPositionsCount = 0;
 let previousProductStatus = '';
+let lastSurfaceStoredAt = 0;
 
-let cronLock = false;
+validateConfig(config);
 const hedgeManager = new HedgeManager(config.HEDGE_STRATEGY || 'dynamic', sharedState);
-
-// === Lock Mechanism ===
-async function safeRun(task) {
-    if (cronLock) {
-        log('⏸️ Skipping overlapping cron run due to active lock', 'debug');
-        return;
-    }
-    cronLock = true;
-    try {
-        await task();
-    } catch (err) {
-        log(`Cron task failed: ${err.message}`, 'error');
-    } finally {
-        cronLock = false;
-    }
+validateSelectionConfig(config);
+const settlementTracker = new SettlementTracker(config);
+const scheduler = new Scheduler();
+const runMode = new RunModeManager(config.RUN_MODE);
+const circuitBreaker = getCircuitBreaker(config);
+const loanManager = getLoanManager(config);
+const marketCalendar = getMarketCalendar(config);
+const startedAt = Date.now();
+
+function getSchedulerHealth() {
+    return scheduler.getHealth();
 }
 
 // === State Updaters ===
 async function updatePositions() {
     try {
         // #1 Fetch latest positions from exchange/platform API
+        // A failed fetch keeps the last known positions (the circuit breaker trips once they go stale)
         const positions = await fetchPositions(config);
+        if (!positions) return;
 
-        // #2 Load up-to-date hedge status from positions.log
+        // #2 Load up-to-date hedge status from storage
         await sharedState.loadHedgeStatus();
 
+        // #2b Record positions that settled since the last fetch (needs their last hedge state)
+        const settled = await settlementTracker.track(positions, sharedState);
+
+        // #2c Pay back what the settled positions borrowed
+        if (canManageLoans()) {
+            await loanManager.repayFromSettlements(settled);
+        }
+
         // #3 Inject hedge status properties into every position (for easy downstream use)
-        sharedState.positions = (positions || []).map(pos => ({
+        sharedState.positions = positions.map(pos => ({
             ...pos,
             hedgeStatus: sharedState.getHedgeStatus(pos.id)
         }));
@@ -65,22 +84,31 @@ async function updatePositions() {
             previousPositionsCount = sharedState.positions.length;
         }
 
-        // #4 Update positions.log with latest state
+        // #4 Persist the active position set (positions that left it are kept as history)
         const positionsMap = {};
         sharedState.positions.forEach(pos => {
             positionsMap[pos.id] = {
                 ...pos,
                 hedgeStatus: pos.hedgeStatus,
+                ...sharedState.getHedgeState(pos.id),
                 createdAt: pos.createdAt || new Date().toISOString(),
                 lastUpdated: new Date().toISOString()
             };
         });
 
-        const positionsLogPath = path.join(__dirname, '../log/positions.log');
-        await fs.writeFile(
-            positionsLogPath,
-            JSON.stringify(positionsMap, null, 2)
-        );
+        // Keep settled positions whose hedge is still open so the hedge engine can flatten it
+        sharedState.hedgeStates.forEach((hedgeState, id) => {
+            if (!positionsMap[id] && hedgeState.hedgeQuantity > 0) {
+                positionsMap[id] = {
+                    id,
+                    hedgeStatus: sharedState.getHedgeStatus(id),
+                    ...hedgeState,
+                    lastUpdated: new Date().toISOString()
+                };
+            }
+        });
+
+        await sharedState.replacePositions(positionsMap);
 
     } catch (err) {
         log(`❌ Failed to update positions: ${err.message}`, 'error');
@@ -92,14 +120,73 @@ async function updateSpotBalances() {
     try {
         // #5 Fetch latest spot balances from exchange/platform API
         const balances = await fetchSpotBalances(config);
+        if (!balances) return;
         sharedState.spotBalances = balances;
         sharedState.balancesLastUpdated = Date.now();
-        // Removed spot balance update log
+
+        // Equity needs the loans as of these balances; without them a borrow or repayment would look like a drop
+        const spotPrices = await fetchSpotPrices(config);
+        const loans = await loanManager.fetchLoans();
+        if (spotPrices && loans) {
+            circuitBreaker.recordEquity(computeEquity(balances, sharedState.positions, spotPrices, loans));
+        }
     } catch (err) {
         log(`❌ Failed to update spot balances: ${err.message}`, 'error');
     }
 }
 
+// Keep a timestamped copy of the surface every VOL_SURFACE.storeIntervalMinutes
+function storeVolSurface(volSurface) {
+    const { dir, storeIntervalMinutes } = config.VOL_SURFACE;
+    if (volSurface.timestamp - lastSurfaceStoredAt < storeIntervalMinutes * 60 * 1000) return;
+
+    try {
+        saveVolSurface(dir || path.join(__dirname, '../surfaces'), volSurface);
+        lastSurfaceStoredAt = volSurface.timestamp;
+    } catch (err) {
+        log(`❌ Failed to store vol surface: ${err.message}`, 'error');
+    }
+}
+
+// Keep the fetched product list every STORAGE.productSnapshotMinutes
+function storeProductSnapshot(timestamp, products, spotPrices) {
+    try {
+        const storage = getStorage(config);
+        if (timestamp - storage.getLastProductSnapshotTime() < config.STORAGE.productSnapshotMinutes * 60 * 1000) return;
+        storage.recordProductSnapshot(timestamp, products, spotPrices);
+    } catch (err) {
+        log(`❌ Failed to store product snapshot: ${err.message}`, 'error');
+    }
+}
+
+function recordExecutions(subscriptions) {
+    if (!subscriptions.length) return;
+    try {
+        getStorage(config).recordExecutions(subscriptions);
+    } catch (err) {
+        log(`❌ Failed to record executions: ${err.message}`, 'error');
+    }
+}
+
+// Stress scenarios and historical VaR on the open book, kept on sharedState for the monitor
+async function updateRiskReport() {
+    try {
+        const spotPrices = await fetchSpotPrices(config);
+        if (!spotPrices) return;
+
+        const since = Date.now() - config.RISK_REPORT.varLookbackDays * 24 * 60 * 60 * 1000;
+        const report = buildRiskReport(sharedState, spotPrices, getStorage(config).getSpotSeries(since), config);
+        sharedState.riskReport = report;
+
+        const worstShock = Math.min(0, ...report.bookShocks.map(shock => shock.pnl));
+        const level = report.historicalVar.levels[0];
+        const varText = typeof level?.var === 'number' ? `${level.var.toFixed(2)} @ ${level.confidence * 100}%` : 'n/a';
+        log(`📉 Risk: worst book shock ${worstShock.toFixed(2)} | VaR ${varText}`, 'debug');
+    } catch (err) {
+        log(`❌ Failed to build risk report: ${err.message}`, 'error');
+    }
+}
+
 // === Execution Logic ===
 async function runExecution() {
     // #6 Core logic: evaluate and execute trade opportunities based on updated state
@@ -121,7 +208,7 @@ async function runExecution() {
     }
 
     // #8 Fetch dual investment products from platform
-    const products = await fetchDualInvestmentProducts(config);
+    const products = await fetchDualInvestmentProducts(config, activePositions);
     if (!products) {
         const message = '❌ No products available';
         if (previousProductStatus !== message) {
@@ -148,36 +235,22 @@ async function runExecution() {
 
     // Log available products for analysis (sanitized for showcase)
     log(`Found ${productsWithSpot.length} products with valid spot prices`, 'info');
+    sharedState.lastProducts = { timestamp: Date.now(), count: productsWithSpot.length, products: productsWithSpot };
 
-    // #9 Filter and process products (short and long term)
-    // V1 algorithm
-    // const shortTermProducts = await filterAndProcessProducts(
-    //     productsWithSpot,
-    //     config,
-    //     activePositions,
-    //     true
-    // );
-    // const longTermProducts = await filterAndProcessProducts(
-    //     productsWithSpot,
-    //     config,
-    //     activePositions,
-    //     false
-    // );
-
-    const shortTermProducts = await filterAndProcessProducts(
-        productsWithSpot,
-        config,
-        activePositions,
-        true
-    );
+    // Fit the implied vol surface the filters rank products against
+    const volSurface = buildVolSurface(productsWithSpot);
+    sharedState.volSurface = volSurface;
+    storeVolSurface(volSurface);
+    storeProductSnapshot(volSurface.timestamp, productsWithSpot, spotPrices);
 
-    const longTermProducts = await filterAndProcessProducts(
+    // #9 Filter and process products (short and long term) with the strategies SELECTION names
+    const { shortTerm: shortTermProducts, longTerm: longTermProducts, shadow } = await runSelection(
         productsWithSpot,
         config,
-        activePositions,
-        false
+        { activePositions, now: volSurface.timestamp, volSurface }
     );
     const allProcessed = [...shortTermProducts, ...longTermProducts];
+    sharedState.lastCandidates = { timestamp: Date.now(), shortTerm: shortTermProducts, longTerm: longTermProducts, shadow };
 
     // #10 No eligible products to act on
     if (allProcessed.length === 0) {
@@ -194,48 +267,182 @@ async function runExecution() {
     previousProductStatus = '';
 
     // #10 Execute subscriptions/orders for selected products
-    await execute(allProcessed, config, false, sharedState.spotBalances);
+    const riskEngine = new RiskEngine(config, activePositions, spotPrices);
+    const { subscriptions } = await execute(allProcessed, config, false, sharedState.spotBalances, riskEngine);
+    recordExecutions(subscriptions);
+    await settlementTracker.recordSubscriptions(subscriptions);
 }
 
-// === Main Sequential Loop ===
-async function mainLoop() {
-    await updatePositions();
-    await updateSpotBalances();
-
-    // Check if we should stop the program
+// === Run Mode ===
+// Position limits pause entries instead of stopping the program; hedging and refresh keep running
+function updateRunMode() {
     const activePositions = sharedState.positions;
 
-    // Stop if max positions reached
-    if (activePositions.length >= config.MAX_TOTAL_POSITIONS) {
-        log('🛑 Max positions reached, stopping program', 'info');
-        process.exit(0);
+    // STEP1, FULL and UNWINDING count as hedged
+    const hedgedCount = activePositions.filter(pos => sharedState.isHedged(pos.id)).length;
+
+    runMode.applyLimits({
+        positions: activePositions.length,
+        hedged: hedgedCount,
+        ...getRunModeLimits(config)
+    });
+}
+
+// === Circuit Breaker ===
+// Run mode before the trip, restored by the reset (a mode pinned by hand stays pinned)
+let modeBeforeTrip = null;
+
+// Tripped: no new entries (pinned HEDGE_ONLY) and escalated hedging, until reset by hand
+function onBreakerTrip(trip) {
+    if (runMode.mode !== RUN_MODE.HALTED) {
+        if (!modeBeforeTrip) modeBeforeTrip = { mode: runMode.mode, manual: runMode.manual };
+        runMode.setMode(RUN_MODE.HEDGE_ONLY, `Circuit breaker: ${trip.reason}`, { manual: true });
     }
+    updateHedgeEscalation();
+    if (scheduler.jobs.has('hedging')) scheduler.trigger('hedging');
+}
+
+function onBreakerReset() {
+    updateHedgeEscalation();
+    const previous = modeBeforeTrip || { mode: RUN_MODE.ACTIVE, manual: false };
+    modeBeforeTrip = null;
+    if (runMode.mode !== RUN_MODE.HALTED) {
+        runMode.setMode(previous.mode, 'Circuit breaker reset', { manual: previous.manual });
+        if (!previous.manual) updateRunMode();
+    }
+}
+
+circuitBreaker.on('trip', onBreakerTrip);
+circuitBreaker.on('reset', onBreakerReset);
+
+async function circuitBreakerJob() {
+    circuitBreaker.checkResetFlag();
+    circuitBreaker.checkPositionsFreshness(sharedState.lastUpdated || startedAt);
+
+    const spotPrices = await fetchSpotPrices(config);
+    Object.entries(spotPrices || {}).forEach(([symbol, price]) => circuitBreaker.recordPrice(symbol, price));
+}
+
+// === Market Events ===
+// Hedging is escalated while the breaker is tripped or inside the blackout of an event whose severity escalates it
+function updateHedgeEscalation(now = Date.now()) {
+    const event = marketCalendar.getActiveEvents(now).find(active => active.escalateHedging);
+    if (circuitBreaker.isTripped()) {
+        hedgeManager.setEscalated(true, 'circuit breaker tripped');
+    } else if (event) {
+        hedgeManager.setEscalated(true, `${formatEvent(event)} blackout`);
+    } else {
+        hedgeManager.setEscalated(false);
+    }
+}
+
+// === Loans ===
+// Repayments and collateral top-ups are orders too: only with execution enabled and not HALTED
+function canManageLoans() {
+    return config.ENABLE_EXECUTION && runMode.mode !== RUN_MODE.HALTED;
+}
 
-    // Count hedged positions (STEP1 and FULL count as hedged)
-    const hedgedCount = activePositions.filter(pos => pos.hedgeStatus !== 'NONE').length;
-    const maxHedgedPositions = Math.floor(config.MAX_TOTAL_POSITIONS);
+async function loansJob() {
+    await loanManager.monitor(sharedState.spotBalances, { protect: canManageLoans() });
+}
+
+// === Jobs ===
+async function refreshPositionsJob() {
+    await updatePositions();
+    updateRunMode();
+}
 
-    if (hedgedCount >= maxHedgedPositions) {
-        log(`🛑 Max hedged positions (${hedgedCount}/${maxHedgedPositions}) reached, stopping program`, 'info');
-        process.exit(0);
+async function executionJob() {
+    // Execution and hedging stay disabled for the showcase version unless enabled in config
+    if (config.ENABLE_EXECUTION && runMode.canEnter()) {
+        await runExecution();
     }
+}
 
-    // Execution and hedging disabled for showcase version
-    // await runExecution();
-    // await hedgeManager.monitorAndHedge();
+async function hedgingJob() {
+    updateHedgeEscalation();
+    if (config.ENABLE_HEDGING && runMode.canHedge()) {
+        await hedgeManager.monitorAndHedge();
+    }
 }
 
-// === Initialization & Master Cron ===
+// === Single Sequential Cycle (demo, replay) ===
+async function mainLoop() {
+    await circuitBreakerJob();
+    await refreshPositionsJob();
+    await updateSpotBalances();
+    await loansJob();
+    await executionJob();
+    await hedgingJob();
+    await updateRiskReport();
+}
+
+// === Price Feed ===
+// Streamed ticks re-check the hedges on that pair between scheduled hedge runs, at most once per cooldown
+function watchPrices() {
+    const feed = startPriceFeed(config);
+    const lastReaction = {};
+
+    // Runs under the hedging job's lock, so it never overlaps a scheduled hedge run
+    feed.on('price', (symbol, price) => {
+        circuitBreaker.recordPrice(symbol, price);
+        if (!config.ENABLE_HEDGING || !runMode.canHedge()) return;
+        const now = Date.now();
+        if (now - (lastReaction[symbol] || 0) < config.PRICE_FEED.reactionCooldownSeconds * 1000) return;
+        lastReaction[symbol] = now;
+        scheduler.trigger('hedging', () => hedgeManager.monitorSymbol(symbol));
+    });
+    feed.on('disconnected', () => log('⚠️ Price feed disconnected, using REST prices until it reconnects', 'warn'));
+
+    return feed;
+}
+
+// === Initialization & Scheduler ===
 async function start() {
     log('🚀 Starting system...', 'info');
+    const layers = getLoadedLayers();
+    if (layers.profile || layers.file || layers.env.length) {
+        log(`⚙️ Config: profile ${layers.profile || 'none'}, file ${layers.file || 'none'}, env overrides ${layers.env.join(', ') || 'none'}`, 'info');
+    }
+    if (config.PAPER.enabled) {
+        log(`📄 Paper trading: orders go to paper account '${config.PAPER.account}', market data to the ${config.EXCHANGE.adapter} adapter`, 'info');
+    }
 
-    // Run the full logic flow once at startup
-    await mainLoop();
+    if (config.MONITOR.enabled) {
+        const { host, port, token } = config.MONITOR;
+        await startMonitorServer({ sharedState, config, getSchedulerHealth, runMode, circuitBreaker, loanManager, settlementTracker, token }, { host, port })
+            .catch(err => log(`❌ Monitor API failed to start: ${err.message}`, 'error'));
+    }
+
+    const jobs = config.SCHEDULER;
+    scheduler
+        .addJob({ name: 'circuitBreaker', run: circuitBreakerJob, ...jobs.circuitBreaker })
+        .addJob({ name: 'hedging', run: hedgingJob, ...jobs.hedging })
+        .addJob({ name: 'positions', run: refreshPositionsJob, ...jobs.positions })
+        .addJob({ name: 'balances', run: updateSpotBalances, ...jobs.balances })
+        .addJob({ name: 'loans', run: loansJob, ...jobs.loans })
+        .addJob({ name: 'execution', run: executionJob, ...jobs.execution })
+        .addJob({ name: 'riskReport', run: updateRiskReport, ...jobs.riskReport });
+
+    // Positions and balances are loaded once before any other job may act on them
+    await scheduler.trigger('positions');
+    await scheduler.trigger('balances');
+
+    // A trip left open by the last run still applies
+    const openTrip = circuitBreaker.load();
+    if (openTrip) onBreakerTrip(openTrip);
+
+    if (config.PRICE_FEED.enabled) {
+        watchPrices();
+    }
 
-    // Schedule all-in-one loop for every 3 minutes
-    cron.schedule('*/3 * * * *', () => safeRun(mainLoop));
+    scheduler.start();
 
     log('✅ System initialized and running', 'info');
 }
 
-start();
+if (require.main === module) {
+    start();
+}
+
+module.exports = { mainLoop, start, settlementTracker, runMode, circuitBreaker, loanManager };
@@ -0,0 +1,238 @@
+// src\ledger\index.js
+const { log } = require('../logger');
+const { getExchange } = require('../exchange');
+const { getStorage } = require('../storage');
+const { getPairKey, settleDualInvestment } = require('../helpers/settlement');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const STABLECOINS = ['USDT', 'FDUSD'];
+const SETTLED_PAGE_SIZE = 100;
+const MAX_SETTLED_PAGES = 5;
+
+function emptyTotals() {
+    return { positions: 0, exercised: 0, yieldEarned: 0, optionPnl: 0, hedgePnl: 0, loanInterest: 0, netPnl: 0 };
+}
+
+function addToTotals(totals, record) {
+    totals.positions += 1;
+    totals.exercised += record.exercised ? 1 : 0;
+    ['yieldEarned', 'optionPnl', 'hedgePnl', 'loanInterest', 'netPnl'].forEach(key => {
+        totals[key] = Number((totals[key] + record[key]).toFixed(8));
+    });
+}
+
+/**
+ * Follows dual investment positions from subscription to settlement.
+ *
+ * Every cycle the active position list is compared with the positions seen
+ * before. Positions that left the active set past their settleDate are looked
+ * up among the exchange's SETTLED positions, priced at the settlement candle and
+ * written to the ledger (settlements table) with yield, option, hedge and loan P&L.
+ *
+ * P&L is in the pair's quote currency. optionPnl is the dual investment result
+ * against holding the invested asset (see settleDualInvestment), hedgePnl is the
+ * hedge's fill cash flow plus any hedge still open marked at the settlement price,
+ * and loanInterest is estimated from the borrowed amount over the holding period.
+ */
+class SettlementTracker {
+    constructor(config) {
+        this.config = config;
+        this.open = {};      // positionId -> position snapshot, entry info and last hedge state
+        this.settled = [];   // Ledger records, oldest first
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            const ledger = getStorage(this.config).loadLedger();
+            this.open = ledger.open;
+            this.settled = ledger.settled;
+        } catch (err) {
+            log(`Failed to load settlement ledger: ${err.message}`, 'error');
+        }
+        this.loaded = true;
+    }
+
+    async save() {
+        try {
+            getStorage(this.config).saveSettlementEntries(this.open);
+        } catch (err) {
+            log(`Failed to write settlement ledger: ${err.message}`, 'error');
+        }
+    }
+
+    // Entry details for fresh subscriptions (from execute), keyed by the new position id
+    async recordSubscriptions(subscriptions, now = Date.now()) {
+        if (!this.loaded) await this.load();
+
+        const tracked = subscriptions.filter(({ positionId }) => positionId);
+        tracked.forEach(({ product, amount, positionId, borrowed = 0 }) => {
+            this.open[positionId] = {
+                ...this.open[positionId],
+                strategy: product.strategy || 'untracked',
+                entryTime: now,
+                entrySpot: product.spotPrice || null,
+                borrowedAmount: borrowed,
+                borrowedCoin: borrowed ? product.investCoin : null,
+                subscribedAmount: amount
+            };
+        });
+
+        if (tracked.length) await this.save();
+    }
+
+    /**
+     * Compare the active positions with the ones seen before and settle what left.
+     * `positions` must come from a successful fetch: an empty list settles everything.
+     */
+    async track(positions, sharedState, now = Date.now()) {
+        if (!this.loaded) await this.load();
+
+        const activeIds = new Set(positions.map(pos => String(pos.id)));
+        positions.forEach(pos => {
+            const known = this.open[pos.id] || {};
+            this.open[pos.id] = {
+                ...known,
+                strategy: known.strategy || 'untracked',
+                entryTime: known.entryTime || now,
+                position: pos,
+                hedge: sharedState.getHedgeState(pos.id)
+            };
+        });
+
+        const gone = Object.keys(this.open).filter(id => !activeIds.has(id) && this.open[id].position);
+        const due = gone.filter(id => this.open[id].position.settleDate <= now);
+        if (!due.length) {
+            await this.save();
+            return [];
+        }
+
+        const settledRecords = await this.fetchSettledPositions(new Set(due));
+        const recorded = [];
+        for (const id of due) {
+            const record = await this.settle(this.open[id], settledRecords.get(id), sharedState, now);
+            if (!record) continue;
+            try {
+                getStorage(this.config).saveSettlement(record);
+            } catch (err) {
+                log(`Failed to record settlement of ${id}: ${err.message}`, 'error');
+                continue;
+            }
+            this.settled.push(record);
+            delete this.open[id];
+            recorded.push(record);
+            log(
+                `📒 Settled ${record.pair} ${record.optionType} ${id} @ ${record.settlementPrice} | ` +
+                `${record.exercised ? 'Exercised' : 'Not exercised'} | Yield: ${record.yieldEarned.toFixed(4)} | ` +
+                `Option: ${record.optionPnl.toFixed(4)} | Hedge: ${record.hedgePnl.toFixed(4)} | ` +
+                `Loan: -${record.loanInterest.toFixed(4)} | Net: ${record.netPnl.toFixed(4)}`,
+                'execution'
+            );
+        }
+
+        await this.save();
+        return recorded;
+    }
+
+    // Settled positions from the exchange for the given ids (a few pages, newest first)
+    async fetchSettledPositions(ids) {
+        const found = new Map();
+        try {
+            for (let pageIndex = 1; pageIndex <= MAX_SETTLED_PAGES && found.size < ids.size; pageIndex++) {
+                const response = await getExchange(this.config).getDualInvestmentPositions({
+                    product: 'DUAL_INVESTMENT',
+                    pageSize: SETTLED_PAGE_SIZE,
+                    pageIndex,
+                    status: 'SETTLED'
+                });
+                const list = response?.list || [];
+                list.filter(pos => ids.has(String(pos.id))).forEach(pos => found.set(String(pos.id), pos));
+                if (list.length < SETTLED_PAGE_SIZE) break;
+            }
+        } catch (error) {
+            log(`Error fetching settled positions: ${error.response?.data?.msg || error.message}`, 'error');
+        }
+        return found;
+    }
+
+    // Price of the first 1m candle at settleDate, null when unavailable
+    async fetchSettlementPrice(symbol, settleDate) {
+        try {
+            const klines = await getExchange(this.config).getKlines({ symbol, interval: '1m', startTime: settleDate, limit: 1 });
+            const close = parseFloat(klines?.[0]?.[4]);
+            return close || null;
+        } catch (error) {
+            log(`Error fetching settlement price for ${symbol}: ${error.response?.data?.msg || error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async settle(entry, settledRecord, sharedState, now) {
+        const position = { ...entry.position, ...settledRecord };
+        const pair = getPairKey(position);
+        const settlementPrice = parseFloat(settledRecord?.settlePrice) ||
+            await this.fetchSettlementPrice(pair, position.settleDate);
+        if (!settlementPrice) return null;
+
+        const outcome = settleDualInvestment(position, settlementPrice);
+
+        // Any hedge still open is marked at the settlement price
+        const hedge = { ...entry.hedge, ...sharedState.hedgeStates.get(String(position.id)) };
+        const openHedgeValue = (hedge.hedgeQuantity || 0) * settlementPrice;
+        const hedgePnl = (hedge.hedgeCashFlow || 0) + (hedge.hedgeSide === 'SELL' ? -openHedgeValue : openHedgeValue);
+
+        const loanInterest = this.estimateLoanInterest(entry, position.settleDate, settlementPrice);
+        const yieldEarned = outcome.investedValue * outcome.yieldDecimal;
+
+        return {
+            id: String(position.id),
+            pair,
+            strategy: entry.strategy || 'untracked',
+            optionType: position.optionType,
+            status: settledRecord?.purchaseStatus || 'SETTLED',
+            investCoin: position.investCoin,
+            amount: parseFloat(position.subscriptionAmount ?? position.amount),
+            apr: parseFloat(position.apr),
+            duration: position.duration,
+            entryTime: entry.entryTime || null,
+            entrySpot: entry.entrySpot || null,
+            strikePrice: parseFloat(position.strikePrice),
+            settleDate: position.settleDate,
+            settledAt: now,
+            settlementPrice,
+            exercised: outcome.exercised,
+            payoutCoin: outcome.payoutCoin,
+            payoutAmount: outcome.payoutAmount,
+            yieldEarned: Number(yieldEarned.toFixed(8)),
+            optionPnl: Number(outcome.pnl.toFixed(8)),
+            hedgePnl: Number(hedgePnl.toFixed(8)),
+            loanInterest: Number(loanInterest.toFixed(8)),
+            borrowedAmount: entry.borrowedAmount || 0,
+            borrowedCoin: entry.borrowedCoin || null,
+            netPnl: Number((outcome.pnl + hedgePnl - loanInterest).toFixed(8))
+        };
+    }
+
+    // Interest on the borrowed part of the subscription, in quote currency
+    estimateLoanInterest(entry, settleDate, settlementPrice) {
+        if (!entry.borrowedAmount || !entry.entryTime) return 0;
+        const years = Math.max(0, settleDate - entry.entryTime) / YEAR_MS;
+        const interest = entry.borrowedAmount * this.config.LEDGER.loanAnnualRate * years;
+        return STABLECOINS.includes(entry.borrowedCoin) ? interest : interest * settlementPrice;
+    }
+
+    // Cumulative realized P&L per pair and per strategy
+    getRealizedPnl() {
+        const summary = { total: emptyTotals(), byPair: {}, byStrategy: {} };
+        this.settled.forEach(record => {
+            if (!summary.byPair[record.pair]) summary.byPair[record.pair] = emptyTotals();
+            if (!summary.byStrategy[record.strategy]) summary.byStrategy[record.strategy] = emptyTotals();
+            addToTotals(summary.total, record);
+            addToTotals(summary.byPair[record.pair], record);
+            addToTotals(summary.byStrategy[record.strategy], record);
+        });
+        return summary;
+    }
+}
+
+module.exports = { SettlementTracker };
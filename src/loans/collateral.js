@@ -0,0 +1,109 @@
+// src\loans\collateral.js
+
+const HOURS_PER_YEAR = 365 * 24;
+const round8 = amount => Math.floor(amount * 1e8) / 1e8;
+const ceil8 = amount => Math.ceil(amount * 1e8) / 1e8;
+
+/**
+ * Collateral candidates for a borrow: live initial LTV from the exchange's collateral
+ * data, falling back to the configured ltv, and how much of the loan each could back
+ * with its free balance (in loan coin units).
+ */
+function getCollateralOptions({ coin, usdtPrices, balances, assets, collaterals }) {
+    return Object.entries(assets)
+        .filter(([collateralCoin, asset]) => asset.enabled && collateralCoin !== coin && usdtPrices[collateralCoin])
+        .map(([collateralCoin, asset]) => {
+            const live = collaterals.find(row => row.collateralCoin === collateralCoin);
+            const ltv = parseFloat(live?.initialLTV) || asset.ltv;
+            const maxCollateral = Math.min(
+                balances[collateralCoin] || 0,
+                asset.maxAmount ?? Infinity,
+                parseFloat(live?.maxLimit) || Infinity
+            );
+            return {
+                collateralCoin,
+                ltv,
+                minCollateral: asset.minAmount || 0,
+                priority: asset.priority,
+                carryRate: asset.carryRate || 0,
+                maxCollateral,
+                // Loan coin one unit of collateral can back
+                loanPerCollateral: usdtPrices[collateralCoin] * ltv / usdtPrices[coin],
+                capacity: maxCollateral * usdtPrices[collateralCoin] * ltv / usdtPrices[coin]
+            };
+        });
+}
+
+/**
+ * Cheapest feasible collateral for borrowing `amount` of `coin` over `days`.
+ *
+ * The loan rate only depends on the loan coin (loanable data, hourly rate), so
+ * interest is the same for every plan. What differs is the collateral: a lower
+ * LTV locks more of it, and locked collateral gives up its carryRate (what it
+ * would earn otherwise). Single collaterals and splits across two (the first one
+ * filled to its free balance) are compared on interest plus carry.
+ *
+ * Returns { legs: [{ collateralCoin, loanAmount, collateralAmount, ltv }],
+ * interestCost, carryCost, totalCost, annualRate } with costs in USDT, or null
+ * when nothing is feasible. `canOpen(collateralCoin)` says whether a loan against
+ * that collateral may be used (active loan limit).
+ */
+function planCollateral({ coin, amount, days, usdtPrices, balances, assets, loanable, collaterals, maxLegs = 2, canOpen = () => true }) {
+    const hourlyRate = parseFloat(loanable?.flexibleInterestRate);
+    if (Number.isNaN(hourlyRate)) return null;
+    const annualRate = hourlyRate * HOURS_PER_YEAR;
+    const minLoan = parseFloat(loanable.flexibleMinLimit) || 0;
+    const maxLoan = parseFloat(loanable.flexibleMaxLimit) || Infinity;
+    if (amount > maxLoan) return null;
+
+    const years = days / 365;
+    const interestCost = amount * usdtPrices[coin] * annualRate * years;
+    const options = getCollateralOptions({ coin, usdtPrices, balances, assets, collaterals })
+        .filter(option => option.capacity > 0 && canOpen(option.collateralCoin));
+
+    const toLeg = (option, loanAmount) => ({
+        collateralCoin: option.collateralCoin,
+        loanAmount,
+        collateralAmount: Math.min(ceil8(loanAmount / option.loanPerCollateral), round8(option.maxCollateral)),
+        ltv: option.ltv
+    });
+    const legFeasible = (option, leg) => leg.loanAmount >= minLoan && leg.collateralAmount >= option.minCollateral;
+
+    const plans = [];
+    options.forEach(option => {
+        if (option.capacity >= amount) {
+            const leg = toLeg(option, amount);
+            if (legFeasible(option, leg)) plans.push([{ option, leg }]);
+        }
+    });
+    if (maxLegs >= 2) {
+        options.forEach(first => options.forEach(second => {
+            if (first === second || first.capacity >= amount) return;
+            const firstAmount = round8(first.capacity);
+            const secondAmount = round8(amount - firstAmount);
+            if (secondAmount > second.capacity) return;
+            const legs = [{ option: first, leg: toLeg(first, firstAmount) }, { option: second, leg: toLeg(second, secondAmount) }];
+            if (legs.every(({ option, leg }) => legFeasible(option, leg))) plans.push(legs);
+        }));
+    }
+
+    const priced = plans.map(legs => {
+        const carryCost = legs.reduce((sum, { option, leg }) => sum + leg.collateralAmount * usdtPrices[option.collateralCoin] * option.carryRate * years, 0);
+        return {
+            legs: legs.map(({ leg }) => leg),
+            priority: Math.min(...legs.map(({ option }) => option.priority ?? Infinity)),
+            interestCost,
+            carryCost,
+            totalCost: interestCost + carryCost,
+            annualRate
+        };
+    });
+    if (!priced.length) return null;
+
+    // Cheapest first; fewer loans, then configured priority break ties
+    priced.sort((a, b) => a.totalCost - b.totalCost || a.legs.length - b.legs.length || a.priority - b.priority);
+    const { priority, ...best } = priced[0];
+    return best;
+}
+
+module.exports = { planCollateral, getCollateralOptions };
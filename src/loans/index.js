@@ -0,0 +1,277 @@
+// src\loans\index.js
+const { log } = require('../logger');
+const { getExchange } = require('../exchange');
+const COLLATERAL_CONFIG = require('../helpers/collateral');
+
+const MAX_ACTIONS = 50;
+const MINUTE_MS = 60 * 1000;
+const INTEREST_DUST = 0.01;   // Debt left after a settlement repayment below this fraction of the borrow is paid off too
+
+let activeManager = null;
+
+const loanKey = loan => `${loan.loanCoin}/${loan.collateralCoin}`;
+const pct = ltv => `${(ltv * 100).toFixed(2)}%`;
+// Exchange amounts take 8 decimals; rounding down never asks for more than is free
+const roundDown = amount => Math.floor(amount * 1e8) / 1e8;
+
+/**
+ * Flexible loan lifecycle: limits before borrowing, LTV monitoring and repayment.
+ *
+ * borrowCoins asks checkBorrowAmount and canOpenLoan before every borrow
+ * (COLLATERAL_CONFIG.loan min/maxBorrowAmount and maxActiveLoans) and plans
+ * its collateral from fetchLoanMarket (live rates and LTVs, see
+ * planCollateral). The loans job runs monitor(), which reads every loan's LTV
+ * and, from protectLtv on, brings it back to targetLtv: first by repaying from
+ * the free loan coin balance, then by adding collateral from the free
+ * collateral balance. When a position funded by a loan settles,
+ * repayFromSettlements pays the borrowed amount back from the payout (if it
+ * was paid out in the borrowed coin).
+ */
+class LoanManager {
+    constructor(config, settings = COLLATERAL_CONFIG.loan) {
+        this.config = config;
+        this.settings = settings;
+        this.loans = [];           // Loans from the last check, with LTV status
+        this.lastChecked = null;
+        this.actions = [];         // Recent repayments and collateral top-ups
+        this.marketCache = new Map();   // loan coin -> { fetchedAt, loanable, collaterals }
+    }
+
+    // Ongoing loans, null when the exchange could not be asked
+    async fetchLoans() {
+        try {
+            const response = await getExchange(this.config).getFlexibleLoanOngoingOrders({ limit: 100 });
+            return response?.rows || [];
+        } catch (error) {
+            log(`Error fetching loans: ${error.response?.data?.msg || error.message}`, 'error');
+            return null;
+        }
+    }
+
+    // Loan rate and limits for `coin` plus every collateral's LTVs, cached for marketCacheMinutes; null when unavailable
+    async fetchLoanMarket(coin, now = Date.now()) {
+        const cached = this.marketCache.get(coin);
+        if (cached && now - cached.fetchedAt < this.settings.marketCacheMinutes * MINUTE_MS) return cached;
+
+        try {
+            const exchange = getExchange(this.config);
+            const [assets, collaterals] = await Promise.all([
+                exchange.getFlexibleLoanAssets({ loanCoin: coin }),
+                exchange.getFlexibleLoanCollaterals({})
+            ]);
+            const market = {
+                fetchedAt: now,
+                loanable: (assets?.rows || []).find(row => row.loanCoin === coin) || null,
+                collaterals: collaterals?.rows || []
+            };
+            this.marketCache.set(coin, market);
+            return market;
+        } catch (error) {
+            log(`Error fetching loan rates for ${coin}: ${error.response?.data?.msg || error.message}`, 'error');
+            return null;
+        }
+    }
+
+    // Size of a single borrow, valued in USDT
+    checkBorrowAmount(coin, amount, borrowValue) {
+        const { minBorrowAmount, maxBorrowAmount } = this.settings;
+        if (borrowValue < minBorrowAmount || borrowValue > maxBorrowAmount) {
+            log(
+                `🚫 Loan: not borrowing ${amount} ${coin} (${borrowValue.toFixed(2)} USDT), ` +
+                `outside ${minBorrowAmount}-${maxBorrowAmount} USDT`,
+                'execution'
+            );
+            return false;
+        }
+        return true;
+    }
+
+    // Borrowing against collateral already in use adds to that loan; a new pair needs a free slot
+    canOpenLoan(loans, loanCoin, collateralCoin) {
+        if (loans.some(loan => loan.loanCoin === loanCoin && loan.collateralCoin === collateralCoin)) return true;
+        if (loans.length < this.settings.maxActiveLoans) return true;
+        log(`🚫 Loan: not opening ${loanCoin}/${collateralCoin}, ${loans.length}/${this.settings.maxActiveLoans} loans active`, 'execution');
+        return false;
+    }
+
+    getLtvStatus(ltv) {
+        const { protectLtv, marginCallLtv, liquidationLtv } = this.settings;
+        if (ltv >= liquidationLtv) return 'LIQUIDATION';
+        if (ltv >= marginCallLtv) return 'MARGIN_CALL';
+        if (ltv >= protectLtv) return 'PROTECT';
+        return 'OK';
+    }
+
+    recordAction(action, now = Date.now()) {
+        this.actions.push({ ...action, at: now });
+        if (this.actions.length > MAX_ACTIONS) this.actions.shift();
+    }
+
+    // collateralReturn: let the exchange release collateral freed by the repayment;
+    // fullRepayment: pay off the whole debt including accrued interest (amount is then informational)
+    async repay(loan, amount, reason, { collateralReturn = true, fullRepayment = false } = {}) {
+        const repayAmount = roundDown(amount);
+        if (repayAmount <= 0) return null;
+
+        try {
+            const response = await getExchange(this.config).flexibleLoanRepay({
+                loanCoin: loan.loanCoin,
+                collateralCoin: loan.collateralCoin,
+                repayAmount,
+                collateralReturn: collateralReturn ? 'TRUE' : 'FALSE',
+                fullRepayment: fullRepayment ? 'TRUE' : 'FALSE'
+            });
+            log(`💸 Loan: repaid ${fullRepayment ? 'in full ' : ''}${repayAmount} ${loan.loanCoin} on ${loanKey(loan)} (${reason})`, 'execution');
+            this.recordAction({ type: 'repay', loan: loanKey(loan), amount: repayAmount, fullRepayment, reason });
+            return response;
+        } catch (error) {
+            log(`Failed to repay ${repayAmount} ${loan.loanCoin} on ${loanKey(loan)}: ${error.response?.data?.msg || error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async addCollateral(loan, amount, reason) {
+        const adjustmentAmount = roundDown(amount);
+        if (adjustmentAmount <= 0) return null;
+
+        try {
+            const response = await getExchange(this.config).flexibleLoanAdjustLtv({
+                loanCoin: loan.loanCoin,
+                collateralCoin: loan.collateralCoin,
+                adjustmentAmount,
+                direction: 'ADDITIONAL'
+            });
+            log(`🧱 Loan: added ${adjustmentAmount} ${loan.collateralCoin} collateral on ${loanKey(loan)} (${reason})`, 'execution');
+            this.recordAction({ type: 'addCollateral', loan: loanKey(loan), amount: adjustmentAmount, reason });
+            return response;
+        } catch (error) {
+            log(`Failed to add collateral on ${loanKey(loan)}: ${error.response?.data?.msg || error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Bring a loan from `ltv` back to targetLtv. Repaying x of the debt scales
+     * LTV by (debt - x) / debt, adding y collateral by collateral / (collateral + y).
+     * Returns the expected LTV afterwards; spotBalances is reduced by what was used.
+     */
+    async protect(loan, ltv, spotBalances) {
+        const { targetLtv } = this.settings;
+        const debt = parseFloat(loan.totalDebt);
+        const collateral = parseFloat(loan.collateralAmount);
+        const reason = `LTV ${pct(ltv)}`;
+
+        const freeLoanCoin = spotBalances[loan.loanCoin] || 0;
+        const repayNeeded = debt * (1 - targetLtv / ltv);
+        const repayAmount = roundDown(Math.min(freeLoanCoin, repayNeeded));
+        if (repayAmount > 0 && await this.repay(loan, repayAmount, reason, { collateralReturn: false })) {
+            spotBalances[loan.loanCoin] = freeLoanCoin - repayAmount;
+            ltv *= (debt - repayAmount) / debt;
+            if (repayAmount >= roundDown(repayNeeded)) return ltv;
+        }
+
+        const freeCollateral = spotBalances[loan.collateralCoin] || 0;
+        const topUpNeeded = collateral * (ltv / targetLtv - 1);
+        const topUp = roundDown(Math.min(freeCollateral, topUpNeeded));
+        if (topUp > 0 && await this.addCollateral(loan, topUp, reason)) {
+            spotBalances[loan.collateralCoin] = freeCollateral - topUp;
+            ltv *= collateral / (collateral + topUp);
+            if (topUp >= roundDown(topUpNeeded)) return ltv;
+        }
+
+        log(`🚨 Loan ${loanKey(loan)}: not enough free ${loan.loanCoin} or ${loan.collateralCoin}, LTV still ${pct(ltv)}`, 'error');
+        return ltv;
+    }
+
+    /**
+     * Check every loan's LTV. With `protect` set, loans at protectLtv or above are
+     * brought back to targetLtv from the free balances in `spotBalances`;
+     * otherwise they are only logged.
+     */
+    async monitor(spotBalances = {}, { protect = true } = {}, now = Date.now()) {
+        const loans = await this.fetchLoans();
+        if (!loans) return this.loans;
+
+        const { marginCallLtv, liquidationLtv } = this.settings;
+        const balances = { ...spotBalances };
+        const checked = [];
+        for (const loan of loans) {
+            let ltv = parseFloat(loan.currentLTV);
+            const status = this.getLtvStatus(ltv);
+            if (status !== 'OK') {
+                log(
+                    `${status === 'PROTECT' ? '⚠️' : '🚨'} Loan ${loanKey(loan)} at LTV ${pct(ltv)} ` +
+                    `(margin call ${pct(marginCallLtv)}, liquidation ${pct(liquidationLtv)})`,
+                    status === 'PROTECT' ? 'warn' : 'error'
+                );
+                if (protect) ltv = await this.protect(loan, ltv, balances);
+            }
+            checked.push({ ...loan, ltv, status: this.getLtvStatus(ltv) });
+        }
+
+        this.loans = checked;
+        this.lastChecked = now;
+        return checked;
+    }
+
+    // Repay what settled, loan-funded subscriptions borrowed (ledger records) from their payouts
+    async repayFromSettlements(records) {
+        if (!this.settings.repayFromSettlements) return;
+        const funded = records.filter(record => record.borrowedAmount > 0);
+        if (!funded.length) return;
+
+        const loans = await this.fetchLoans();
+        if (!loans) return;
+
+        for (const record of funded) {
+            if (record.payoutCoin !== record.borrowedCoin) {
+                log(
+                    `Loan: ${record.id} paid out in ${record.payoutCoin}, ` +
+                    `its ${record.borrowedAmount} ${record.borrowedCoin} borrow stays open`,
+                    'execution'
+                );
+                continue;
+            }
+
+            // Highest LTV first
+            let remaining = record.borrowedAmount;
+            let payoutLeft = record.payoutAmount;
+            const candidates = loans
+                .filter(loan => loan.loanCoin === record.borrowedCoin && parseFloat(loan.totalDebt) > 0)
+                .sort((a, b) => parseFloat(b.currentLTV) - parseFloat(a.currentLTV));
+            for (const loan of candidates) {
+                if (remaining <= 0 || payoutLeft <= 0) break;
+                const debt = parseFloat(loan.totalDebt);
+                // Close the loan instead of leaving its accrued interest behind when the payout covers it
+                const fullRepayment = debt - remaining < record.borrowedAmount * INTEREST_DUST && debt <= payoutLeft;
+                const amount = fullRepayment ? debt : Math.min(remaining, debt, payoutLeft);
+                if (await this.repay(loan, amount, `settlement of ${record.id}`, { fullRepayment })) {
+                    remaining -= amount;
+                    payoutLeft -= amount;
+                    loan.totalDebt = String(debt - amount);
+                }
+            }
+        }
+    }
+
+    getStatus() {
+        return {
+            settings: this.settings,
+            lastChecked: this.lastChecked,
+            loans: this.loans,
+            actions: this.actions
+        };
+    }
+}
+
+// Shared manager, so borrowCoins can check limits without passing it around
+function getLoanManager(config) {
+    if (!activeManager) activeManager = new LoanManager(config);
+    return activeManager;
+}
+
+function setLoanManager(manager) {
+    activeManager = manager;
+}
+
+module.exports = { LoanManager, getLoanManager, setLoanManager };
@@ -11,7 +11,8 @@ const LOG_FILES = {
     filteredProducts: path.join(LOG_DIR, 'filteredProducts.log'),
     positionhistories: path.join(LOG_DIR, 'positionhistories.log'),
     positions: path.join(LOG_DIR, 'positions.log'),
-    hedges: path.join(LOG_DIR, 'hedges.log')
+    hedges: path.join(LOG_DIR, 'hedges.log'),
+    ledger: path.join(LOG_DIR, 'ledger.log')
 };
 
 // Ensure log directory exists
@@ -53,6 +54,7 @@ function clearFilteredProductsLog() {
 }
 
 module.exports = {
+    LOG_FILES,
     log,
     clearProductsLog,
     clearPositionsLog,
@@ -0,0 +1,187 @@
+// src\monitor\dashboard.js
+const { BaseStrategy } = require('../hedge/strategiesV2');
+const { getPairKey, getYieldDecimal } = require('../helpers/settlement');
+
+const HOUR_MS = 60 * 60 * 1000;
+const strategy = new BaseStrategy();
+
+/**
+ * Everything the dashboard shows, computed from SharedState and live spot prices:
+ * one row per active position and an exposure summary per pair.
+ *
+ * bufferPercent is how far spot sits from break-even on the safe side (negative
+ * once breached). Base exposure is signed: a PUT leaves us long the base coin, a
+ * CALL short it; hedges count against that (SELL short, BUY long).
+ */
+function buildDashboardSnapshot(sharedState, spotPrices = {}, now = Date.now()) {
+    const exposure = {};
+
+    const positions = sharedState.positions.map(pos => {
+        const pair = getPairKey(pos);
+        const strike = parseFloat(pos.strikePrice);
+        const spotPrice = spotPrices[pair] || null;
+        const breakEven = strategy.calculateBreakEven(strike, getYieldDecimal(pos), pos.optionType);
+        const bufferPercent = spotPrice
+            ? (pos.optionType === 'PUT' ? spotPrice - breakEven : breakEven - spotPrice) / spotPrice * 100
+            : null;
+
+        const baseQuantity = strategy.calculateBaseQuantity(pos);
+        const hedgeState = sharedState.getHedgeState(pos.id);
+        const hedgeQuantity = hedgeState.hedgeQuantity || 0;
+
+        if (!exposure[pair]) {
+            exposure[pair] = { pair, spotPrice, positions: 0, puts: 0, calls: 0, hedged: 0, notional: 0, baseExposure: 0, hedgeQuantity: 0, netBase: 0 };
+        }
+        const summary = exposure[pair];
+        const amount = parseFloat(pos.subscriptionAmount ?? pos.amount);
+        summary.positions += 1;
+        summary[pos.optionType === 'PUT' ? 'puts' : 'calls'] += 1;
+        summary.hedged += sharedState.isHedged(pos.id) ? 1 : 0;
+        summary.notional += pos.optionType === 'PUT' ? amount : amount * (spotPrice || strike);
+        summary.baseExposure += pos.optionType === 'PUT' ? baseQuantity : -baseQuantity;
+        summary.hedgeQuantity += hedgeState.hedgeSide === 'SELL' ? -hedgeQuantity : hedgeQuantity;
+        summary.netBase = summary.baseExposure + summary.hedgeQuantity;
+
+        return {
+            id: pos.id,
+            pair,
+            optionType: pos.optionType,
+            amount,
+            investCoin: pos.investCoin,
+            strikePrice: strike,
+            apr: parseFloat(pos.apr),
+            spotPrice,
+            breakEven,
+            bufferPercent,
+            hoursToSettle: (pos.settleDate - now) / HOUR_MS,
+            hedgeStatus: sharedState.getHedgeStatus(pos.id),
+            hedgeQuantity,
+            hedgeSide: hedgeState.hedgeSide,
+            hedgeRatio: baseQuantity ? hedgeQuantity / baseQuantity : 0
+        };
+    });
+
+    positions.sort((a, b) => (a.bufferPercent ?? Infinity) - (b.bufferPercent ?? Infinity));
+
+    return {
+        timestamp: now,
+        positionsUpdatedAt: sharedState.lastUpdated,
+        positions,
+        exposure: Object.values(exposure).sort((a, b) => a.pair.localeCompare(b.pair))
+    };
+}
+
+// Text from exchange responses and storage goes into the page's HTML, so it is escaped
+function escapeHtml(value) {
+    const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => escapes[char]);
+}
+
+function num(value, digits) {
+    return value === null || value === undefined ? '-' : Number(value).toFixed(digits);
+}
+
+function bufferClass(buffer) {
+    return buffer === null ? '' : buffer < 0 ? 'danger' : buffer < 2 ? 'warn' : 'ok';
+}
+
+// Positions table body for a snapshot's positions
+function renderPositionRows(positions) {
+    return positions.map(p => '<tr>' +
+        '<td>' + escapeHtml(p.id) + '</td><td class="text">' + escapeHtml(p.pair) + '</td><td class="text">' + escapeHtml(p.optionType) + '</td>' +
+        '<td>' + num(p.amount, 4) + ' ' + escapeHtml(p.investCoin) + '</td><td>' + escapeHtml(p.strikePrice) + '</td>' +
+        '<td>' + num(p.spotPrice, 4) + '</td><td>' + num(p.breakEven, 4) + '</td>' +
+        '<td class="' + bufferClass(p.bufferPercent) + '">' + num(p.bufferPercent, 2) + '%</td>' +
+        '<td>' + num(p.hoursToSettle, 1) + 'h</td>' +
+        '<td class="text"><span class="badge">' + escapeHtml(p.hedgeStatus) + '</span></td>' +
+        '<td>' + (p.hedgeQuantity ? escapeHtml(p.hedgeSide) + ' ' + num(p.hedgeQuantity, 6) + ' (' + num(p.hedgeRatio * 100, 0) + '%)' : '-') + '</td>' +
+        '</tr>').join('') || '<tr><td colspan="11">No active positions</td></tr>';
+}
+
+// Exposure table body for a snapshot's exposure
+function renderExposureRows(exposure) {
+    return exposure.map(e => '<tr>' +
+        '<td>' + escapeHtml(e.pair) + '</td><td>' + num(e.spotPrice, 4) + '</td><td>' + num(e.positions, 0) + '</td>' +
+        '<td>' + num(e.puts, 0) + ' / ' + num(e.calls, 0) + '</td><td>' + num(e.hedged, 0) + '</td><td>' + num(e.notional, 2) + '</td>' +
+        '<td>' + num(e.baseExposure, 6) + '</td><td>' + num(e.hedgeQuantity, 6) + '</td>' +
+        '<td>' + num(e.netBase, 6) + '</td></tr>').join('') || '<tr><td colspan="9">No exposure</td></tr>';
+}
+
+// Shipped into the page's script as source, so the browser renders with the same functions
+const PAGE_HELPERS = [escapeHtml, num, bufferClass, renderPositionRows, renderExposureRows];
+
+// Self-contained page: no external assets, updates from /events (SSE) and falls back to polling
+function renderDashboardPage(refreshSeconds) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Dual Investment Dashboard</title>
+<style>
+    body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; background: #0f1419; color: #d9e1e8; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 28px 0 8px; color: #9fb3c8; }
+    #status { font-size: 12px; color: #7a8b9c; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { padding: 6px 10px; text-align: right; border-bottom: 1px solid #233040; white-space: nowrap; }
+    th { color: #9fb3c8; font-weight: 600; }
+    th:first-child, td:first-child, td.text { text-align: left; }
+    .danger { color: #ff6b6b; } .warn { color: #ffc857; } .ok { color: #6bd39a; }
+    .badge { padding: 1px 6px; border-radius: 3px; background: #233040; font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>Dual Investment Dashboard</h1>
+<div id="status">Connecting...</div>
+<h2>Positions</h2>
+<table>
+    <thead><tr>
+        <th>ID</th><th>Pair</th><th>Type</th><th>Amount</th><th>Strike</th><th>Spot</th><th>Break-even</th>
+        <th>Buffer</th><th>Settles in</th><th>Hedge</th><th>Hedge size</th>
+    </tr></thead>
+    <tbody id="positions"></tbody>
+</table>
+<h2>Exposure by pair</h2>
+<table>
+    <thead><tr>
+        <th>Pair</th><th>Spot</th><th>Positions</th><th>Puts / Calls</th><th>Hedged</th><th>Notional</th>
+        <th>Option base</th><th>Hedge base</th><th>Net base</th>
+    </tr></thead>
+    <tbody id="exposure"></tbody>
+</table>
+<script>
+    const token = new URLSearchParams(location.search).get('token');
+    const query = token ? '?token=' + encodeURIComponent(token) : '';
+${PAGE_HELPERS.map(helper => helper.toString()).join('\n\n')}
+
+    function render(snapshot) {
+        document.getElementById('positions').innerHTML = renderPositionRows(snapshot.positions);
+        document.getElementById('exposure').innerHTML = renderExposureRows(snapshot.exposure);
+
+        document.getElementById('status').textContent = (snapshot.paper ? 'PAPER | ' : '') +
+            (snapshot.runMode ? 'Mode ' + snapshot.runMode + ' | ' : '') +
+            'Updated ' + new Date(snapshot.timestamp).toLocaleTimeString() +
+            (snapshot.positionsUpdatedAt ? ' | positions fetched ' + new Date(snapshot.positionsUpdatedAt).toLocaleTimeString() : '');
+    }
+
+    function poll() {
+        fetch('/dashboard.json' + query)
+            .then(res => res.json())
+            .then(render)
+            .catch(err => { document.getElementById('status').textContent = 'Error: ' + err.message; });
+    }
+
+    if (window.EventSource) {
+        const events = new EventSource('/events' + query);
+        events.onmessage = message => render(JSON.parse(message.data));
+        events.onerror = () => { document.getElementById('status').textContent = 'Disconnected, retrying...'; };
+    } else {
+        poll();
+        setInterval(poll, ${refreshSeconds * 1000});
+    }
+</script>
+</body>
+</html>`;
+}
+
+module.exports = { buildDashboardSnapshot, renderDashboardPage, renderPositionRows, renderExposureRows, escapeHtml };
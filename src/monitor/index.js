@@ -0,0 +1,154 @@
+// src\monitor\index.js
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('../logger');
+const { getCurrentLoans, fetchSpotPrices } = require('../helpers/utils');
+const { getExchange } = require('../exchange');
+const { getMarketCalendar } = require('../events');
+const { buildDashboardSnapshot, renderDashboardPage } = require('./dashboard');
+
+function safeEqual(actual, expected) {
+    const a = Buffer.from(actual || '');
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Bearer header, or ?token= for the browser dashboard (EventSource cannot send headers)
+function isAuthorized(req, url, token) {
+    return safeEqual(req.headers.authorization, `Bearer ${token}`) || safeEqual(url.searchParams.get('token'), token);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read-only JSON view of what the running bot thinks: positions with hedge
+ * status, balances, the last product fetch and filter results, loans, realized
+ * P&L, run mode, circuit breaker, paper account, market event calendar and
+ * scheduler job health, plus a browser dashboard at /dashboard fed by /events
+ * (server-sent events). Every route is a GET; with a token set, requests need
+ * `Authorization: Bearer <token>` (or `?token=` from the browser).
+ */
+function createMonitorServer({ sharedState, config, getSchedulerHealth, runMode, circuitBreaker, loanManager, settlementTracker, token }) {
+    const refreshSeconds = config.MONITOR.dashboardRefreshSeconds;
+
+    // Spot prices for the dashboard, fetched at most once per refresh interval whatever the client count
+    let spotCache = { fetchedAt: 0, prices: {} };
+    async function getDashboardSnapshot() {
+        if (Date.now() - spotCache.fetchedAt >= refreshSeconds * 1000) {
+            spotCache = { fetchedAt: Date.now(), prices: (await fetchSpotPrices(config)) || spotCache.prices };
+        }
+        return { ...buildDashboardSnapshot(sharedState, spotCache.prices), runMode: runMode.mode, paper: config.PAPER.enabled };
+    }
+
+    function streamDashboard(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        const push = async () => {
+            try {
+                res.write(`data: ${JSON.stringify(await getDashboardSnapshot())}\n\n`);
+            } catch (err) {
+                log(`Dashboard update failed: ${err.message}`, 'error');
+            }
+        };
+        push();
+        const timer = setInterval(push, refreshSeconds * 1000);
+        req.on('close', () => clearInterval(timer));
+    }
+
+    const routes = {
+        '/health': () => ({
+            status: 'ok',
+            uptimeSeconds: Math.round(process.uptime()),
+            runMode: runMode.mode,
+            paper: config.PAPER.enabled,
+            circuitBreakerTripped: circuitBreaker.isTripped(),
+            jobs: getSchedulerHealth()
+        }),
+        '/mode': () => runMode.getStatus(),
+        '/breaker': () => circuitBreaker.getStatus(),
+        '/risk': () => sharedState.riskReport || { timestamp: null },
+        '/paper': () => (config.PAPER.enabled ? getExchange(config).getSummary() : { enabled: false }),
+        '/positions': () => ({
+            lastUpdated: sharedState.lastUpdated,
+            positions: sharedState.positions.map(pos => ({
+                ...pos,
+                hedgeStatus: sharedState.getHedgeStatus(pos.id),
+                ...sharedState.getHedgeState(pos.id)
+            }))
+        }),
+        '/balances': () => ({
+            lastUpdated: sharedState.balancesLastUpdated,
+            balances: sharedState.spotBalances
+        }),
+        '/products': () => sharedState.lastProducts || { timestamp: null, count: 0, products: [] },
+        '/candidates': () => sharedState.lastCandidates || { timestamp: null, shortTerm: [], longTerm: [], shadow: null },
+        // Loans are fetched live, only when asked for; lastCheck is the loans job's view with LTV status
+        '/calendar': () => getMarketCalendar(config).getStatus(),
+        '/loans': async () => ({ loans: await getCurrentLoans(config), lastCheck: loanManager.getStatus() }),
+        '/pnl': async () => {
+            if (!settlementTracker.loaded) await settlementTracker.load();
+            return settlementTracker.getRealizedPnl();
+        },
+        '/dashboard.json': getDashboardSnapshot
+    };
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (token && !isAuthorized(req, url, token)) {
+            sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        if (url.pathname === '/') {
+            sendJson(res, 200, { endpoints: [...Object.keys(routes), '/dashboard', '/events'] });
+            return;
+        }
+        if (url.pathname === '/dashboard') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(renderDashboardPage(refreshSeconds));
+            return;
+        }
+        if (url.pathname === '/events') {
+            streamDashboard(req, res);
+            return;
+        }
+
+        const route = routes[url.pathname];
+        if (!route) {
+            sendJson(res, 404, { error: `No route for ${url.pathname}` });
+            return;
+        }
+
+        try {
+            sendJson(res, 200, await route());
+        } catch (err) {
+            log(`Monitor request ${url.pathname} failed: ${err.message}`, 'error');
+            sendJson(res, 500, { error: err.message });
+        }
+    });
+}
+
+function startMonitorServer(options, { port = 8788, host = '127.0.0.1' } = {}) {
+    const server = createMonitorServer(options);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const auth = options.token ? 'bearer token required' : 'no auth';
+            log(`Monitor API listening on http://${host}:${server.address().port} (${auth})`, 'info');
+            resolve(server);
+        });
+    });
+}
+
+module.exports = { createMonitorServer, startMonitorServer };
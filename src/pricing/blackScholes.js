@@ -0,0 +1,137 @@
+// src\pricing\blackScholes.js
+const { getYieldDecimal } = require('../helpers/settlement');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const MIN_VOL = 0.001;
+const MAX_VOL = 5;
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+function normCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+}
+
+function normPdf(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Black-Scholes price and greeks for a single option.
+ * time is in years, vol and rate are annualized decimals.
+ * vega is per 1.00 of volatility (divide by 100 for a vol point).
+ */
+function blackScholes({ spot, strike, time, vol, rate = 0, optionType }) {
+    const isCall = optionType === 'CALL';
+
+    // Expired or degenerate inputs: intrinsic value, step delta
+    if (time <= 0 || vol <= 0) {
+        const intrinsic = isCall ? Math.max(spot - strike, 0) : Math.max(strike - spot, 0);
+        const inTheMoney = isCall ? spot > strike : spot < strike;
+        return {
+            price: intrinsic,
+            delta: inTheMoney ? (isCall ? 1 : -1) : 0,
+            gamma: 0,
+            vega: 0
+        };
+    }
+
+    const sqrtTime = Math.sqrt(time);
+    const d1 = (Math.log(spot / strike) + (rate + 0.5 * vol * vol) * time) / (vol * sqrtTime);
+    const d2 = d1 - vol * sqrtTime;
+    const discount = Math.exp(-rate * time);
+
+    const price = isCall
+        ? spot * normCdf(d1) - strike * discount * normCdf(d2)
+        : strike * discount * normCdf(-d2) - spot * normCdf(-d1);
+
+    return {
+        price,
+        delta: isCall ? normCdf(d1) : normCdf(d1) - 1,
+        gamma: normPdf(d1) / (spot * vol * sqrtTime),
+        vega: spot * normPdf(d1) * sqrtTime
+    };
+}
+
+// Volatility that reproduces `premium`, by bisection. Null when no vol in range does.
+function impliedVolatility({ premium, spot, strike, time, rate = 0, optionType }) {
+    if (!(premium > 0) || !(time > 0)) return null;
+
+    const priceAt = vol => blackScholes({ spot, strike, time, vol, rate, optionType }).price;
+    if (premium < priceAt(MIN_VOL) || premium > priceAt(MAX_VOL)) return null;
+
+    let low = MIN_VOL;
+    let high = MAX_VOL;
+    for (let i = 0; i < 100 && high - low > 1e-6; i++) {
+        const mid = (low + high) / 2;
+        if (priceAt(mid) < premium) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Implied volatility of a dual investment product from its APR.
+ *
+ * A PUT product is a short put on `amount / strike` units of the base coin,
+ * paid `strike * yield` per unit. A CALL product is a short call on `amount`
+ * base units, paid `spot * yield` per unit. Time is the product's nominal
+ * duration, which is what the APR is quoted over.
+ */
+function impliedVolFromApr(product, spotPrice) {
+    const yieldDecimal = getYieldDecimal(product);
+    const strike = parseFloat(product.strikePrice);
+    const premium = product.optionType === 'PUT' ? strike * yieldDecimal : spotPrice * yieldDecimal;
+
+    return impliedVolatility({
+        premium,
+        spot: spotPrice,
+        strike,
+        time: product.duration / 365,
+        optionType: product.optionType
+    });
+}
+
+/**
+ * Value a dual investment product or position as the short option it embeds.
+ * Greeks are for the whole position in base coin units (delta > 0 means the
+ * position gains when spot rises), using the APR-implied vol (unless one is
+ * passed in) and the time actually left until settleDate.
+ */
+function valueDualInvestment(position, spotPrice, now = Date.now(), impliedVol = impliedVolFromApr(position, spotPrice)) {
+    if (!impliedVol) return null;
+
+    const strike = parseFloat(position.strikePrice);
+    const amount = parseFloat(position.subscriptionAmount ?? position.amount ?? 0);
+    const contracts = position.optionType === 'PUT' ? amount / strike : amount;
+    const timeToExpiry = Math.max(0, (position.settleDate - now) / YEAR_MS);
+
+    const option = blackScholes({
+        spot: spotPrice,
+        strike,
+        time: timeToExpiry,
+        vol: impliedVol,
+        optionType: position.optionType
+    });
+
+    // Short the option: every greek flips sign
+    return {
+        impliedVol,
+        timeToExpiry,
+        contracts,
+        optionPrice: option.price,
+        value: -contracts * option.price,
+        delta: -contracts * option.delta,
+        gamma: -contracts * option.gamma,
+        vega: -contracts * option.vega
+    };
+}
+
+module.exports = {
+    normCdf,
+    blackScholes,
+    impliedVolatility,
+    impliedVolFromApr,
+    valueDualInvestment
+};
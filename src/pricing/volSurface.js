@@ -0,0 +1,199 @@
+// src\pricing\volSurface.js
+const fs = require('fs');
+const path = require('path');
+const { impliedVolFromApr } = require('./blackScholes');
+const { getPairKey } = require('../helpers/settlement');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Least-squares polynomial coefficients [c0, c1, ...] by Gaussian elimination on the normal equations
+function fitPolynomial(xs, ys, degree) {
+    const size = degree + 1;
+    const matrix = Array.from({ length: size }, () => new Array(size + 1).fill(0));
+    xs.forEach((x, i) => {
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                matrix[row][col] += Math.pow(x, row + col);
+            }
+            matrix[row][size] += ys[i] * Math.pow(x, row);
+        }
+    });
+
+    for (let pivot = 0; pivot < size; pivot++) {
+        let best = pivot;
+        for (let row = pivot + 1; row < size; row++) {
+            if (Math.abs(matrix[row][pivot]) > Math.abs(matrix[best][pivot])) best = row;
+        }
+        if (Math.abs(matrix[best][pivot]) < 1e-12) return null;
+        [matrix[pivot], matrix[best]] = [matrix[best], matrix[pivot]];
+
+        for (let row = 0; row < size; row++) {
+            if (row === pivot) continue;
+            const factor = matrix[row][pivot] / matrix[pivot][pivot];
+            for (let col = pivot; col <= size; col++) {
+                matrix[row][col] -= factor * matrix[pivot][col];
+            }
+        }
+    }
+    return matrix.map((row, i) => row[size] / row[i]);
+}
+
+function evaluatePolynomial(coefficients, x) {
+    return coefficients.reduce((sum, c, power) => sum + c * Math.pow(x, power), 0);
+}
+
+/**
+ * Smile for one expiry: IV as a quadratic in log-moneyness ln(K/S). Falls back
+ * to a line with two strikes and a flat vol with one.
+ */
+function fitSmile(points) {
+    const xs = points.map(p => p.moneyness);
+    const ys = points.map(p => p.iv);
+    const distinctStrikes = new Set(xs).size;
+    const degree = Math.min(2, distinctStrikes - 1);
+
+    const coefficients = degree > 0 ? fitPolynomial(xs, ys, degree) : null;
+    return coefficients || [ys.reduce((sum, iv) => sum + iv, 0) / ys.length];
+}
+
+/**
+ * Build an implied volatility surface from a fetched product list.
+ *
+ * Every product with a spot price is converted to an APR-implied vol, grouped by
+ * pair and settleDate, and each expiry gets a fitted smile. The term structure is
+ * the at-the-money vol of every expiry, shortest first.
+ */
+function buildVolSurface(products, now = Date.now()) {
+    const pairs = {};
+
+    products.forEach(product => {
+        const spotPrice = parseFloat(product.spotPrice);
+        if (!spotPrice) return;
+
+        const iv = impliedVolFromApr(product, spotPrice);
+        if (!iv) return;
+
+        const pair = getPairKey(product);
+        const strike = parseFloat(product.strikePrice);
+        if (!pairs[pair]) pairs[pair] = { spotPrice, expiries: new Map() };
+
+        const expiries = pairs[pair].expiries;
+        if (!expiries.has(product.settleDate)) {
+            expiries.set(product.settleDate, {
+                settleDate: product.settleDate,
+                daysToExpiry: (product.settleDate - now) / DAY_MS,
+                points: []
+            });
+        }
+        expiries.get(product.settleDate).points.push({
+            id: product.id,
+            optionType: product.optionType,
+            strike,
+            moneyness: Math.log(strike / spotPrice),
+            apr: parseFloat(product.apr),
+            iv
+        });
+    });
+
+    const surface = { timestamp: now, pairs: {} };
+    Object.entries(pairs).forEach(([pair, { spotPrice, expiries }]) => {
+        const fitted = [...expiries.values()]
+            .sort((a, b) => a.settleDate - b.settleDate)
+            .map(expiry => {
+                const smile = fitSmile(expiry.points);
+                return {
+                    ...expiry,
+                    points: expiry.points.sort((a, b) => a.strike - b.strike),
+                    smile,
+                    atmVol: Math.max(evaluatePolynomial(smile, 0), 0)
+                };
+            });
+
+        surface.pairs[pair] = {
+            spotPrice,
+            expiries: fitted,
+            termStructure: fitted.map(({ settleDate, daysToExpiry, atmVol }) => ({ settleDate, daysToExpiry, atmVol }))
+        };
+    });
+
+    return surface;
+}
+
+/**
+ * Fitted vol for a pair at a given expiry and strike. Between fitted expiries the
+ * two neighbouring smiles are interpolated in total variance; outside them the
+ * nearest smile is used.
+ */
+function getSurfaceVol(surface, pair, settleDate, strike) {
+    const pairSurface = surface?.pairs?.[pair];
+    if (!pairSurface || !pairSurface.expiries.length) return null;
+
+    const moneyness = Math.log(parseFloat(strike) / pairSurface.spotPrice);
+    const volAt = expiry => Math.max(evaluatePolynomial(expiry.smile, moneyness), 0);
+    const { expiries } = pairSurface;
+
+    const exact = expiries.find(expiry => expiry.settleDate === settleDate);
+    if (exact) return volAt(exact);
+
+    const laterIndex = expiries.findIndex(expiry => expiry.settleDate > settleDate);
+    if (laterIndex === 0) return volAt(expiries[0]);
+    if (laterIndex === -1) return volAt(expiries[expiries.length - 1]);
+
+    const earlier = expiries[laterIndex - 1];
+    const later = expiries[laterIndex];
+    const weight = (settleDate - earlier.settleDate) / (later.settleDate - earlier.settleDate);
+    const earlierVariance = volAt(earlier) ** 2 * earlier.daysToExpiry;
+    const laterVariance = volAt(later) ** 2 * later.daysToExpiry;
+    const days = earlier.daysToExpiry + weight * (later.daysToExpiry - earlier.daysToExpiry);
+    if (days <= 0) return volAt(later);
+
+    return Math.sqrt(Math.max(earlierVariance + weight * (laterVariance - earlierVariance), 0) / days);
+}
+
+// How rich a product's implied vol is against the fitted surface (vol points, 0.05 = 5%)
+function getVolRichness(surface, product) {
+    const spotPrice = parseFloat(product.spotPrice);
+    const iv = spotPrice ? impliedVolFromApr(product, spotPrice) : null;
+    const fittedIv = getSurfaceVol(surface, getPairKey(product), product.settleDate, product.strikePrice);
+    if (!iv || !fittedIv) return { iv, fittedIv, richness: null };
+
+    return { iv, fittedIv, richness: iv - fittedIv };
+}
+
+// Store a surface as <timestamp>.json under dir
+function saveVolSurface(dir, surface) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${surface.timestamp}.json`);
+    fs.writeFileSync(file, JSON.stringify(surface, null, 2));
+    return file;
+}
+
+// Plain-text table per pair: one row per expiry, ATM vol and every fitted strike
+function formatVolSurface(surface) {
+    const pct = value => `${(value * 100).toFixed(1)}%`.padStart(7);
+    const lines = [`Volatility surface @ ${new Date(surface.timestamp).toISOString()}`];
+
+    Object.entries(surface.pairs).forEach(([pair, { spotPrice, expiries }]) => {
+        lines.push('', `==================== ${pair} (spot ${spotPrice}) ====================`);
+        lines.push(`${'Expiry'.padEnd(18)}${'Days'.padStart(7)}${'ATM'.padStart(7)}   Strike: IV (fit)`);
+        expiries.forEach(expiry => {
+            const strikes = expiry.points
+                .map(point => `${point.strike}: ${pct(point.iv).trim()} (${pct(evaluatePolynomial(expiry.smile, point.moneyness)).trim()})`)
+                .join(' | ');
+            lines.push(
+                `${new Date(expiry.settleDate).toISOString().slice(0, 16).padEnd(18)}` +
+                `${expiry.daysToExpiry.toFixed(1).padStart(7)}${pct(expiry.atmVol)}   ${strikes}`
+            );
+        });
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildVolSurface,
+    getSurfaceVol,
+    getVolRichness,
+    saveVolSurface,
+    formatVolSurface
+};
@@ -0,0 +1,117 @@
+// src\risk\index.js
+const { log } = require('../logger');
+const { getPairKey } = require('../helpers/settlement');
+
+const STABLECOINS = ['USDT', 'FDUSD'];
+
+// Underlying (non-stable) coin of a product or position
+function getUnderlyingCoin(product) {
+    return product.optionType === 'PUT' ? product.exercisedCoin : product.investCoin;
+}
+
+// Settlement day (UTC) as the expiry bucket
+function getExpiryKey(product) {
+    return product.settleDate ? new Date(product.settleDate).toISOString().slice(0, 10) : 'unknown';
+}
+
+// Notional in quote currency: PUTs invest stablecoin, CALLs the base coin valued at spot (strike when unknown)
+function getNotional(product, amount, spotPrice) {
+    if (STABLECOINS.includes(product.investCoin)) return amount;
+    return amount * (spotPrice || parseFloat(product.strikePrice));
+}
+
+/**
+ * Portfolio limits on open dual investment notional, checked before every subscription.
+ *
+ * Exposure is built from the active positions and summed in quote currency in
+ * total, per underlying coin, per settlement day and per direction (PUT/CALL).
+ * A candidate that would push any bucket over its cap is downsized to the
+ * smallest remaining headroom, or rejected when that leaves less than
+ * minSubscriptionNotional. Approved subscriptions are added to the exposure so
+ * later candidates in the same run see them.
+ */
+class RiskEngine {
+    constructor(config, positions = [], spotPrices = {}) {
+        this.limits = config.RISK_LIMITS;
+        this.exposure = { total: 0, byCoin: {}, byExpiry: {}, byDirection: { PUT: 0, CALL: 0 } };
+
+        positions.forEach(pos => {
+            const amount = parseFloat(pos.subscriptionAmount ?? pos.amount);
+            if (amount) this.addExposure(pos, getNotional(pos, amount, spotPrices[getPairKey(pos)]));
+        });
+    }
+
+    addExposure(product, notional) {
+        const coin = getUnderlyingCoin(product);
+        const expiry = getExpiryKey(product);
+        this.exposure.total += notional;
+        this.exposure.byCoin[coin] = (this.exposure.byCoin[coin] || 0) + notional;
+        this.exposure.byExpiry[expiry] = (this.exposure.byExpiry[expiry] || 0) + notional;
+        this.exposure.byDirection[product.optionType] = (this.exposure.byDirection[product.optionType] || 0) + notional;
+    }
+
+    // Remaining room under every cap that applies to the product, tightest first
+    getHeadroom(product) {
+        const coin = getUnderlyingCoin(product);
+        const expiry = getExpiryKey(product);
+        const { maxTotalNotional, maxNotionalPerCoin, maxNotionalPerExpiry, maxNotionalPerDirection } = this.limits;
+
+        const caps = [
+            { name: 'total', cap: maxTotalNotional, used: this.exposure.total },
+            { name: `coin ${coin}`, cap: maxNotionalPerCoin[coin] ?? maxNotionalPerCoin.default, used: this.exposure.byCoin[coin] || 0 },
+            { name: `expiry ${expiry}`, cap: maxNotionalPerExpiry, used: this.exposure.byExpiry[expiry] || 0 },
+            { name: `direction ${product.optionType}`, cap: maxNotionalPerDirection[product.optionType], used: this.exposure.byDirection[product.optionType] || 0 }
+        ];
+
+        return caps
+            .filter(({ cap }) => cap !== undefined && cap !== null)
+            .map(limit => ({ ...limit, headroom: limit.cap - limit.used }))
+            .sort((a, b) => a.headroom - b.headroom);
+    }
+
+    /**
+     * Amount (in the product's invest coin) allowed for a subscription of `amount`.
+     * Returns { amount, notional, downsized } or null when rejected; every rejection
+     * and downsize is logged with the limit responsible.
+     */
+    checkSubscription(product, amount, spotPrice = product.spotPrice) {
+        const notional = getNotional(product, amount, spotPrice);
+        if (!this.limits.enabled) {
+            return { amount, notional, downsized: false };
+        }
+
+        const pairKey = getPairKey(product);
+        const tightest = this.getHeadroom(product)[0];
+        if (!tightest || notional <= tightest.headroom) {
+            return { amount, notional, downsized: false };
+        }
+
+        const allowed = Math.max(0, tightest.headroom);
+        if (allowed < this.limits.minSubscriptionNotional) {
+            log(
+                `🚫 Risk: rejected ${pairKey} ${product.optionType} ${product.id} (${notional.toFixed(2)} notional): ` +
+                `${tightest.name} at ${tightest.used.toFixed(2)} of ${tightest.cap}`,
+                'execution'
+            );
+            return null;
+        }
+
+        const scaled = amount * allowed / notional;
+        log(
+            `✂️ Risk: downsized ${pairKey} ${product.optionType} ${product.id} from ${notional.toFixed(2)} to ` +
+            `${allowed.toFixed(2)} notional: ${tightest.name} at ${tightest.used.toFixed(2)} of ${tightest.cap}`,
+            'execution'
+        );
+        return { amount: scaled, notional: allowed, downsized: true };
+    }
+
+    recordSubscription(product, amount, spotPrice = product.spotPrice) {
+        this.addExposure(product, getNotional(product, amount, spotPrice));
+    }
+
+    getExposure() {
+        return this.exposure;
+    }
+}
+
+module.exports = { RiskEngine, getUnderlyingCoin, getExpiryKey, getNotional };
@@ -0,0 +1,186 @@
+// src\risk\report.js
+const { BaseStrategy } = require('../hedge/strategiesV2');
+const { getPairKey, getYieldDecimal, settleDualInvestment } = require('../helpers/settlement');
+const { getUnderlyingCoin } = require('./index');
+
+const HOUR_MS = 60 * 60 * 1000;
+const strategy = new BaseStrategy();
+
+const round = value => Number(value.toFixed(4));
+
+// Open book: every position with a spot price, its value at spot and its hedge in signed base units
+function buildBook(sharedState, spotPrices) {
+    return sharedState.positions
+        .filter(pos => spotPrices[getPairKey(pos)])
+        .map(pos => {
+            const spotPrice = spotPrices[getPairKey(pos)];
+            const hedgeState = sharedState.getHedgeState(pos.id);
+            const hedgeQuantity = hedgeState.hedgeQuantity || 0;
+            return {
+                position: pos,
+                id: String(pos.id),
+                pair: getPairKey(pos),
+                coin: getUnderlyingCoin(pos),
+                spotPrice,
+                value: settleDualInvestment(pos, spotPrice).payoutValue,
+                hedgeStatus: sharedState.getHedgeStatus(pos.id),
+                hedgeSide: hedgeState.hedgeSide,
+                hedgeQuantity,
+                // SELL hedges are short the base coin, BUY hedges long
+                hedgeBase: hedgeState.hedgeSide === 'SELL' ? -hedgeQuantity : hedgeQuantity
+            };
+        });
+}
+
+/**
+ * P&L of the book when each position's spot moves by shockFor(entry) (a fraction).
+ * Positions are valued as if they settled at the shocked price, so a shock past
+ * the strike shows the conversion; hedges move one for one with spot.
+ */
+function evaluateScenario(book, shockFor) {
+    let optionPnl = 0;
+    let hedgePnl = 0;
+    const converting = [];
+
+    book.forEach(entry => {
+        const shockedPrice = entry.spotPrice * (1 + shockFor(entry));
+        const outcome = settleDualInvestment(entry.position, shockedPrice);
+        optionPnl += outcome.payoutValue - entry.value;
+        hedgePnl += entry.hedgeBase * (shockedPrice - entry.spotPrice);
+        if (outcome.exercised) converting.push(entry.id);
+    });
+
+    return { pnl: round(optionPnl + hedgePnl), optionPnl: round(optionPnl), hedgePnl: round(hedgePnl), converting };
+}
+
+/**
+ * Historical-simulation VaR: every recorded move over varHorizonHours is applied
+ * to today's book. Windows with a recording gap, or missing a pair the book
+ * holds, are skipped. VaR and expected shortfall are losses (positive numbers).
+ */
+function historicalVar(book, spotSeries, { varHorizonHours, varConfidence, minVarScenarios }) {
+    const horizonMs = varHorizonHours * HOUR_MS;
+    const pairs = [...new Set(book.map(entry => entry.pair))];
+    const pnls = [];
+
+    let end = 0;
+    spotSeries.forEach(start => {
+        while (end < spotSeries.length && spotSeries[end].timestamp < start.timestamp + horizonMs) end++;
+        const finish = spotSeries[end];
+        if (!finish || finish.timestamp - start.timestamp > horizonMs * 1.5) return;
+        if (!pairs.every(pair => start.spotPrices[pair] && finish.spotPrices[pair])) return;
+
+        pnls.push(evaluateScenario(book, entry => finish.spotPrices[entry.pair] / start.spotPrices[entry.pair] - 1).pnl);
+    });
+
+    pnls.sort((a, b) => a - b);
+    const enough = book.length > 0 && pnls.length >= minVarScenarios;
+    return {
+        horizonHours: varHorizonHours,
+        scenarios: pnls.length,
+        worst: pnls.length ? pnls[0] : null,
+        levels: varConfidence.map(confidence => {
+            if (!enough) return { confidence, var: null, expectedShortfall: null };
+            const tail = pnls.slice(0, Math.max(1, Math.floor((1 - confidence) * pnls.length)));
+            return {
+                confidence,
+                var: round(-tail[tail.length - 1]),
+                expectedShortfall: round(-tail.reduce((sum, pnl) => sum + pnl, 0) / tail.length)
+            };
+        })
+    };
+}
+
+/**
+ * Risk report for the open dual investment book: conversion prices, hedges,
+ * P&L under spot shocks per coin and for the whole book, the named crash
+ * scenarios from RISK_REPORT and historical VaR from recorded spot series
+ * (product snapshots). P&L is in quote currency.
+ */
+function buildRiskReport(sharedState, spotPrices, spotSeries, config, now = Date.now()) {
+    const settings = config.RISK_REPORT;
+    const book = buildBook(sharedState, spotPrices);
+    const coins = [...new Set(book.map(entry => entry.coin))].sort();
+
+    return {
+        timestamp: now,
+        spotPrices,
+        unpriced: sharedState.positions.filter(pos => !spotPrices[getPairKey(pos)]).map(pos => String(pos.id)),
+        positions: book.map(entry => {
+            const strike = parseFloat(entry.position.strikePrice);
+            const optionType = entry.position.optionType;
+            return {
+                id: entry.id,
+                pair: entry.pair,
+                optionType,
+                amount: parseFloat(entry.position.subscriptionAmount ?? entry.position.amount),
+                spotPrice: entry.spotPrice,
+                conversionPrice: strike,
+                convertsWhen: optionType === 'PUT' ? 'below' : 'above',
+                distancePercent: round((strike / entry.spotPrice - 1) * 100),
+                breakEven: round(strategy.calculateBreakEven(strike, getYieldDecimal(entry.position), optionType)),
+                settleDate: entry.position.settleDate,
+                value: round(entry.value)
+            };
+        }),
+        hedges: book
+            .filter(entry => entry.hedgeQuantity > 0)
+            .map(({ id, pair, hedgeStatus, hedgeSide, hedgeQuantity }) => ({ id, pair, hedgeStatus, side: hedgeSide, quantity: hedgeQuantity })),
+        coinShocks: Object.fromEntries(coins.map(coin => [
+            coin,
+            settings.spotShocks.map(shock => ({ shock, ...evaluateScenario(book, entry => (entry.coin === coin ? shock : 0)) }))
+        ])),
+        bookShocks: settings.spotShocks.map(shock => ({ shock, ...evaluateScenario(book, () => shock) })),
+        scenarios: settings.scenarios.map(({ name, shocks }) => ({
+            name,
+            shocks,
+            ...evaluateScenario(book, entry => shocks[entry.coin] ?? shocks.default ?? 0)
+        })),
+        historicalVar: historicalVar(book, spotSeries, settings)
+    };
+}
+
+function formatRiskReport(report) {
+    const pct = value => `${value > 0 ? '+' : ''}${(value * 100).toFixed(0)}%`;
+    const money = value => (value === null ? '-' : value.toFixed(2)).padStart(12);
+    const lines = [`Risk report @ ${new Date(report.timestamp).toISOString()}`];
+
+    lines.push('', 'Positions (converts when spot settles beyond the conversion price)');
+    lines.push('ID           | Pair       | Type | Amount       | Spot         | Converts      | Distance | Break-even');
+    report.positions.forEach(p => {
+        lines.push(
+            `${p.id.padEnd(12)} | ${p.pair.padEnd(10)} | ${p.optionType.padEnd(4)} | ${String(p.amount).padStart(12)} | ` +
+            `${String(p.spotPrice).padStart(12)} | ${`${p.convertsWhen} ${p.conversionPrice}`.padEnd(13)} | ` +
+            `${`${p.distancePercent.toFixed(2)}%`.padStart(8)} | ${p.breakEven}`
+        );
+    });
+    if (report.unpriced.length) lines.push(`No spot price for: ${report.unpriced.join(', ')}`);
+
+    lines.push('', `Hedges: ${report.hedges.length ? '' : 'none'}`);
+    report.hedges.forEach(h => lines.push(`  ${h.id} ${h.pair} ${h.hedgeStatus} ${h.side} ${h.quantity}`));
+
+    const shockHeader = shocks => `Shock      | ${shocks.map(({ shock }) => pct(shock).padStart(12)).join(' | ')}`;
+    const shockRow = (name, results) => `${name.padEnd(10)} | ${results.map(r => money(r.pnl)).join(' | ')}`;
+    lines.push('', 'Spot shock P&L');
+    lines.push(shockHeader(report.bookShocks));
+    Object.entries(report.coinShocks).forEach(([coin, results]) => lines.push(shockRow(coin, results)));
+    lines.push(shockRow('Book', report.bookShocks));
+
+    lines.push('', 'Scenarios');
+    report.scenarios.forEach(s => {
+        lines.push(
+            `${s.name.padEnd(20)} ${money(s.pnl)} (option ${s.optionPnl.toFixed(2)}, hedge ${s.hedgePnl.toFixed(2)}) | ` +
+            `converting: ${s.converting.length ? s.converting.join(', ') : 'none'}`
+        );
+    });
+
+    const { horizonHours, scenarios, worst, levels } = report.historicalVar;
+    lines.push('', `Historical VaR (${horizonHours}h, ${scenarios} scenarios, worst ${worst === null ? '-' : worst.toFixed(2)})`);
+    levels.forEach(level => {
+        lines.push(`  ${(level.confidence * 100).toFixed(0)}%: VaR ${money(level.var).trim()} | ES ${money(level.expectedShortfall).trim()}`);
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = { buildRiskReport, formatRiskReport, evaluateScenario, historicalVar };
@@ -0,0 +1,97 @@
+// src\runMode\index.js
+const { log } = require('../logger');
+
+const RUN_MODE = {
+    ACTIVE: 'ACTIVE',               // New entries and hedging
+    ENTRY_PAUSED: 'ENTRY_PAUSED',   // Position limit reached: no new entries, hedging continues
+    HEDGE_ONLY: 'HEDGE_ONLY',       // Hedged position limit reached or circuit breaker tripped: no new entries, hedging continues
+    HALTED: 'HALTED'                // Set by hand: no entries, no hedge orders, positions still refreshed
+};
+
+const MAX_HISTORY = 50;
+
+/**
+ * What the bot is currently allowed to do.
+ *
+ * ENTRY_PAUSED and HEDGE_ONLY allow the same (hedging, no entries); they only
+ * differ in why entries stopped.
+ *
+ * ENTRY_PAUSED and HEDGE_ONLY follow the position limits on every position
+ * refresh and go back to ACTIVE by themselves once positions settle. A mode
+ * set by hand (RUN_MODE env var or setMode with manual) stays until it is
+ * changed by hand again; the limits never override it.
+ */
+class RunModeManager {
+    constructor(initialMode = RUN_MODE.ACTIVE) {
+        if (!RUN_MODE[initialMode]) {
+            throw new Error(`Unknown run mode: ${initialMode}`);
+        }
+        this.mode = initialMode;
+        this.reason = initialMode === RUN_MODE.ACTIVE ? null : 'Set at startup';
+        this.since = Date.now();
+        this.manual = initialMode !== RUN_MODE.ACTIVE;
+        this.transitions = [];
+    }
+
+    setMode(mode, reason, { manual = false, now = Date.now() } = {}) {
+        if (!RUN_MODE[mode]) {
+            throw new Error(`Unknown run mode: ${mode}`);
+        }
+        this.manual = manual && mode !== RUN_MODE.ACTIVE;
+        if (mode === this.mode) return false;
+
+        const transition = { from: this.mode, to: mode, reason, manual, at: now };
+        this.transitions.push(transition);
+        if (this.transitions.length > MAX_HISTORY) this.transitions.shift();
+
+        log(`🔀 Run mode ${this.mode} → ${mode}: ${reason}`, 'info');
+        this.mode = mode;
+        this.reason = reason;
+        this.since = now;
+        return true;
+    }
+
+    // Pick the automatic mode for the current position counts
+    applyLimits({ positions, hedged, maxPositions, maxHedged }, now = Date.now()) {
+        if (this.manual) return this.mode;
+
+        if (hedged >= maxHedged) {
+            this.setMode(RUN_MODE.HEDGE_ONLY, `Max hedged positions reached (${hedged}/${maxHedged})`, { now });
+        } else if (positions >= maxPositions) {
+            this.setMode(RUN_MODE.ENTRY_PAUSED, `Max positions reached (${positions}/${maxPositions})`, { now });
+        } else {
+            this.setMode(RUN_MODE.ACTIVE, `Back under limits (${positions}/${maxPositions} positions, ${hedged} hedged)`, { now });
+        }
+        return this.mode;
+    }
+
+    canEnter() {
+        return this.mode === RUN_MODE.ACTIVE;
+    }
+
+    canHedge() {
+        return this.mode !== RUN_MODE.HALTED;
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            reason: this.reason,
+            since: this.since,
+            manual: this.manual,
+            canEnter: this.canEnter(),
+            canHedge: this.canHedge(),
+            transitions: this.transitions
+        };
+    }
+}
+
+// Limits applyLimits checks the position counts against
+function getRunModeLimits(config) {
+    return {
+        maxPositions: config.MAX_TOTAL_POSITIONS,
+        maxHedged: config.RUN_MODE_LIMITS.maxHedgedPositions
+    };
+}
+
+module.exports = { RunModeManager, RUN_MODE, getRunModeLimits };
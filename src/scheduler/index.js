@@ -0,0 +1,128 @@
+// src\scheduler\index.js
+const { log } = require('../logger');
+
+function emptyStats() {
+    return {
+        runs: 0,
+        failures: 0,
+        missed: 0,
+        overruns: 0,
+        lastStartedAt: null,
+        lastFinishedAt: null,
+        lastDurationMs: null,
+        lastError: null
+    };
+}
+
+/**
+ * Runs independent jobs, each on its own interval and under its own lock, so a
+ * slow job only ever delays itself.
+ *
+ * A scheduled tick that comes due while the job is still running is skipped and
+ * counted as missed. A run that takes longer than the job's timeout is counted
+ * as an overrun; it is not cancelled (an order may be in flight), the job just
+ * stays locked until it finishes. Jobs due on the same tick start in priority
+ * order, lowest number first.
+ */
+class Scheduler {
+    constructor({ tickMs = 1000 } = {}) {
+        this.tickMs = tickMs;
+        this.jobs = new Map();
+        this.timer = null;
+    }
+
+    addJob({ name, run, intervalSeconds, timeoutSeconds = intervalSeconds, priority = 10 }) {
+        this.jobs.set(name, {
+            name,
+            run,
+            intervalMs: intervalSeconds * 1000,
+            timeoutMs: timeoutSeconds * 1000,
+            priority,
+            running: false,
+            nextRunAt: 0,
+            stats: emptyStats()
+        });
+        return this;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.tickMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick(now = Date.now()) {
+        const due = [...this.jobs.values()]
+            .filter(job => now >= job.nextRunAt)
+            .sort((a, b) => a.priority - b.priority);
+
+        due.forEach(job => {
+            job.nextRunAt = now + job.intervalMs;
+            if (job.running) {
+                job.stats.missed++;
+                log(`⏸️ Job ${job.name} still running, skipped tick (${job.stats.missed} missed)`, 'warn');
+                return;
+            }
+            this.runJob(job, job.run);
+        });
+    }
+
+    // Run a job now, outside its schedule, or a one-off task under the job's lock. False if it is busy.
+    async trigger(name, task) {
+        const job = this.jobs.get(name);
+        if (!job) throw new Error(`Unknown job: ${name}`);
+        if (job.running) return false;
+        if (!task) job.nextRunAt = Date.now() + job.intervalMs;
+        await this.runJob(job, task || job.run);
+        return true;
+    }
+
+    async runJob(job, task) {
+        const { stats } = job;
+        job.running = true;
+        stats.runs++;
+        stats.lastStartedAt = Date.now();
+
+        const overrunTimer = setTimeout(() => {
+            stats.overruns++;
+            log(`⏱️ Job ${job.name} has been running longer than its ${job.timeoutMs / 1000}s timeout`, 'warn');
+        }, job.timeoutMs);
+
+        try {
+            await task();
+            stats.lastError = null;
+        } catch (err) {
+            stats.failures++;
+            stats.lastError = { message: err.message, at: Date.now() };
+            log(`Job ${job.name} failed: ${err.message}`, 'error');
+        } finally {
+            clearTimeout(overrunTimer);
+            job.running = false;
+            stats.lastFinishedAt = Date.now();
+            stats.lastDurationMs = stats.lastFinishedAt - stats.lastStartedAt;
+        }
+    }
+
+    // Per-job schedule and counters, for the monitoring API
+    getHealth() {
+        const health = {};
+        this.jobs.forEach(job => {
+            health[job.name] = {
+                intervalSeconds: job.intervalMs / 1000,
+                timeoutSeconds: job.timeoutMs / 1000,
+                priority: job.priority,
+                running: job.running,
+                nextRunAt: job.nextRunAt || null,
+                ...job.stats
+            };
+        });
+        return health;
+    }
+}
+
+module.exports = { Scheduler };
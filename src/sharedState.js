@@ -1,66 +1,118 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { log } = require('./logger');
+const { getStorage } = require('./storage');
 
 // Import the hedge status enum
 const { HEDGE_STATUS } = require('./hedge/strategiesV2');
 
+const EMPTY_HEDGE_STATE = {
+    breachStartedAt: null,
+    lastHedgeAt: null,
+    hedgeQuantity: 0,
+    hedgeSymbol: null,
+    hedgeSide: null,
+    hedgeCashFlow: 0     // Quote received from hedge fills (sells +, buys -), for realized hedge P&L
+};
+
 class SharedState {
     constructor() {
-        this.positions = new Map();
+        this.positions = []; // Active positions from the last successful fetch
         this.lastUpdated = null;
         this.spotBalances = {};
         this.balancesLastUpdated = null;
         this.hedgeStatuses = new Map(); // Track hedge status for each position
-        this.positionsFile = path.join(__dirname, '../log/positions.log');
+        this.hedgeStates = new Map(); // Breach timers and hedge size per position, persisted in storage
+        this.storage = null;
         this.config = null;
+        this.volSurface = null; // Latest implied vol surface from the product fetch
+        this.lastProducts = null; // { timestamp, count, products } from the last product fetch
+        this.lastCandidates = null; // { timestamp, shortTerm, longTerm, shadow } from runSelection
+        this.riskReport = null; // Latest stress/VaR report on the open book
         this.isLocked = false;
         this.lockTimeout = null;
     }
 
+    // Storage backing the position state, opened from config on first use
+    getStore() {
+        if (!this.storage) {
+            this.storage = getStorage(this.config);
+        }
+        return this.storage;
+    }
+
     async loadHedgeStatus() {
-        // Load hedge info from the much smaller positions.log
+        // Load hedge info for the active positions from storage
         try {
-            const content = await fs.readFile(this.positionsFile, 'utf8');
-            const positions = content ? JSON.parse(content) : {};
+            const positions = this.getStore().loadPositions();
             this.hedgeStatuses.clear();
+            this.hedgeStates.clear();
             for (const posId in positions) {
                 const position = positions[posId];
                 // Use hedgeStatus if available, otherwise default to NONE
                 this.hedgeStatuses.set(posId, position.hedgeStatus || HEDGE_STATUS.NONE);
+                const hedgeState = {};
+                Object.keys(EMPTY_HEDGE_STATE).forEach(key => {
+                    hedgeState[key] = position[key] ?? EMPTY_HEDGE_STATE[key];
+                });
+                this.hedgeStates.set(posId, hedgeState);
             }
         } catch (err) {
-            log('No existing position state found', 'debug');
+            log(`Failed to load position state: ${err.message}`, 'error');
         }
     }
 
     async updatePosition(position, hedgeStatus = HEDGE_STATUS.NONE) {
         this.hedgeStatuses.set(position.id, hedgeStatus);
 
-        // Update the small, efficient JSON state file
-        let positions = {};
         try {
-            const content = await fs.readFile(this.positionsFile, 'utf8');
-            positions = content ? JSON.parse(content) : {};
-        } catch { /* ignore */ }
-
-        positions[position.id] = {
-            id: position.id,
-            symbol: position.symbol || (position.exercisedCoin + position.investCoin),
-            optionType: position.optionType,
-            strikePrice: position.strikePrice,
-            amount: position.subscriptionAmount || position.amount,
-            roi: position.roi,
-            timeToSettle: position.hoursToExpiry || position.timeToSettle,
-            hedgeStatus: hedgeStatus,
-            createdAt: position.createdAt || new Date().toISOString(),
-            lastUpdated: new Date().toISOString()
-        };
+            this.getStore().savePosition({
+                id: position.id,
+                symbol: position.symbol || (position.exercisedCoin + position.investCoin),
+                optionType: position.optionType,
+                strikePrice: position.strikePrice,
+                amount: position.subscriptionAmount || position.amount,
+                roi: position.roi,
+                timeToSettle: position.hoursToExpiry || position.timeToSettle,
+                hedgeStatus: hedgeStatus,
+                ...this.getHedgeState(position.id),
+                lastUpdated: new Date().toISOString()
+            });
+        } catch (err) {
+            log(`Failed to update position state: ${err.message}`, 'error');
+        }
+    }
+
+    getHedgeState(positionId) {
+        return this.hedgeStates.get(positionId) || { ...EMPTY_HEDGE_STATE };
+    }
+
+    // Merge breach timers / hedge size for a position and persist them so they survive restarts.
+    // Optionally moves the hedge status too (e.g. when a settled position's hedge is closed).
+    async updateHedgeState(positionId, changes, hedgeStatus = null) {
+        const hedgeState = { ...this.getHedgeState(positionId), ...changes };
+        this.hedgeStates.set(positionId, hedgeState);
+        if (hedgeStatus) {
+            this.hedgeStatuses.set(positionId, hedgeStatus);
+        }
+
+        try {
+            this.getStore().savePosition({
+                id: positionId,
+                hedgeStatus: this.getHedgeStatus(positionId),
+                ...hedgeState,
+                lastUpdated: new Date().toISOString()
+            });
+        } catch (err) {
+            log(`Failed to update position state: ${err.message}`, 'error');
+        }
+        return hedgeState;
+    }
 
+    // Persist the whole active position set (id -> record); positions left out become history
+    async replacePositions(positionsMap) {
         try {
-            await fs.writeFile(this.positionsFile, JSON.stringify(positions, null, 2));
+            this.getStore().replacePositions(positionsMap);
         } catch (err) {
-            log(`Failed to update positions.log: ${err.message}`, 'error');
+            log(`Failed to save positions: ${err.message}`, 'error');
         }
     }
 
@@ -74,11 +126,11 @@ class SharedState {
 
     isPartiallyHedged(positionId) {
         const status = this.getHedgeStatus(positionId);
-        return status === HEDGE_STATUS.STEP1 || status === HEDGE_STATUS.FULL;
+        return status === HEDGE_STATUS.STEP1 || status === HEDGE_STATUS.FULL || status === HEDGE_STATUS.UNWINDING;
     }
 
     isHedged(positionId) {
-        // For any hedge status (STEP1 or FULL)
+        // For any status with a hedge still on (STEP1, FULL or UNWINDING)
         return this.isPartiallyHedged(positionId);
     }
 }
@@ -0,0 +1,328 @@
+// src\storage\index.js
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { log, LOG_FILES } = require('../logger');
+const { MIGRATIONS } = require('./migrations');
+
+const DEFAULT_DB_FILE = path.join(__dirname, '../../data/trading.db');
+const PAPER_DB_FILE = path.join(__dirname, '../../data/paper.db');
+const LEGACY_IMPORT_KEY = 'legacy_json_imported';
+
+let activeStorage = null;
+
+function readJsonFile(file) {
+    if (!file || !fs.existsSync(file)) return null;
+    const content = fs.readFileSync(file, 'utf8');
+    return content ? JSON.parse(content) : null;
+}
+
+function toTrip(row) {
+    return {
+        id: row.id,
+        trigger: row.trigger,
+        reason: row.reason,
+        details: JSON.parse(row.details),
+        trippedAt: row.tripped_at,
+        resetAt: row.reset_at,
+        resetBy: row.reset_by
+    };
+}
+
+/**
+ * SQLite storage for positions, hedge status transitions, product snapshots,
+ * executions, loans, settlements, circuit breaker trips and paper accounts.
+ *
+ * Every write is a single transaction, so a crash or an overlapping writer can
+ * no longer lose updates the way rewriting the whole positions.log could.
+ * Pass ':memory:' for a scratch database (replays, scripts).
+ */
+class Storage {
+    constructor(file = DEFAULT_DB_FILE) {
+        if (file !== ':memory:') {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+        this.file = file;
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.migrate();
+    }
+
+    migrate() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL
+            )
+        `);
+        const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+
+        MIGRATIONS.filter(migration => !applied.has(migration.version)).forEach(migration => {
+            this.db.transaction(() => {
+                this.db.exec(migration.up);
+                this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                    .run(migration.version, migration.name, new Date().toISOString());
+            })();
+            log(`Applied storage migration ${migration.version} (${migration.name})`, 'debug');
+        });
+    }
+
+    getSchemaVersion() {
+        return this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // === Legacy JSON import ===
+
+    // One-time import of log/positions.log and log/ledger.log into an empty database
+    importLegacyFiles({ positionsFile = LOG_FILES.positions, ledgerFile = LOG_FILES.ledger } = {}) {
+        if (this.db.prepare('SELECT value FROM meta WHERE key = ?').get(LEGACY_IMPORT_KEY)) return;
+
+        try {
+            const positions = readJsonFile(positionsFile);
+            const ledger = readJsonFile(ledgerFile);
+
+            this.db.transaction(() => {
+                if (positions) this.importPositions(positions);
+                if (ledger) {
+                    Object.entries(ledger.open || {}).forEach(([id, entry]) => this.saveSettlementEntry(id, entry));
+                    (ledger.settled || []).forEach(record => this.saveSettlement(record));
+                }
+                this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run(LEGACY_IMPORT_KEY, new Date().toISOString());
+            })();
+
+            if (positions || ledger) {
+                log(`Imported ${Object.keys(positions || {}).length} positions and ${(ledger?.settled || []).length} settlements from JSON files`, 'info');
+            }
+        } catch (err) {
+            log(`Failed to import legacy JSON files: ${err.message}`, 'error');
+        }
+    }
+
+    // Load a positions.log style map ({ id: record }) as the active positions
+    importPositions(positionsMap) {
+        this.db.transaction(() => {
+            Object.values(positionsMap).forEach(record => this.savePosition(record));
+        })();
+    }
+
+    // === Positions ===
+
+    // Active position records as a positions.log style map
+    loadPositions() {
+        const rows = this.db.prepare('SELECT id, data FROM positions WHERE active = 1').all();
+        return rows.reduce((positions, row) => {
+            positions[row.id] = JSON.parse(row.data);
+            return positions;
+        }, {});
+    }
+
+    getPosition(id) {
+        const row = this.db.prepare('SELECT data FROM positions WHERE id = ?').get(String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    // Upsert one position record, merged over what is stored; a hedge status change is logged as a transition
+    savePosition(changes, now = Date.now()) {
+        const id = String(changes.id);
+        const previous = this.db.prepare('SELECT hedge_status, data, created_at FROM positions WHERE id = ?').get(id);
+        const record = { ...(previous ? JSON.parse(previous.data) : {}), ...changes };
+        const hedgeStatus = record.hedgeStatus || 'NONE';
+        const timestamp = new Date(now).toISOString();
+        const createdAt = previous?.created_at || record.createdAt || timestamp;
+
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO positions (id, symbol, option_type, strike_price, settle_date, hedge_status, hedge_quantity, active, data, created_at, updated_at)
+                VALUES (@id, @symbol, @optionType, @strikePrice, @settleDate, @hedgeStatus, @hedgeQuantity, 1, @data, @createdAt, @updatedAt)
+                ON CONFLICT (id) DO UPDATE SET
+                    symbol = excluded.symbol,
+                    option_type = excluded.option_type,
+                    strike_price = excluded.strike_price,
+                    settle_date = excluded.settle_date,
+                    hedge_status = excluded.hedge_status,
+                    hedge_quantity = excluded.hedge_quantity,
+                    active = 1,
+                    data = excluded.data,
+                    updated_at = excluded.updated_at
+            `).run({
+                id,
+                symbol: record.symbol || (record.exercisedCoin && `${record.exercisedCoin}${record.investCoin}`) || null,
+                optionType: record.optionType || null,
+                strikePrice: record.strikePrice !== undefined ? parseFloat(record.strikePrice) : null,
+                settleDate: record.settleDate || null,
+                hedgeStatus,
+                hedgeQuantity: record.hedgeQuantity || 0,
+                data: JSON.stringify({ ...record, createdAt }),
+                createdAt,
+                updatedAt: timestamp
+            });
+
+            if ((previous?.hedge_status || 'NONE') !== hedgeStatus) {
+                this.db.prepare(`
+                    INSERT INTO hedge_transitions (position_id, from_status, to_status, hedge_quantity, created_at)
+                    VALUES (?, ?, ?, ?, ?)
+                `).run(id, previous?.hedge_status || null, hedgeStatus, record.hedgeQuantity || 0, now);
+            }
+        })();
+    }
+
+    // Replace the active set: upsert every record, deactivate positions no longer in it
+    replacePositions(positionsMap, now = Date.now()) {
+        this.db.transaction(() => {
+            Object.values(positionsMap).forEach(record => this.savePosition(record, now));
+
+            const ids = new Set(Object.keys(positionsMap).map(String));
+            const deactivate = this.db.prepare('UPDATE positions SET active = 0, updated_at = ? WHERE id = ?');
+            this.db.prepare('SELECT id FROM positions WHERE active = 1').all()
+                .filter(row => !ids.has(row.id))
+                .forEach(row => deactivate.run(new Date(now).toISOString(), row.id));
+        })();
+    }
+
+    getHedgeTransitions(positionId) {
+        return this.db.prepare('SELECT * FROM hedge_transitions WHERE position_id = ? ORDER BY id').all(String(positionId));
+    }
+
+    // === Market data, executions, loans ===
+
+    recordProductSnapshot(timestamp, products, spotPrices = {}) {
+        this.db.prepare('INSERT INTO product_snapshots (timestamp, product_count, spot_prices, products) VALUES (?, ?, ?, ?)')
+            .run(timestamp, products.length, JSON.stringify(spotPrices), JSON.stringify(products));
+    }
+
+    getLastProductSnapshotTime() {
+        return this.db.prepare('SELECT MAX(timestamp) AS timestamp FROM product_snapshots').get().timestamp || 0;
+    }
+
+    // Spot prices recorded with each product snapshot since `since`, oldest first
+    getSpotSeries(since = 0) {
+        return this.db.prepare('SELECT timestamp, spot_prices FROM product_snapshots WHERE timestamp >= ? ORDER BY timestamp')
+            .all(since)
+            .map(row => ({ timestamp: row.timestamp, spotPrices: JSON.parse(row.spot_prices) }));
+    }
+
+    recordExecutions(subscriptions, now = Date.now()) {
+        const insert = this.db.prepare(`
+            INSERT INTO executions (created_at, position_id, product_id, order_id, pair, option_type, strike_price, amount, apr, settle_date, strategy, borrowed)
+            VALUES (@createdAt, @positionId, @productId, @orderId, @pair, @optionType, @strikePrice, @amount, @apr, @settleDate, @strategy, @borrowed)
+        `);
+        this.db.transaction(() => {
+            subscriptions.forEach(({ product, amount, positionId, borrowed = 0 }) => insert.run({
+                createdAt: now,
+                positionId: positionId ? String(positionId) : null,
+                productId: String(product.id),
+                orderId: product.orderId ? String(product.orderId) : null,
+                pair: `${product.investCoin}${product.exercisedCoin}`,
+                optionType: product.optionType,
+                strikePrice: parseFloat(product.strikePrice),
+                amount,
+                apr: parseFloat(product.apr),
+                settleDate: product.settleDate,
+                strategy: product.strategy || null,
+                borrowed
+            }));
+        })();
+    }
+
+    recordLoan({ loanCoin, loanAmount, collateralCoin, collateralAmount, status, response }, now = Date.now()) {
+        this.db.prepare(`
+            INSERT INTO loans (created_at, loan_coin, loan_amount, collateral_coin, collateral_amount, status, response)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(now, loanCoin, parseFloat(loanAmount), collateralCoin, parseFloat(collateralAmount), status || null, JSON.stringify(response ?? null));
+    }
+
+    // === Circuit breaker ===
+
+    recordCircuitBreakerTrip({ trigger, reason, details, trippedAt }) {
+        return this.db.prepare('INSERT INTO circuit_breaker_trips (trigger, reason, details, tripped_at) VALUES (?, ?, ?, ?)')
+            .run(trigger, reason, JSON.stringify(details ?? null), trippedAt).lastInsertRowid;
+    }
+
+    getOpenCircuitBreakerTrip() {
+        const row = this.db.prepare('SELECT * FROM circuit_breaker_trips WHERE reset_at IS NULL ORDER BY id DESC LIMIT 1').get();
+        return row ? toTrip(row) : null;
+    }
+
+    resetCircuitBreakerTrips(now, resetBy) {
+        this.db.prepare('UPDATE circuit_breaker_trips SET reset_at = ?, reset_by = ? WHERE reset_at IS NULL').run(now, resetBy);
+    }
+
+    getCircuitBreakerTrips(limit = 20) {
+        return this.db.prepare('SELECT * FROM circuit_breaker_trips ORDER BY id DESC LIMIT ?').all(limit).map(toTrip);
+    }
+
+    // === Paper trading ===
+
+    loadPaperAccount(name) {
+        const row = this.db.prepare('SELECT data FROM paper_accounts WHERE name = ?').get(name);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    savePaperAccount(name, account, now = Date.now()) {
+        this.db.prepare(`
+            INSERT INTO paper_accounts (name, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(name, JSON.stringify(account), now);
+    }
+
+    // === Settlement ledger ===
+
+    loadLedger() {
+        const open = this.db.prepare('SELECT position_id, data FROM settlement_entries').all()
+            .reduce((entries, row) => {
+                entries[row.position_id] = JSON.parse(row.data);
+                return entries;
+            }, {});
+        const settled = this.db.prepare('SELECT data FROM settlements ORDER BY settled_at, id').all()
+            .map(row => JSON.parse(row.data));
+        return { open, settled };
+    }
+
+    saveSettlementEntry(positionId, entry) {
+        this.db.prepare(`
+            INSERT INTO settlement_entries (position_id, data) VALUES (?, ?)
+            ON CONFLICT (position_id) DO UPDATE SET data = excluded.data
+        `).run(String(positionId), JSON.stringify(entry));
+    }
+
+    saveSettlement(record) {
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO settlements (id, pair, strategy, settled_at, net_pnl, data)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(String(record.id), record.pair, record.strategy, record.settledAt, record.netPnl, JSON.stringify(record));
+            this.db.prepare('DELETE FROM settlement_entries WHERE position_id = ?').run(String(record.id));
+        })();
+    }
+
+    // Persist the tracker's open entries in one go (entries that settled are already gone)
+    saveSettlementEntries(open) {
+        this.db.transaction(() => {
+            Object.entries(open).forEach(([id, entry]) => this.saveSettlementEntry(id, entry));
+        })();
+    }
+}
+
+// Shared storage instance, opened (and migrated) from config on first use.
+// Paper trading keeps its own database so paper positions never mix with live ones.
+function getStorage(config) {
+    if (!activeStorage) {
+        const file = config?.STORAGE?.file || (config?.PAPER?.enabled ? PAPER_DB_FILE : DEFAULT_DB_FILE);
+        activeStorage = new Storage(file);
+        if (file !== ':memory:') activeStorage.importLegacyFiles();
+        log(`Using storage ${file} (schema v${activeStorage.getSchemaVersion()})`, 'debug');
+    }
+    return activeStorage;
+}
+
+// Swap the shared storage (replays, scratch runs)
+function setStorage(storage) {
+    activeStorage = storage;
+}
+
+module.exports = { Storage, getStorage, setStorage, DEFAULT_DB_FILE, PAPER_DB_FILE };
@@ -0,0 +1,123 @@
+// src\storage\migrations.js
+
+// Applied in order, once each; never edit a released migration, add a new one
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up: `
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+
+            -- Current state per position (formerly log/positions.log); inactive rows are history
+            CREATE TABLE positions (
+                id TEXT PRIMARY KEY,
+                symbol TEXT,
+                option_type TEXT,
+                strike_price REAL,
+                settle_date INTEGER,
+                hedge_status TEXT NOT NULL DEFAULT 'NONE',
+                hedge_quantity REAL NOT NULL DEFAULT 0,
+                active INTEGER NOT NULL DEFAULT 1,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_positions_active ON positions (active);
+
+            CREATE TABLE hedge_transitions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                position_id TEXT NOT NULL,
+                from_status TEXT,
+                to_status TEXT NOT NULL,
+                hedge_quantity REAL NOT NULL DEFAULT 0,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_hedge_transitions_position ON hedge_transitions (position_id);
+
+            CREATE TABLE product_snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timestamp INTEGER NOT NULL,
+                product_count INTEGER NOT NULL,
+                spot_prices TEXT NOT NULL,
+                products TEXT NOT NULL
+            );
+            CREATE INDEX idx_product_snapshots_timestamp ON product_snapshots (timestamp);
+
+            CREATE TABLE executions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at INTEGER NOT NULL,
+                position_id TEXT,
+                product_id TEXT,
+                order_id TEXT,
+                pair TEXT,
+                option_type TEXT,
+                strike_price REAL,
+                amount REAL,
+                apr REAL,
+                settle_date INTEGER,
+                strategy TEXT,
+                borrowed REAL NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE loans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at INTEGER NOT NULL,
+                loan_coin TEXT NOT NULL,
+                loan_amount REAL NOT NULL,
+                collateral_coin TEXT,
+                collateral_amount REAL,
+                status TEXT,
+                response TEXT
+            );
+
+            -- Settlement ledger (formerly log/ledger.log): tracked open positions and settled records
+            CREATE TABLE settlement_entries (
+                position_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+
+            CREATE TABLE settlements (
+                id TEXT PRIMARY KEY,
+                pair TEXT NOT NULL,
+                strategy TEXT NOT NULL,
+                settled_at INTEGER NOT NULL,
+                net_pnl REAL NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX idx_settlements_pair ON settlements (pair);
+        `
+    },
+    {
+        version: 2,
+        name: 'circuit breaker trips',
+        up: `
+            -- Every circuit breaker trip; reset_at stays NULL until it is reset by hand
+            CREATE TABLE circuit_breaker_trips (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trigger TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                details TEXT,
+                tripped_at INTEGER NOT NULL,
+                reset_at INTEGER,
+                reset_by TEXT
+            );
+        `
+    },
+    {
+        version: 3,
+        name: 'paper accounts',
+        up: `
+            -- Paper trading accounts: balances, positions, loans and margin as one JSON document per account
+            CREATE TABLE paper_accounts (
+                name TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+        `
+    }
+];
+
+module.exports = { MIGRATIONS };
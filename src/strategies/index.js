@@ -0,0 +1,186 @@
+// src\strategies\index.js
+const { log, clearFilteredProductsLog } = require('../logger');
+const { getPairKey } = require('../helpers/settlement');
+const { buildVolSurface } = require('../pricing/volSurface');
+const { filterAndProcessProducts } = require('../helpers/algo');
+const { filterAndProcessProductsV2 } = require('../helpers/algoV2');
+
+const TENORS = ['shortTerm', 'longTerm'];
+const STRATEGIES = new Map();
+
+/**
+ * Add a product selection strategy:
+ *   id           referenced from SELECTION in config
+ *   description  shown by listStrategies
+ *   schema       { setting: { type: 'number' | 'integer' | 'boolean', default, min, max, description } },
+ *                SELECTION.settings[id] is checked against it
+ *   select(products, context)  resolves to the products to subscribe; context is
+ *                { config, settings, activePositions, isShortTerm, tenor, now, volSurface, shadow }
+ */
+function registerStrategy(strategy) {
+    if (!strategy?.id || typeof strategy.select !== 'function') {
+        throw new Error('A selection strategy needs an id and a select(products, context) function');
+    }
+    if (STRATEGIES.has(strategy.id)) {
+        throw new Error(`Selection strategy already registered: ${strategy.id}`);
+    }
+    STRATEGIES.set(strategy.id, { description: '', schema: {}, ...strategy });
+    return strategy;
+}
+
+function getStrategy(id) {
+    const strategy = STRATEGIES.get(id);
+    if (!strategy) {
+        throw new Error(`Unknown selection strategy: ${id} (registered: ${[...STRATEGIES.keys()].join(', ')})`);
+    }
+    return strategy;
+}
+
+function listStrategies() {
+    return [...STRATEGIES.values()].map(({ id, description, schema }) => ({ id, description, schema }));
+}
+
+// Schema defaults overlaid with `overrides`; throws on unknown keys, wrong types and out-of-range values
+function resolveSettings(strategy, overrides = {}) {
+    const unknown = Object.keys(overrides).filter(key => !(key in strategy.schema));
+    if (unknown.length) {
+        throw new Error(`Unknown setting(s) for selection strategy ${strategy.id}: ${unknown.join(', ')}`);
+    }
+
+    const settings = {};
+    Object.entries(strategy.schema).forEach(([key, spec]) => {
+        const value = overrides[key] ?? spec.default;
+        const name = `${strategy.id}.${key}`;
+        const validType = spec.type === 'boolean'
+            ? typeof value === 'boolean'
+            : typeof value === 'number' && Number.isFinite(value) && (spec.type !== 'integer' || Number.isInteger(value));
+        if (!validType) throw new Error(`Selection setting ${name} must be a ${spec.type}, got ${JSON.stringify(value)}`);
+        if (spec.min !== undefined && value < spec.min) throw new Error(`Selection setting ${name} must be >= ${spec.min}, got ${value}`);
+        if (spec.max !== undefined && value > spec.max) throw new Error(`Selection setting ${name} must be <= ${spec.max}, got ${value}`);
+        settings[key] = value;
+    });
+    return settings;
+}
+
+// Strategy ids for one pair and tenor: a SELECTION.pairs entry wins over SELECTION.live
+function getStrategyIds(selection, pair, tenor) {
+    const ids = selection.pairs?.[pair]?.[tenor] ?? selection.live[tenor];
+    return [].concat(ids);
+}
+
+/**
+ * Check every strategy SELECTION refers to (live, pairs, shadow, settings) exists
+ * and its settings fit its schema.
+ * Throws on the first problem, so a bad selection config stops the bot at startup.
+ */
+function validateSelectionConfig(config) {
+    const selection = config.SELECTION;
+    const ids = new Set();
+    TENORS.forEach(tenor => {
+        [].concat(selection.live[tenor]).forEach(id => ids.add(id));
+        Object.values(selection.pairs || {}).forEach(pairTenors => {
+            if (pairTenors[tenor]) [].concat(pairTenors[tenor]).forEach(id => ids.add(id));
+        });
+    });
+    if (selection.shadow) ids.add(selection.shadow);
+    Object.keys(selection.settings || {}).forEach(id => ids.add(id));
+
+    ids.forEach(id => resolveSettings(getStrategy(id), selection.settings?.[id]));
+    return [...ids];
+}
+
+// A failing strategy selects nothing instead of stopping the run
+async function runStrategy(id, products, context) {
+    try {
+        const strategy = getStrategy(id);
+        const settings = resolveSettings(strategy, context.config.SELECTION.settings?.[id]);
+        return await strategy.select(products, { ...context, settings });
+    } catch (error) {
+        log(`❌ Selection strategy ${id} failed: ${error.message}`, 'error');
+        return [];
+    }
+}
+
+/**
+ * Run product selection for both tenors. Products are routed by pair to the
+ * strategies SELECTION names for that pair and tenor; their picks are returned
+ * for execution. With SELECTION.shadow set, that strategy also runs on every
+ * product and its picks are only logged against the live ones (and returned as
+ * `shadow` for the monitor). filteredProducts.log is started over each run.
+ */
+async function runSelection(products, config, { activePositions = [], now = Date.now(), volSurface = buildVolSurface(products, now) } = {}) {
+    const selection = config.SELECTION;
+    const result = { shortTerm: [], longTerm: [], shadow: null };
+    clearFilteredProductsLog();
+
+    for (const tenor of TENORS) {
+        const context = { config, activePositions, isShortTerm: tenor === 'shortTerm', tenor, now, volSurface, shadow: false };
+        const routed = new Map();   // strategy id -> products
+        products.forEach(product => {
+            getStrategyIds(selection, getPairKey(product), tenor).forEach(id => {
+                if (!routed.has(id)) routed.set(id, []);
+                routed.get(id).push(product);
+            });
+        });
+        for (const [id, routedProducts] of routed) {
+            result[tenor].push(...await runStrategy(id, routedProducts, context));
+        }
+    }
+
+    if (selection.shadow) {
+        result.shadow = { strategy: selection.shadow, shortTerm: [], longTerm: [] };
+        for (const tenor of TENORS) {
+            const context = { config, activePositions, isShortTerm: tenor === 'shortTerm', tenor, now, volSurface, shadow: true };
+            const picks = await runStrategy(selection.shadow, products, context);
+            result.shadow[tenor] = picks;
+            logShadowComparison(selection.shadow, tenor, picks, result[tenor]);
+        }
+    }
+
+    return result;
+}
+
+function logShadowComparison(id, tenor, shadowPicks, livePicks) {
+    const ids = picks => picks.map(product => String(product.id));
+    const shadowIds = ids(shadowPicks);
+    const liveIds = ids(livePicks);
+    const onlyShadow = shadowIds.filter(productId => !liveIds.includes(productId));
+    const onlyLive = liveIds.filter(productId => !shadowIds.includes(productId));
+    const list = productIds => (productIds.length ? productIds.join(', ') : 'none');
+    log(
+        `👻 Shadow ${id} ${tenor}: would pick ${list(shadowIds)} | live picked ${list(liveIds)} | ` +
+        `only shadow: ${list(onlyShadow)} | only live: ${list(onlyLive)}`,
+        'info'
+    );
+}
+
+// === Built-in strategies ===
+registerStrategy({
+    id: 'v1',
+    description: 'ROI targets, buffer, abs ratio and market events; best ROI margin per pair and direction',
+    schema: {},
+    select: (products, { config, activePositions, isShortTerm, now, volSurface, shadow }) =>
+        filterAndProcessProducts(products, config, activePositions, isShortTerm, now, volSurface, shadow)
+});
+
+registerStrategy({
+    id: 'v2',
+    description: 'V1 checks with a tenor-scaled buffer floor; safest (highest abs ratio) first',
+    schema: {
+        baseBuffer: { type: 'number', default: 2.5, min: 0, description: 'Buffer floor (%) for a 1 day product' },
+        bufferPerDay: { type: 'number', default: 0.5, min: 0, description: 'Buffer floor added per day beyond the first' },
+        maxBuffer: { type: 'number', default: 10, min: 0, description: 'Buffer floor cap (%)' },
+        maxPerPair: { type: 'integer', default: 1, min: 1, description: 'Products kept per pair and direction' }
+    },
+    select: (products, { config, activePositions, isShortTerm, now, volSurface, settings, shadow }) =>
+        filterAndProcessProductsV2(products, config, activePositions, isShortTerm, now, volSurface, settings, shadow)
+});
+
+module.exports = {
+    registerStrategy,
+    getStrategy,
+    listStrategies,
+    resolveSettings,
+    validateSelectionConfig,
+    runSelection
+};
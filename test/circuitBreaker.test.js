@@ -0,0 +1,124 @@
+// test\circuitBreaker.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, computeEquity } = require('../src/circuitBreaker');
+const { Storage, setStorage } = require('../src/storage');
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.UTC(2026, 9, 18, 12);
+
+const config = {
+    STORAGE: { file: ':memory:' },
+    CIRCUIT_BREAKER: {
+        enabled: true,
+        spotMove: { percent: 5, windowMinutes: 10 },
+        maxConsecutiveApiErrors: 3,
+        balanceDrop: { percent: 10, windowHours: 24 },
+        maxPositionAgeMinutes: 15,
+        resetFile: '/nonexistent/circuit-breaker.reset'
+    }
+};
+
+let breaker;
+let trips;
+
+beforeEach(() => {
+    setStorage(new Storage(':memory:'));
+    breaker = new CircuitBreaker(config);
+    trips = [];
+    breaker.on('trip', trip => trips.push(trip));
+});
+
+test('spotMove trips on a move beyond the percent inside the window only', () => {
+    breaker.recordPrice('BTCUSDT', 100000, NOW);
+    breaker.recordPrice('BTCUSDT', 96000, NOW + 5 * MINUTE_MS);
+    assert.strictEqual(breaker.isTripped(), false);
+
+    // The 100000 point has left the window
+    breaker.recordPrice('BTCUSDT', 94000, NOW + 11 * MINUTE_MS);
+    assert.strictEqual(breaker.isTripped(), false);
+
+    breaker.recordPrice('BTCUSDT', 89000, NOW + 12 * MINUTE_MS);
+    assert.strictEqual(breaker.isTripped(), true);
+    assert.strictEqual(trips.length, 1);
+    assert.strictEqual(trips[0].trigger, 'spotMove');
+    assert.strictEqual(trips[0].details.from, 96000);
+});
+
+test('apiErrors trips on consecutive failures from one source, a success resets the count', () => {
+    breaker.recordApiResult('positions', false, 'timeout', NOW);
+    breaker.recordApiResult('positions', false, 'timeout', NOW);
+    breaker.recordApiResult('positions', true, null, NOW);
+    breaker.recordApiResult('positions', false, 'timeout', NOW);
+    breaker.recordApiResult('products', false, '500', NOW);
+    breaker.recordApiResult('positions', false, 'timeout', NOW);
+    assert.strictEqual(breaker.isTripped(), false);
+
+    breaker.recordApiResult('positions', false, 'timeout', NOW);
+    assert.strictEqual(trips[0].trigger, 'apiErrors');
+    assert.strictEqual(trips[0].details.source, 'positions');
+});
+
+test('balanceDrop trips when equity falls the percent below its high', () => {
+    breaker.recordEquity(10000, NOW);
+    breaker.recordEquity(9500, NOW + 60 * MINUTE_MS);
+    assert.strictEqual(breaker.isTripped(), false);
+
+    breaker.recordEquity(8900, NOW + 120 * MINUTE_MS);
+    assert.strictEqual(trips[0].trigger, 'balanceDrop');
+    assert.strictEqual(trips[0].details.high, 10000);
+});
+
+test('stalePositions trips when positions are older than maxPositionAgeMinutes', () => {
+    breaker.checkPositionsFreshness(NOW - 10 * MINUTE_MS, NOW);
+    assert.strictEqual(breaker.isTripped(), false);
+
+    breaker.checkPositionsFreshness(NOW - 20 * MINUTE_MS, NOW);
+    assert.strictEqual(trips[0].trigger, 'stalePositions');
+});
+
+test('stays tripped on a single trip until reset, then starts the windows over', () => {
+    breaker.recordEquity(10000, NOW);
+    breaker.recordEquity(8000, NOW + MINUTE_MS);
+    breaker.recordEquity(5000, NOW + 2 * MINUTE_MS);
+    assert.strictEqual(trips.length, 1);
+
+    const resets = [];
+    breaker.on('reset', trip => resets.push(trip));
+    assert.strictEqual(breaker.reset('test', NOW + 3 * MINUTE_MS), true);
+    assert.strictEqual(breaker.isTripped(), false);
+    assert.strictEqual(resets[0].trigger, 'balanceDrop');
+
+    breaker.recordEquity(5000, NOW + 4 * MINUTE_MS);
+    assert.strictEqual(breaker.isTripped(), false);
+    assert.strictEqual(breaker.reset('test'), false);
+});
+
+test('a disabled breaker never trips', () => {
+    const disabled = new CircuitBreaker({ ...config, CIRCUIT_BREAKER: { ...config.CIRCUIT_BREAKER, enabled: false } });
+    disabled.checkPositionsFreshness(NOW - 60 * MINUTE_MS, NOW);
+    assert.strictEqual(disabled.isTripped(), false);
+});
+
+test('computeEquity counts spot, dual investment notional and loans', () => {
+    const spotPrices = { BTCUSDT: 100000, ETHUSDT: 2500 };
+    const balances = { USDT: 1000, BTC: 0.01, XYZ: 50 };
+    const positions = [
+        { optionType: 'PUT', investCoin: 'USDT', exercisedCoin: 'BTC', strikePrice: '95000', subscriptionAmount: '500' },
+        { optionType: 'CALL', investCoin: 'ETH', exercisedCoin: 'USDT', strikePrice: '2800', subscriptionAmount: '0.2' }
+    ];
+    const loans = [{ collateralCoin: 'ETH', collateralAmount: '1', loanCoin: 'USDT', totalDebt: '1200' }];
+
+    // 1000 + 1000 (BTC) + 500 + 500 (ETH call) + 2500 - 1200; XYZ has no price
+    assert.strictEqual(computeEquity(balances, positions, spotPrices, loans), 4300);
+    assert.strictEqual(computeEquity(balances, positions, spotPrices), 3000);
+});
+
+test('borrowing moves value between spot and loans without changing equity', () => {
+    const spotPrices = { ETHUSDT: 2500 };
+    const before = computeEquity({ ETH: 2, USDT: 0 }, [], spotPrices, []);
+    const after = computeEquity({ ETH: 1, USDT: 1200 }, [], spotPrices, [
+        { collateralCoin: 'ETH', collateralAmount: '1', loanCoin: 'USDT', totalDebt: '1200' }
+    ]);
+    assert.strictEqual(after, before);
+});
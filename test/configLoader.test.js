@@ -0,0 +1,87 @@
+// test\configLoader.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { loadConfig, validateConfig, findConfigProblems, applyConfigOverrides, getLoadedLayers, toPrintableConfig, PROFILES } = require('../src/configLoader');
+
+const clean = { env: {}, argv: [] };
+
+test('the shipped config and every profile validate', () => {
+    assert.deepStrictEqual(findConfigProblems(config), []);
+    Object.keys(PROFILES).forEach(profile => {
+        assert.deepStrictEqual(findConfigProblems(loadConfig(config, { env: { CONFIG_PROFILE: profile }, argv: [] })), [], profile);
+    });
+});
+
+test('applyConfigOverrides merges objects key by key and replaces the rest', () => {
+    const merged = applyConfigOverrides(config, { RISK_LIMITS: { maxTotalNotional: 1 }, EXPIRY_HOURS: [40, 100] });
+    assert.strictEqual(merged.RISK_LIMITS.maxTotalNotional, 1);
+    assert.strictEqual(merged.RISK_LIMITS.maxNotionalPerExpiry, config.RISK_LIMITS.maxNotionalPerExpiry);
+    assert.deepStrictEqual(merged.EXPIRY_HOURS, [40, 100]);
+    assert.strictEqual(merged.RISK_BUFFER_CONFIG.calculateBuffer, config.RISK_BUFFER_CONFIG.calculateBuffer);
+    assert.notStrictEqual(config.RISK_LIMITS.maxTotalNotional, 1);
+});
+
+test('layers apply in order: profile, override file, env', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    const file = path.join(dir, 'overrides.yaml');
+    fs.writeFileSync(file, 'ALLOCATION_FRACTION: 0.07\nRISK_LIMITS:\n  maxTotalNotional: 12000\n');
+    try {
+        const loaded = loadConfig(config, {
+            env: { CONFIG__risk_limits__MAXTOTALNOTIONAL: '13000', CONFIG__ENABLE_HEDGING: 'false', CONFIG__RUN_MODE: 'HALTED' },
+            argv: ['node', 'src/index.js', '--profile', 'conservative', `--config-file=${file}`]
+        });
+        assert.strictEqual(loaded.ABS_RATIO_THRESHOLD, PROFILES.conservative.ABS_RATIO_THRESHOLD);
+        assert.strictEqual(loaded.ALLOCATION_FRACTION, 0.07);
+        assert.strictEqual(loaded.RISK_LIMITS.maxTotalNotional, 13000);
+        assert.strictEqual(loaded.ENABLE_HEDGING, false);
+        assert.strictEqual(loaded.RUN_MODE, 'HALTED');
+        assert.deepStrictEqual(getLoadedLayers(), {
+            profile: 'conservative',
+            file,
+            env: ['CONFIG__ENABLE_HEDGING', 'CONFIG__RUN_MODE', 'CONFIG__risk_limits__MAXTOTALNOTIONAL']
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('unknown profiles and unreadable override files throw', () => {
+    assert.throws(() => loadConfig(config, { env: { CONFIG_PROFILE: 'reckless' }, argv: [] }), /Unknown config profile: reckless/);
+    assert.throws(() => loadConfig(config, { env: { CONFIG_FILE: 'overrides.txt' }, argv: [] }), /Cannot read config override file/);
+    assert.strictEqual(loadConfig(config, clean).ALLOCATION_FRACTION, config.ALLOCATION_FRACTION);
+});
+
+test('validateConfig lists missing and unknown keys, types, ranges and cross-field checks', () => {
+    const bad = applyConfigOverrides(config, {
+        ALLOCATION_FRACTION: 1.5,
+        MAX_TOTAL_POSITIONS: 2.5,
+        ENABLE_HEDGING: 'yes',
+        RISK_LIMITS: { maxNotionalPerExpiry: undefined, maxTotalNotionl: 1 },
+        EXPIRY_HOURS: [100, 40],
+        RUN_MODE: 'PAUSED'
+    });
+    const problems = findConfigProblems(bad);
+    assert.deepStrictEqual(problems.sort(), [
+        'ALLOCATION_FRACTION: must be between 0 and 1, got 1.5',
+        'ENABLE_HEDGING: must be a boolean, got "yes"',
+        'EXPIRY_HOURS: min 100 must be below max 40',
+        'MAX_TOTAL_POSITIONS: must be an integer, got 2.5',
+        'RISK_LIMITS.maxNotionalPerExpiry: missing',
+        'RISK_LIMITS.maxTotalNotionl: unknown key',
+        'RUN_MODE: must be one of ACTIVE, ENTRY_PAUSED, HEDGE_ONLY, HALTED, got "PAUSED"'
+    ]);
+    assert.throws(() => validateConfig(bad), /^Error: Invalid config \(7 problems\):\n {2}- /);
+    assert.strictEqual(validateConfig(config), config);
+});
+
+test('toPrintableConfig masks secrets and names functions', () => {
+    const printable = toPrintableConfig(applyConfigOverrides(config, { BINANCE_API_SECRET: 'shh', MONITOR: { token: 'abc' } }));
+    assert.strictEqual(printable.BINANCE_API_SECRET, '***');
+    assert.strictEqual(printable.MONITOR.token, '***');
+    assert.match(printable.RISK_BUFFER_CONFIG.calculateBuffer, /^\[function /);
+    assert.doesNotThrow(() => JSON.stringify(printable));
+});
@@ -0,0 +1,58 @@
+// test\dashboard.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { buildDashboardSnapshot, renderDashboardPage, renderPositionRows, renderExposureRows, escapeHtml } = require('../src/monitor/dashboard');
+
+const NOW = Date.UTC(2026, 9, 18, 12);
+
+// SharedState stand-in with one unhedged position on a hostile pair name
+const sharedState = {
+    lastUpdated: NOW,
+    positions: [{
+        id: '9001"><img src=x onerror=alert(1)>',
+        investCoin: 'USDT',
+        exercisedCoin: '<script>alert("x")</script>',
+        subscriptionAmount: '1000',
+        strikePrice: '100000',
+        apr: '0.365',
+        duration: 10,
+        settleDate: NOW + 24 * 60 * 60 * 1000,
+        optionType: 'PUT'
+    }],
+    getHedgeState: () => ({ hedgeQuantity: 0 }),
+    getHedgeStatus: () => 'NONE & <b>',
+    isHedged: () => false
+};
+
+test('escapeHtml escapes markup characters and blanks null', () => {
+    assert.strictEqual(escapeHtml('<a href="x">&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&#39;&lt;/a&gt;');
+    assert.strictEqual(escapeHtml(null), '');
+    assert.strictEqual(escapeHtml(42), '42');
+});
+
+test('exchange and storage text in a snapshot is escaped in both tables', () => {
+    const snapshot = buildDashboardSnapshot(sharedState, {}, NOW);
+    const positions = renderPositionRows(snapshot.positions);
+    const exposure = renderExposureRows(snapshot.exposure);
+
+    [positions, exposure].forEach(html => {
+        assert.ok(!html.includes('<script>'), html);
+        assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;USDT'), html);
+    });
+    assert.ok(!positions.includes('<img'));
+    assert.ok(positions.includes('9001&quot;&gt;&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(positions.includes('NONE &amp; &lt;b&gt;'));
+});
+
+test('empty snapshots render placeholder rows', () => {
+    assert.match(renderPositionRows([]), /No active positions/);
+    assert.match(renderExposureRows([]), /No exposure/);
+});
+
+test('the page script carries the same escaping row builders and parses', () => {
+    const page = renderDashboardPage(5);
+    const script = page.slice(page.indexOf('<script>') + '<script>'.length, page.indexOf('</script>'));
+    assert.ok(script.includes('function escapeHtml('));
+    assert.doesNotThrow(() => new vm.Script(script));
+});
@@ -0,0 +1,151 @@
+// test\events.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MarketCalendar, parseCsv, parseIcs, formatEvent } = require('../src/events');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SEVERITIES = {
+    high: { blackoutBeforeMinutes: 720, blackoutAfterMinutes: 240, bufferMultiplier: 1.5, sizeMultiplier: 0.5, escalateHedging: true },
+    medium: { blackoutBeforeMinutes: 240, blackoutAfterMinutes: 120, bufferMultiplier: 1.2, sizeMultiplier: 0.75, escalateHedging: false },
+    low: { blackoutBeforeMinutes: 60, blackoutAfterMinutes: 60, bufferMultiplier: 1, sizeMultiplier: 1, escalateHedging: false }
+};
+
+const CSV = [
+    '# comment',
+    'time,title,severity,blackoutBeforeMinutes,blackoutAfterMinutes',
+    '2026-11-10T13:30:00Z,"CPI, October",high,,',
+    '',
+    '2026-11-12,Jobless claims,medium,30,15'
+].join('\n');
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART:20261209T190000Z',
+    'DTEND:20261209T193000Z',
+    'SUMMARY:FOMC rate decision\\, December',
+    'X-SEVERITY:HIGH',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;TZID=America/New_York:20261201T100000',
+    'SUMMARY:ISM manufactur',
+    ' ing',
+    'PRIORITY:5',
+    'X-BLACKOUT-AFTER:30',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:No start',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+test('parseCsv reads quoted fields, bare dates and optional blackouts', () => {
+    const events = parseCsv(CSV, 'test.csv');
+    assert.strictEqual(events.length, 2);
+    assert.deepStrictEqual(events[0], {
+        time: Date.UTC(2026, 10, 10, 13, 30),
+        title: 'CPI, October',
+        severity: 'high',
+        blackoutBeforeMinutes: undefined,
+        blackoutAfterMinutes: undefined,
+        source: 'test.csv:2'
+    });
+    assert.strictEqual(events[1].time, Date.UTC(2026, 10, 12));
+    assert.strictEqual(events[1].blackoutBeforeMinutes, 30);
+    assert.strictEqual(events[1].blackoutAfterMinutes, 15);
+});
+
+test('parseCsv needs a time column', () => {
+    assert.throws(() => parseCsv('title,severity\nCPI,high', 'bad.csv'), /time column/);
+});
+
+test('parseIcs reads VEVENTs with folded lines, escapes, DTEND and PRIORITY', () => {
+    const events = parseIcs(ICS, 'test.ics');
+    assert.strictEqual(events.length, 2);
+
+    assert.strictEqual(events[0].title, 'FOMC rate decision, December');
+    assert.strictEqual(events[0].severity, 'high');
+    assert.strictEqual(events[0].time, Date.UTC(2026, 11, 9, 19));
+    assert.strictEqual(events[0].endTime, Date.UTC(2026, 11, 9, 19, 30));
+
+    assert.strictEqual(events[1].title, 'ISM manufacturing');
+    assert.strictEqual(events[1].severity, 'medium');
+    assert.strictEqual(events[1].time, Date.UTC(2026, 11, 1, 10));
+    assert.strictEqual(events[1].blackoutAfterMinutes, 30);
+});
+
+test('formatEvent names the severity and UTC time', () => {
+    assert.strictEqual(formatEvent({ title: 'CPI', severity: 'high', time: Date.UTC(2026, 10, 10, 13, 30) }), 'CPI (high, 2026-11-10 13:30 UTC)');
+});
+
+let dir;
+let calendar;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendars-'));
+    fs.writeFileSync(path.join(dir, 'cpi.csv'), CSV);
+    fs.writeFileSync(path.join(dir, 'fomc.ics'), ICS);
+    fs.writeFileSync(path.join(dir, 'broken.csv'), 'title\nno time');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+    calendar = new MarketCalendar({ MARKET_EVENTS: { dir, reloadMinutes: 60, severities: SEVERITIES } });
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('MarketCalendar loads every readable calendar file, sorted by time', () => {
+    const events = calendar.load();
+    assert.deepStrictEqual(calendar.files, [
+        { name: 'cpi.csv', events: 2, lastEventAt: Date.UTC(2026, 10, 12) },
+        { name: 'fomc.ics', events: 2, lastEventAt: Date.UTC(2026, 11, 9, 19) }
+    ]);
+    assert.deepStrictEqual(events.map(event => event.title), ['CPI, October', 'Jobless claims', 'ISM manufacturing', 'FOMC rate decision, December']);
+});
+
+test('blackouts use the severity defaults unless the event overrides them', () => {
+    const [cpi, claims, , fomc] = calendar.load();
+    assert.strictEqual(cpi.blackoutStart, cpi.time - 12 * HOUR_MS);
+    assert.strictEqual(cpi.blackoutEnd, cpi.time + 4 * HOUR_MS);
+    assert.strictEqual(claims.blackoutStart, claims.time - 30 * 60 * 1000);
+    assert.strictEqual(fomc.blackoutEnd, Date.UTC(2026, 11, 9, 19, 30) + 4 * HOUR_MS);
+});
+
+test('getImpact combines the events overlapping a window', () => {
+    const cpi = Date.UTC(2026, 10, 10, 13, 30);
+    const impact = calendar.getImpact(cpi - 24 * HOUR_MS, Date.UTC(2026, 10, 12, 8));
+    assert.deepStrictEqual(impact.events.map(event => event.title), ['CPI, October', 'Jobless claims']);
+    assert.strictEqual(impact.bufferMultiplier, 1.5);
+    assert.strictEqual(impact.sizeMultiplier, 0.5);
+    assert.strictEqual(impact.escalateHedging, true);
+
+    const clear = calendar.getImpact(Date.UTC(2026, 10, 20), Date.UTC(2026, 10, 25));
+    assert.deepStrictEqual(clear, { events: [], bufferMultiplier: 1, sizeMultiplier: 1, escalateHedging: false });
+});
+
+test('getActiveEvents is the blackouts containing now', () => {
+    const cpi = Date.UTC(2026, 10, 10, 13, 30);
+    assert.strictEqual(calendar.getActiveEvents(cpi - 11 * HOUR_MS)[0].title, 'CPI, October');
+    assert.deepStrictEqual(calendar.getActiveEvents(cpi - 13 * HOUR_MS), []);
+    assert.deepStrictEqual(calendar.getActiveEvents(cpi, 'high').map(event => event.severity), ['high']);
+});
+
+test('unknown severities are skipped', () => {
+    const unknown = new MarketCalendar({ MARKET_EVENTS: { dir, reloadMinutes: 60, severities: SEVERITIES } });
+    assert.strictEqual(unknown.resolveEvent({ time: Date.now(), severity: 'extreme', source: 'x' }), null);
+    assert.strictEqual(unknown.resolveEvent({ time: NaN, severity: 'high', source: 'x' }), null);
+});
+
+test('the shipped calendars parse without skipped events', () => {
+    const shipped = new MarketCalendar({ MARKET_EVENTS: { reloadMinutes: 60, severities: SEVERITIES } });
+    shipped.load();
+    assert.deepStrictEqual(shipped.files.map(file => file.name), ['fomc.ics', 'us-cpi.csv']);
+    assert.deepStrictEqual(shipped.files.map(file => file.events), [
+        parseIcs(fs.readFileSync(path.join(__dirname, '../calendars/fomc.ics'), 'utf8'), 'fomc.ics').length,
+        parseCsv(fs.readFileSync(path.join(__dirname, '../calendars/us-cpi.csv'), 'utf8'), 'us-cpi.csv').length
+    ]);
+});
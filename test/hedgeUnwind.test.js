@@ -0,0 +1,87 @@
+// test\hedgeUnwind.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { setExchange } = require('../src/exchange');
+const { Storage, setStorage } = require('../src/storage');
+const SharedState = require('../src/sharedState');
+const { DynamicHedgeStrategy, HEDGE_STATUS } = require('../src/hedge/strategiesV2');
+
+const NOW = Date.UTC(2026, 9, 18, 12);
+const position = { id: '9001', optionType: 'PUT', investCoin: 'USDT', exercisedCoin: 'BTC', strikePrice: '100000', subscriptionAmount: '1000' };
+
+let fills;
+let orders;
+let sharedState;
+let strategy;
+
+// Margin orders fill the next queued quantity, or in full when the queue is empty
+const exchange = {
+    name: 'stub',
+    hasCredentials: () => true,
+    getExchangeInfo: async () => ({
+        symbols: [{ symbol: 'BTCUSDT', filters: [{ filterType: 'LOT_SIZE', minQty: '0.00001', stepSize: '0.00001' }] }]
+    }),
+    placeMarginOrder: async params => {
+        orders.push(params);
+        return { executedQty: fills.length ? fills.shift() : params.quantity, cummulativeQuoteQty: '0' };
+    }
+};
+
+beforeEach(async () => {
+    fills = [];
+    orders = [];
+    setExchange(exchange);
+    setStorage(new Storage(':memory:'));
+    sharedState = new SharedState();
+    sharedState.config = config;
+    strategy = new DynamicHedgeStrategy(sharedState);
+});
+
+const hedge = quantity => sharedState.updateHedgeState(position.id, {
+    hedgeQuantity: quantity,
+    hedgeSide: 'SELL',
+    hedgeSymbol: 'BTCUSDT'
+}, HEDGE_STATUS.FULL);
+
+test('a partially filled close stays UNWINDING with the rest, and the next pass closes it', async () => {
+    await hedge(0.01);
+    fills.push('0.006');
+
+    await strategy.unwindHedge(position, 0.01, HEDGE_STATUS.CLOSED, NOW, 'settlement');
+    assert.strictEqual(sharedState.getHedgeStatus(position.id), HEDGE_STATUS.UNWINDING);
+    assert.strictEqual(sharedState.getHedgeState(position.id).hedgeQuantity, 0.004);
+    assert.strictEqual(sharedState.isHedged(position.id), true);
+
+    await strategy.unwindHedge(position, 0.004, HEDGE_STATUS.CLOSED, NOW + 60000, 'settlement');
+    assert.strictEqual(sharedState.getHedgeStatus(position.id), HEDGE_STATUS.CLOSED);
+    assert.strictEqual(sharedState.getHedgeState(position.id).hedgeQuantity, 0);
+    assert.deepStrictEqual(orders.map(order => [order.side, order.quantity]), [['BUY', '0.01000'], ['BUY', '0.00400']]);
+});
+
+test('an unfilled close keeps the whole hedge', async () => {
+    await hedge(0.01);
+    fills.push('0');
+
+    await strategy.unwindHedge(position, 0.01, HEDGE_STATUS.CLOSED, NOW, 'recovery');
+    assert.strictEqual(sharedState.getHedgeStatus(position.id), HEDGE_STATUS.UNWINDING);
+    assert.strictEqual(sharedState.getHedgeState(position.id).hedgeQuantity, 0.01);
+});
+
+test('less than one lot step left after lot rounding counts as closed', async () => {
+    await hedge(0.010004);
+
+    await strategy.unwindHedge(position, 0.010004, HEDGE_STATUS.CLOSED, NOW, 'settlement');
+    assert.strictEqual(orders[0].quantity, '0.01000');
+    assert.strictEqual(sharedState.getHedgeStatus(position.id), HEDGE_STATUS.CLOSED);
+    assert.strictEqual(sharedState.getHedgeState(position.id).hedgeQuantity, 0);
+});
+
+test('reducing to step 1 keeps what the fill left', async () => {
+    await hedge(0.01);
+    fills.push('0.004');
+
+    await strategy.unwindHedge(position, 0.005, HEDGE_STATUS.UNWINDING, NOW, 'recovery');
+    assert.strictEqual(sharedState.getHedgeStatus(position.id), HEDGE_STATUS.UNWINDING);
+    assert.strictEqual(sharedState.getHedgeState(position.id).hedgeQuantity, 0.006);
+});
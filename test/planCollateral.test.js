@@ -0,0 +1,76 @@
+// test\planCollateral.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { planCollateral } = require('../src/loans/collateral');
+
+const usdtPrices = { USDT: 1, BTC: 100000, ETH: 2500 };
+const loanable = { flexibleInterestRate: '0.000001', flexibleMinLimit: '10', flexibleMaxLimit: '100000' };
+const assets = (btc = {}, eth = {}) => ({
+    BTC: { enabled: true, ltv: 0.7, priority: 1, carryRate: 0, ...btc },
+    ETH: { enabled: true, ltv: 0.6, priority: 2, carryRate: 0, ...eth }
+});
+
+const plan = overrides => planCollateral({
+    coin: 'USDT',
+    amount: 1000,
+    days: 10,
+    usdtPrices,
+    balances: { BTC: 1, ETH: 10 },
+    assets: assets(),
+    loanable,
+    collaterals: [],
+    ...overrides
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('interest follows the loan coin hourly rate over the term', () => {
+    const result = plan();
+    close(result.annualRate, 0.00876);
+    close(result.interestCost, 1000 * 0.00876 * 10 / 365);
+});
+
+test('equal costs go to the configured priority', () => {
+    const result = plan();
+    assert.strictEqual(result.legs.length, 1);
+    assert.deepStrictEqual(result.legs[0], { collateralCoin: 'BTC', loanAmount: 1000, collateralAmount: 0.01428572, ltv: 0.7 });
+    assert.strictEqual(result.carryCost, 0);
+});
+
+test('picks the collateral that gives up the least carry', () => {
+    const result = plan({ assets: assets({ carryRate: 0.1 }, { carryRate: 0.01 }) });
+    assert.strictEqual(result.legs[0].collateralCoin, 'ETH');
+    close(result.carryCost, 0.66666667 * 2500 * 0.01 * 10 / 365);
+});
+
+test('live initial LTV overrides the configured one', () => {
+    const result = plan({ collaterals: [{ collateralCoin: 'BTC', initialLTV: '0.5' }] });
+    assert.strictEqual(result.legs[0].collateralAmount, 0.02);
+    assert.strictEqual(result.legs[0].ltv, 0.5);
+});
+
+test('splits across two collaterals when neither can back the loan alone', () => {
+    const balances = { BTC: 0.01, ETH: 0.2 };
+    const result = plan({ balances });
+    assert.strictEqual(result.legs.length, 2);
+    const byCoin = Object.fromEntries(result.legs.map(leg => [leg.collateralCoin, leg]));
+    close(byCoin.BTC.loanAmount, 700);
+    close(byCoin.ETH.loanAmount, 300);
+    assert.strictEqual(byCoin.BTC.collateralAmount, 0.01);
+    assert.strictEqual(byCoin.ETH.collateralAmount, 0.2);
+
+    assert.strictEqual(plan({ balances, maxLegs: 1 }), null);
+});
+
+test('skips collaterals that cannot be opened, disabled ones and the loan coin itself', () => {
+    assert.strictEqual(plan({ canOpen: coin => coin !== 'BTC' }).legs[0].collateralCoin, 'ETH');
+    assert.strictEqual(plan({ assets: assets({ enabled: false }) }).legs[0].collateralCoin, 'ETH');
+    assert.strictEqual(plan({ coin: 'ETH', amount: 20 }).legs[0].collateralCoin, 'BTC');
+});
+
+test('returns null without a rate, above the max loan or below the minimums', () => {
+    assert.strictEqual(plan({ loanable: {} }), null);
+    assert.strictEqual(plan({ amount: 200000, balances: { BTC: 10 } }), null);
+    assert.strictEqual(plan({ amount: 5 }), null);
+    assert.strictEqual(plan({ assets: assets({ minAmount: 1 }, { minAmount: 100 }) }), null);
+});
@@ -0,0 +1,63 @@
+// test\priceFeed.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { PriceFeed } = require('../src/exchange/priceFeed');
+const { startMockPriceStream } = require('../src/exchange/mockPriceStream');
+
+let stream;
+let feed;
+
+before(async () => {
+    stream = await startMockPriceStream({ port: 0 });
+    feed = new PriceFeed({
+        url: `ws://127.0.0.1:${stream.server.address().port}`,
+        symbols: ['BTCUSDT', 'ETHUSDT'],
+        reconnectDelayMs: 20,
+        maxReconnectDelayMs: 100,
+        maxAgeMs: 1000
+    }).start();
+    await once(feed, 'connected');
+});
+
+after(async () => {
+    feed.stop();
+    await stream.close();
+});
+
+test('emits price for subscribed symbols and caches it', async () => {
+    const received = once(feed, 'price');
+    stream.publish('BTCUSDT', 105000.5, 1718000000000);
+    const [symbol, price, eventTime] = await received;
+
+    assert.strictEqual(symbol, 'BTCUSDT');
+    assert.strictEqual(price, 105000.5);
+    assert.strictEqual(eventTime, 1718000000000);
+    assert.strictEqual(feed.getPrice('BTCUSDT'), 105000.5);
+});
+
+test('getPrice ignores prices older than maxAgeMs and unknown symbols', async () => {
+    const received = once(feed, 'price');
+    stream.publish('ETHUSDT', 2600);
+    await received;
+
+    assert.strictEqual(feed.getPrice('ETHUSDT'), 2600);
+    feed.prices.get('ETHUSDT').receivedAt -= 1001;
+    assert.strictEqual(feed.getPrice('ETHUSDT'), null);
+    assert.strictEqual(feed.getPrice('ETHUSDT', 5000), 2600);
+    assert.strictEqual(feed.getPrice('SOLUSDT'), null);
+});
+
+test('reconnects after the server drops every client', async () => {
+    const disconnected = once(feed, 'disconnected');
+    const reconnected = once(feed, 'connected');
+    stream.disconnectAll();
+    await disconnected;
+    await reconnected;
+    assert.strictEqual(feed.connected, true);
+
+    const received = once(feed, 'price');
+    stream.publish('BTCUSDT', 106000);
+    const [, price] = await received;
+    assert.strictEqual(price, 106000);
+});
@@ -0,0 +1,84 @@
+// test\riskEngine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RiskEngine, getNotional } = require('../src/risk');
+
+const SETTLE = Date.UTC(2026, 9, 30, 8);
+
+const config = limits => ({
+    RISK_LIMITS: {
+        enabled: true,
+        maxTotalNotional: 10000,
+        maxNotionalPerCoin: { default: 5000 },
+        maxNotionalPerExpiry: 8000,
+        maxNotionalPerDirection: { PUT: 6000, CALL: 4000 },
+        minSubscriptionNotional: 100,
+        ...limits
+    }
+});
+
+const btcPut = (id, amount, settleDate = SETTLE) => ({
+    id,
+    optionType: 'PUT',
+    investCoin: 'USDT',
+    exercisedCoin: 'BTC',
+    strikePrice: '100000',
+    subscriptionAmount: amount,
+    settleDate
+});
+const ethCall = (id, amount) => ({
+    id,
+    optionType: 'CALL',
+    investCoin: 'ETH',
+    exercisedCoin: 'USDT',
+    strikePrice: '2500',
+    subscriptionAmount: amount,
+    settleDate: SETTLE
+});
+
+test('getNotional values CALL base coin at spot, strike when spot is unknown', () => {
+    assert.strictEqual(getNotional(btcPut(1), 500), 500);
+    assert.strictEqual(getNotional(ethCall(1), 2, 3000), 6000);
+    assert.strictEqual(getNotional(ethCall(1), 2), 5000);
+});
+
+test('builds exposure per coin, expiry and direction from active positions', () => {
+    const engine = new RiskEngine(config(), [btcPut(1, '2000'), ethCall(2, '1')], { ETHUSDT: 3000 });
+    const exposure = engine.getExposure();
+
+    assert.strictEqual(exposure.total, 5000);
+    assert.deepStrictEqual(exposure.byCoin, { BTC: 2000, ETH: 3000 });
+    assert.deepStrictEqual(exposure.byExpiry, { '2026-10-30': 5000 });
+    assert.deepStrictEqual(exposure.byDirection, { PUT: 2000, CALL: 3000 });
+});
+
+test('approves a subscription that fits every cap', () => {
+    const engine = new RiskEngine(config(), [btcPut(1, '2000')]);
+    assert.deepStrictEqual(engine.checkSubscription(btcPut(2), 1000), { amount: 1000, notional: 1000, downsized: false });
+});
+
+test('downsizes to the tightest headroom', () => {
+    // Coin cap 5000 with 4000 used leaves 1000
+    const engine = new RiskEngine(config(), [btcPut(1, '4000')]);
+    const result = engine.checkSubscription(btcPut(2), 3000);
+    assert.deepStrictEqual(result, { amount: 1000, notional: 1000, downsized: true });
+});
+
+test('rejects when the headroom is below minSubscriptionNotional', () => {
+    const engine = new RiskEngine(config(), [btcPut(1, '4950')]);
+    assert.strictEqual(engine.checkSubscription(btcPut(2), 500), null);
+});
+
+test('recorded subscriptions count against later candidates', () => {
+    const engine = new RiskEngine(config({ maxNotionalPerCoin: { default: 20000 } }));
+    engine.recordSubscription(btcPut(1), 5000);
+    const result = engine.checkSubscription(btcPut(2, undefined, SETTLE + 86400000), 2000);
+    // PUT direction cap 6000 with 5000 used
+    assert.strictEqual(result.notional, 1000);
+    assert.strictEqual(result.downsized, true);
+});
+
+test('disabled limits approve everything', () => {
+    const engine = new RiskEngine(config({ enabled: false }), [btcPut(1, '9000')]);
+    assert.strictEqual(engine.checkSubscription(btcPut(2), 50000).downsized, false);
+});
@@ -0,0 +1,36 @@
+// test\runMode.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { applyConfigOverrides, findConfigProblems } = require('../src/configLoader');
+const { RunModeManager, RUN_MODE, getRunModeLimits } = require('../src/runMode');
+
+const limitsConfig = applyConfigOverrides(config, { MAX_TOTAL_POSITIONS: 30, RUN_MODE_LIMITS: { maxHedgedPositions: 5 } });
+
+test('the hedged limit comes from RUN_MODE_LIMITS, not MAX_TOTAL_POSITIONS', () => {
+    assert.deepStrictEqual(getRunModeLimits(limitsConfig), { maxPositions: 30, maxHedged: 5 });
+});
+
+test('hedged positions below the total position cap switch to HEDGE_ONLY', () => {
+    const runMode = new RunModeManager();
+    assert.strictEqual(runMode.applyLimits({ positions: 12, hedged: 4, ...getRunModeLimits(limitsConfig) }), RUN_MODE.ACTIVE);
+    assert.strictEqual(runMode.applyLimits({ positions: 12, hedged: 5, ...getRunModeLimits(limitsConfig) }), RUN_MODE.HEDGE_ONLY);
+    assert.strictEqual(runMode.canEnter(), false);
+    assert.strictEqual(runMode.applyLimits({ positions: 12, hedged: 3, ...getRunModeLimits(limitsConfig) }), RUN_MODE.ACTIVE);
+});
+
+test('the position cap still pauses entries', () => {
+    const runMode = new RunModeManager();
+    assert.strictEqual(runMode.applyLimits({ positions: 30, hedged: 0, ...getRunModeLimits(limitsConfig) }), RUN_MODE.ENTRY_PAUSED);
+});
+
+test('a pinned mode ignores the limits', () => {
+    const runMode = new RunModeManager(RUN_MODE.HALTED);
+    assert.strictEqual(runMode.applyLimits({ positions: 0, hedged: 5, ...getRunModeLimits(limitsConfig) }), RUN_MODE.HALTED);
+});
+
+test('maxHedgedPositions is validated', () => {
+    assert.deepStrictEqual(findConfigProblems(applyConfigOverrides(config, { RUN_MODE_LIMITS: { maxHedgedPositions: 0 } })), [
+        'RUN_MODE_LIMITS.maxHedgedPositions: must be >= 1, got 0'
+    ]);
+});
@@ -0,0 +1,71 @@
+// test\settlement.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getPairKey, getYieldDecimal, settleDualInvestment } = require('../src/helpers/settlement');
+
+// 36.5% APR over 10 days: 1% yield
+const put = {
+    optionType: 'PUT',
+    investCoin: 'USDT',
+    exercisedCoin: 'BTC',
+    strikePrice: '100000',
+    subscriptionAmount: '1000',
+    apr: '0.365',
+    duration: 10
+};
+const call = {
+    optionType: 'CALL',
+    investCoin: 'BTC',
+    exercisedCoin: 'USDT',
+    strikePrice: '100000',
+    amount: '0.01',
+    apr: '0.365',
+    duration: 10
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('getPairKey puts the base coin first for puts and calls', () => {
+    assert.strictEqual(getPairKey(put), 'BTCUSDT');
+    assert.strictEqual(getPairKey(call), 'BTCUSDT');
+});
+
+test('getYieldDecimal prorates the APR over the duration', () => {
+    close(getYieldDecimal(put), 0.01);
+});
+
+test('PUT above strike pays the stablecoin back with yield', () => {
+    const result = settleDualInvestment(put, 105000);
+    assert.strictEqual(result.exercised, false);
+    assert.strictEqual(result.payoutCoin, 'USDT');
+    close(result.payoutAmount, 1010);
+    close(result.pnl, 10);
+    close(result.roi, 1);
+});
+
+test('PUT below strike converts to the base coin at strike', () => {
+    const result = settleDualInvestment(put, 90000);
+    assert.strictEqual(result.exercised, true);
+    assert.strictEqual(result.payoutCoin, 'BTC');
+    close(result.payoutAmount, 1010 / 100000);
+    close(result.payoutValue, 1010 * 0.9);
+    close(result.pnl, 909 - 1000);
+});
+
+test('CALL below strike pays the base coin back with yield', () => {
+    const result = settleDualInvestment(call, 95000);
+    assert.strictEqual(result.exercised, false);
+    assert.strictEqual(result.payoutCoin, 'BTC');
+    close(result.payoutAmount, 0.0101);
+    close(result.investedValue, 950);
+    close(result.pnl, 9.5);
+});
+
+test('CALL above strike converts to stablecoin at strike, losing against holding', () => {
+    const result = settleDualInvestment(call, 110000);
+    assert.strictEqual(result.exercised, true);
+    assert.strictEqual(result.payoutCoin, 'USDT');
+    close(result.payoutAmount, 1010);
+    close(result.investedValue, 1100);
+    close(result.pnl, -90);
+});